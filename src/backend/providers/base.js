@@ -4,9 +4,26 @@
  * Abstract class that defines the interface for all TTS providers.
  * Each provider implementation must extend this class and implement
  * the required methods.
+ *
+ * Requests made through retry() share a per-provider rate limiter and
+ * circuit breaker (see utils/rateLimiter.js and utils/circuitBreaker.js).
  */
 
+import { getRateLimiter, parseRetryAfter } from '../utils/rateLimiter.js';
+import { getCircuitBreaker, isProviderFailure } from '../utils/circuitBreaker.js';
+import { stripTags } from '../utils/emotionTags.js';
+import { DEFAULT_TOKENS_PER_CHARACTER, getTokenChunkSize } from '../utils/speechTokens.js';
+
 export class BaseTTSProvider {
+  // Emotion tags (e.g. 'laugh') this provider renders; others are stripped
+  static supportedTags = [];
+
+  // Whether max_new_tokens caps the length of the generated audio (Orpheus)
+  static usesSpeechTokens = false;
+
+  // USD per million characters of text, for estimates (0 if free, null if unknown)
+  static pricePerMillionCharacters = null;
+
   constructor(apiKey, config = {}) {
     if (this.constructor === BaseTTSProvider) {
       throw new Error('BaseTTSProvider is an abstract class and cannot be instantiated directly');
@@ -19,8 +36,26 @@ export class BaseTTSProvider {
       sampleRate: config.sampleRate || 24000,
       retryAttempts: config.retryAttempts || 3,
       retryDelay: config.retryDelay || 1000,
+      concurrency: config.concurrency || 1,
+      requestsPerMinute: config.requestsPerMinute || null,
+      charactersPerMinute: config.charactersPerMinute || null,
+      circuitFailureThreshold: config.circuitFailureThreshold || 5,
+      circuitCooldownMs: config.circuitCooldownMs || 30000,
+      tokensPerCharacter: config.tokensPerCharacter || DEFAULT_TOKENS_PER_CHARACTER,
       ...config
     };
+
+    // Shared by every instance of the same provider
+    const key = this.config.providerName || this.constructor.name;
+    this.rateLimiter = this.config.rateLimiter || getRateLimiter(key, {
+      requestsPerMinute: this.config.requestsPerMinute,
+      charactersPerMinute: this.config.charactersPerMinute,
+      concurrency: this.config.concurrency
+    });
+    this.circuitBreaker = this.config.circuitBreaker || getCircuitBreaker(key, {
+      failureThreshold: this.config.circuitFailureThreshold,
+      cooldownMs: this.config.circuitCooldownMs
+    });
   }
 
   /**
@@ -35,10 +70,69 @@ export class BaseTTSProvider {
 
   /**
    * Get the maximum character limit for this provider
+   * For Orpheus providers the limit also shrinks to what max_new_tokens
+   * can speak, so audio isn't cut off mid-sentence.
+   * @param {Object} options - TTS options (max_new_tokens)
    * @returns {number} - Maximum characters per request
    */
-  getMaxChunkSize() {
-    return this.config.maxChunkSize;
+  getMaxChunkSize(options = {}) {
+    if (!this.constructor.usesSpeechTokens || !options.max_new_tokens) {
+      return this.config.maxChunkSize;
+    }
+
+    return Math.min(
+      this.config.maxChunkSize,
+      getTokenChunkSize(options.max_new_tokens, this.config.tokensPerCharacter)
+    );
+  }
+
+  /**
+   * Get the price used for cost estimates
+   * config.pricePerMillionCharacters overrides the provider's list price.
+   * @returns {number|null} - USD per million characters, null if unknown
+   */
+  getPricePerMillionCharacters() {
+    return this.config.pricePerMillionCharacters ?? this.constructor.pricePerMillionCharacters;
+  }
+
+  /**
+   * Estimate the cost of converting text
+   * @param {string} text - Text to estimate
+   * @returns {number|null} - Estimated cost in USD, null if the price is unknown
+   */
+  estimateCost(text) {
+    const price = this.getPricePerMillionCharacters();
+    return price === null ? null : (text.length * price) / 1000000;
+  }
+
+  /**
+   * Get the emotion tags this provider renders
+   * @returns {Array<string>} - Tag names without brackets
+   */
+  getSupportedTags() {
+    return this.constructor.supportedTags;
+  }
+
+  /**
+   * Describe what determines this provider's output, for audio caching
+   * @returns {Object} - { provider, model, format }
+   */
+  getCacheIdentity() {
+    return {
+      provider: this.config.providerName || this.constructor.name,
+      model: this.config.model || this.endpoint || null,
+      format: this.config.responseFormat || this.config.audioFormat
+    };
+  }
+
+  /**
+   * Get the maximum number of concurrent requests for this provider
+   * retry() enforces it across all conversions through the shared rate
+   * limiter; callers use it to size their own parallelism.
+   * @returns {number} - Concurrent requests allowed
+   */
+  getConcurrency() {
+    return this.config.concurrency;
   }
 
   /**
@@ -59,42 +153,97 @@ export class BaseTTSProvider {
 
   /**
    * Retry logic wrapper
+   *
+   * Each attempt holds one of the provider's request slots (its
+   * concurrency) and waits for the rate limiter. A Retry-After delay on the
+   * error (error.retryAfterMs) pauses every request to the provider;
+   * otherwise attempts back off exponentially. Client errors other than
+   * 408 and 429 are not retried. The outcome is recorded with the circuit
+   * breaker, which rejects calls while it is open.
+   *
    * @param {Function} fn - Async function to retry
-   * @param {number} attempts - Number of retry attempts
+   * @param {Object} options - Retry options
+   * @param {number} options.attempts - Number of attempts
+   * @param {number} options.characters - Characters sent per attempt (rate limiting)
    * @returns {Promise<any>} - Result of function
    */
-  async retry(fn, attempts = this.config.retryAttempts) {
+  async retry(fn, { attempts = this.config.retryAttempts, characters = 0 } = {}) {
+    this.circuitBreaker.beforeRequest(this.getName());
+
     let lastError;
 
     for (let i = 0; i < attempts; i++) {
+      const releaseSlot = await this.rateLimiter.acquireSlot();
+      let error;
+
       try {
-        return await fn();
-      } catch (error) {
-        lastError = error;
+        await this.rateLimiter.acquire(characters);
+        const result = await fn();
+        this.circuitBreaker.recordSuccess();
+        return result;
+      } catch (caught) {
+        error = caught;
+      } finally {
+        // Free the slot before backing off
+        releaseSlot();
+      }
+
+      lastError = error;
 
-        // Don't retry on authentication errors
-        if (error.status === 401 || error.status === 403) {
-          throw error;
-        }
+      // Client errors fail the same way again; timeouts and rate limits may not
+      if (error.status >= 400 && error.status < 500 && error.status !== 408 && error.status !== 429) {
+        break;
+      }
 
+      if (error.retryAfterMs !== undefined && error.retryAfterMs !== null) {
+        // The provider told us when to come back; the limiter holds every request until then
+        this.rateLimiter.pauseFor(error.retryAfterMs);
+      } else if (i < attempts - 1) {
         // Wait before retrying (exponential backoff)
-        if (i < attempts - 1) {
-          const delay = this.config.retryDelay * Math.pow(2, i);
-          await new Promise(resolve => setTimeout(resolve, delay));
-        }
+        const delay = this.config.retryDelay * Math.pow(2, i);
+        await new Promise(resolve => setTimeout(resolve, delay));
       }
     }
 
+    if (isProviderFailure(lastError)) {
+      this.circuitBreaker.recordFailure(lastError);
+    } else {
+      this.circuitBreaker.recordSuccess();
+    }
+
     throw lastError;
   }
 
+  /**
+   * Build an error for a failed HTTP response
+   * Carries the status and, for 429/503, the Retry-After delay.
+   * @param {Response} response - Fetch response
+   * @param {string} message - Error message
+   * @returns {Error}
+   */
+  createResponseError(response, message) {
+    const error = new Error(message);
+    error.status = response.status;
+
+    if (response.status === 429 || response.status === 503) {
+      const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+      if (retryAfterMs !== null) {
+        error.retryAfterMs = retryAfterMs;
+      }
+    }
+
+    return error;
+  }
+
   /**
    * Sanitize text for TTS processing
+   * Emotion tags the provider doesn't render are removed so they aren't
+   * read out as text.
    * @param {string} text - Raw text
    * @returns {string} - Sanitized text
    */
   sanitizeText(text) {
-    return text
+    return stripTags(text, this.getSupportedTags())
       .replace(/\r\n/g, '\n')           // Normalize line endings
       .replace(/\n{3,}/g, '\n\n')       // Remove excessive newlines
       .replace(/\s+/g, ' ')             // Normalize whitespace
@@ -7,8 +7,15 @@
 
 import fetch from 'node-fetch';
 import { BaseTTSProvider } from './base.js';
+import { EMOTION_TAGS } from '../utils/emotionTags.js';
 
 export class DeepInfraProvider extends BaseTTSProvider {
+  static supportedTags = EMOTION_TAGS;
+  static usesSpeechTokens = true;
+
+  // DeepInfra pricing - update based on actual pricing
+  static pricePerMillionCharacters = 1;
+
   constructor(apiKey, config = {}) {
     super(apiKey, {
       maxChunkSize: 1000,
@@ -70,8 +77,7 @@ export class DeepInfraProvider extends BaseTTSProvider {
       });
 
       if (!response.ok) {
-        const error = new Error(`DeepInfra API error: ${response.statusText}`);
-        error.status = response.status;
+        const error = this.createResponseError(response, `DeepInfra API error: ${response.statusText}`);
 
         try {
           const errorData = await response.json();
@@ -91,7 +97,7 @@ export class DeepInfraProvider extends BaseTTSProvider {
       }
 
       return audioBuffer;
-    });
+    }, { characters: sanitizedText.length });
   }
 
   /**
@@ -102,15 +108,4 @@ export class DeepInfraProvider extends BaseTTSProvider {
     // Orpheus model may have multiple voices - implement if available
     return ['default'];
   }
-
-  /**
-   * Estimate cost for text conversion
-   * @param {string} text - Text to estimate
-   * @returns {number} - Estimated cost in USD
-   */
-  estimateCost(text) {
-    // DeepInfra pricing - update based on actual pricing
-    const charactersPerDollar = 1000000; // Example: $1 per 1M characters
-    return (text.length / charactersPerDollar).toFixed(4);
-  }
 }
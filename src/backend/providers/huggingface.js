@@ -71,8 +71,7 @@ export class HuggingFaceProvider extends BaseTTSProvider {
       });
 
       if (!response.ok) {
-        const error = new Error(`Hugging Face API error: ${response.statusText}`);
-        error.status = response.status;
+        const error = this.createResponseError(response, `Hugging Face API error: ${response.statusText}`);
 
         try {
           const errorData = await response.json();
@@ -81,6 +80,7 @@ export class HuggingFaceProvider extends BaseTTSProvider {
           // Check if model is loading
           if (errorData.estimated_time) {
             error.estimatedTime = errorData.estimated_time;
+            error.retryAfterMs = error.retryAfterMs ?? errorData.estimated_time * 1000;
             error.message = `Model is loading. Estimated time: ${errorData.estimated_time}s`;
           }
         } catch (e) {
@@ -98,7 +98,7 @@ export class HuggingFaceProvider extends BaseTTSProvider {
       }
 
       return audioBuffer;
-    });
+    }, { characters: sanitizedText.length });
   }
 
   /**
@@ -7,17 +7,21 @@
 import { DeepInfraProvider } from './deepinfra.js';
 import { HuggingFaceProvider } from './huggingface.js';
 import { SegmindProvider } from './segmind.js';
+import { MockProvider } from './mock.js';
+import { LocalOrpheusProvider } from './local.js';
 
 export class ProviderFactory {
   static providers = {
     segmind: SegmindProvider,
     deepinfra: DeepInfraProvider,
-    huggingface: HuggingFaceProvider
+    huggingface: HuggingFaceProvider,
+    local: LocalOrpheusProvider,
+    mock: MockProvider
   };
 
   /**
    * Create a TTS provider instance
-   * @param {string} providerName - Name of the provider (segmind, deepinfra, huggingface)
+   * @param {string} providerName - Name of the provider (segmind, deepinfra, huggingface, local, mock)
    * @param {string} apiKey - API key for the provider
    * @param {Object} config - Additional configuration
    * @returns {BaseTTSProvider} - Provider instance
@@ -31,11 +35,32 @@ export class ProviderFactory {
       );
     }
 
-    if (!apiKey) {
+    if (!apiKey && ProviderClass.requiresApiKey !== false) {
       throw new Error(`API key required for provider: ${providerName}`);
     }
 
-    return new ProviderClass(apiKey, config);
+    // The name keys the provider's shared rate limiter and circuit breaker
+    return new ProviderClass(apiKey, { providerName: providerName.toLowerCase(), ...config });
+  }
+
+  /**
+   * Get the emotion tags a provider renders
+   * @param {string} providerName - Provider name
+   * @returns {Array<string>} - Tag names (empty for unknown providers)
+   */
+  static getSupportedTags(providerName) {
+    const ProviderClass = this.providers[providerName.toLowerCase()];
+    return ProviderClass ? ProviderClass.supportedTags : [];
+  }
+
+  /**
+   * Check whether a provider needs an API key
+   * @param {string} providerName - Provider name
+   * @returns {boolean} - False for keyless providers (e.g. local, mock)
+   */
+  static requiresApiKey(providerName) {
+    const ProviderClass = this.providers[providerName.toLowerCase()];
+    return !ProviderClass || ProviderClass.requiresApiKey !== false;
   }
 
   /**
@@ -62,4 +87,10 @@ export class ProviderFactory {
   }
 }
 
-export { DeepInfraProvider, HuggingFaceProvider, SegmindProvider };
+export {
+  DeepInfraProvider,
+  HuggingFaceProvider,
+  SegmindProvider,
+  LocalOrpheusProvider,
+  MockProvider
+};
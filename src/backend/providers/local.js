@@ -0,0 +1,212 @@
+import { BaseTTSProvider } from './base.js';
+import { EMOTION_TAGS } from '../utils/emotionTags.js';
+import fetch from 'node-fetch';
+
+// Voices of the Orpheus 3B English fine-tune
+export const ORPHEUS_VOICES = ['tara', 'leah', 'jess', 'leo', 'dan', 'mia', 'zac', 'zoe'];
+
+/**
+ * Local Orpheus TTS Provider
+ *
+ * Targets a self-hosted Orpheus server that exposes the OpenAI-compatible
+ * speech endpoint (e.g. Orpheus-FastAPI or a llama.cpp server wrapper):
+ * POST {baseUrl}/v1/audio/speech
+ *
+ * Features:
+ * - Configurable base URL, no API key required
+ * - Optional bearer token if the server is behind auth (LOCAL_API_KEY)
+ * - Orpheus voices and sampling parameters passed through
+ *
+ * Environment:
+ * - LOCAL_TTS_BASE_URL: Server base URL (default: http://localhost:5005)
+ * - LOCAL_TTS_MODEL: Model name sent in requests (default: 'orpheus')
+ * - LOCAL_TTS_FORMAT: Response format, 'mp3' or 'wav' (default: 'mp3')
+ */
+export class LocalOrpheusProvider extends BaseTTSProvider {
+  static requiresApiKey = false;
+  static supportedTags = EMOTION_TAGS;
+  static usesSpeechTokens = true;
+
+  // Runs on your own hardware
+  static pricePerMillionCharacters = 0;
+
+  constructor(apiKey, config = {}) {
+    super(apiKey, {
+      maxChunkSize: 1000,
+      baseUrl: process.env.LOCAL_TTS_BASE_URL || 'http://localhost:5005',
+      model: process.env.LOCAL_TTS_MODEL || 'orpheus',
+      responseFormat: process.env.LOCAL_TTS_FORMAT || 'mp3',
+      ...config
+    });
+
+    this.name = 'Local Orpheus';
+    this.endpoint = `${this.config.baseUrl.replace(/\/+$/, '')}/v1/audio/speech`;
+  }
+
+  getName() {
+    return 'Local Orpheus';
+  }
+
+  /**
+   * Validate the server is reachable and accepts our credentials
+   *
+   * @returns {Promise<boolean>} True if the server accepted a test request
+   */
+  async validateApiKey() {
+    try {
+      await this.generateSpeech('Test', { max_new_tokens: 100 });
+      return true;
+    } catch (error) {
+      return !(error.status === 401 || error.status === 403 || error.code === 'ECONNREFUSED');
+    }
+  }
+
+  /**
+   * Generate speech using the local OpenAI-compatible endpoint
+   *
+   * @param {string} text - Text to convert to speech
+   * @param {Object} options - Generation options
+   * @param {string} options.voice - Voice to use (default: 'tara')
+   * @param {number} options.temperature - Temperature (0.1-1.5, default: 0.6)
+   * @param {number} options.top_p - Top P sampling (0.1-1, default: 0.95)
+   * @param {number} options.max_new_tokens - Max tokens (100-2000, default: 1200)
+   * @param {number} options.repetition_penalty - Repetition penalty (1-2, default: 1.1)
+   * @param {number} options.speed - Playback speed (0.5-1.5, default: 1.0)
+   * @returns {Promise<Buffer>} Audio data as Buffer
+   */
+  async generateSpeech(text, options = {}) {
+    const sanitizedText = this.sanitizeText(text || '');
+
+    if (sanitizedText.length === 0) {
+      throw new Error('Text cannot be empty');
+    }
+
+    if (sanitizedText.length > this.config.maxChunkSize) {
+      throw new Error(
+        `Text exceeds maximum chunk size of ${this.config.maxChunkSize} characters`
+      );
+    }
+
+    const payload = {
+      model: this.config.model,
+      input: sanitizedText,
+      voice: options.voice || 'tara',
+      response_format: this.config.responseFormat,
+      speed: options.speed || 1.0,
+      // Orpheus sampling parameters (ignored by servers that don't support them)
+      temperature: options.temperature || 0.6,
+      top_p: options.top_p || 0.95,
+      max_tokens: options.max_new_tokens || 1200,
+      repetition_penalty: options.repetition_penalty || 1.1
+    };
+
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    return this.retry(async () => {
+      let response;
+
+      try {
+        response = await fetch(this.endpoint, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify(payload)
+        });
+      } catch (error) {
+        if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+          const connectError = new Error(
+            `Unable to connect to local Orpheus server at ${this.config.baseUrl}. Is it running?`
+          );
+          connectError.code = error.code;
+          throw connectError;
+        }
+
+        throw error;
+      }
+
+      if (!response.ok) {
+        const error = this.createResponseError(response, `Local Orpheus API error: ${response.statusText}`);
+
+        try {
+          const errorData = await response.json();
+          const detail = errorData.error || errorData.detail || errorData.message;
+          error.message = (detail && detail.message) || detail || error.message;
+        } catch (e) {
+          // If response is not JSON, use status text
+        }
+
+        throw error;
+      }
+
+      const audioBuffer = Buffer.from(await response.arrayBuffer());
+
+      if (!audioBuffer || audioBuffer.length === 0) {
+        throw new Error('Received empty audio buffer from local Orpheus server');
+      }
+
+      return audioBuffer;
+    }, { characters: sanitizedText.length });
+  }
+
+  /**
+   * Get available voices for this provider
+   *
+   * @returns {Array<string>} List of available voice names
+   */
+  getAvailableVoices() {
+    return [...ORPHEUS_VOICES];
+  }
+
+  /**
+   * Get provider-specific settings and their defaults
+   *
+   * @returns {Object} Settings configuration
+   */
+  getSettings() {
+    return {
+      voice: {
+        type: 'string',
+        default: 'tara',
+        options: this.getAvailableVoices(),
+        description: 'Voice to use for speech generation'
+      },
+      temperature: {
+        type: 'number',
+        default: 0.6,
+        min: 0.1,
+        max: 1.5,
+        step: 0.1,
+        description: 'Controls randomness in generation. Lower is more deterministic.'
+      },
+      top_p: {
+        type: 'number',
+        default: 0.95,
+        min: 0.1,
+        max: 1.0,
+        step: 0.05,
+        description: 'Nucleus sampling parameter. Lower values are more focused.'
+      },
+      max_new_tokens: {
+        type: 'integer',
+        default: 1200,
+        min: 100,
+        max: 2000,
+        step: 100,
+        description: 'Maximum number of tokens to generate'
+      },
+      repetition_penalty: {
+        type: 'number',
+        default: 1.1,
+        min: 1.0,
+        max: 2.0,
+        step: 0.1,
+        description: 'Penalty for repeating tokens. Higher values reduce repetition.'
+      }
+    };
+  }
+}
+
+export default LocalOrpheusProvider;
@@ -0,0 +1,261 @@
+import { BaseTTSProvider } from './base.js';
+import { ORPHEUS_VOICES } from './local.js';
+import { EMOTION_TAGS } from '../utils/emotionTags.js';
+import { SPEECH_TOKENS_PER_SECOND } from '../utils/speechTokens.js';
+
+/**
+ * Mock TTS Provider
+ *
+ * Offline provider for development and tests. Synthesizes deterministic
+ * audio locally instead of calling an API, so conversions, chunking and
+ * concatenation can be exercised without network access or credits.
+ *
+ * Features:
+ * - Audio length tracks text length (charactersPerSecond), cut off at
+ *   max_new_tokens like Orpheus
+ * - MP3 output as silent MPEG frames (safe to concatenate byte-wise)
+ * - WAV output as a sine tone whose pitch depends on the voice
+ * - Configurable latency and injected failures (429, 500, empty buffer)
+ *
+ * Environment:
+ * - MOCK_LATENCY_MS: Delay per request (default: 0)
+ * - MOCK_FAILURE_MODE: '429', '500' or 'empty' (default: none)
+ * - MOCK_FAILURE_RATE: Share of requests that fail, 0-1 (default: 1 when a mode is set)
+ * - MOCK_RETRY_AFTER_MS: Retry-After delay reported with injected 429s (default: none)
+ */
+
+// MPEG-1 Layer III, 128 kbps, 44.1 kHz, mono, no CRC
+const MP3_FRAME_HEADER = Buffer.from([0xFF, 0xFB, 0x90, 0xC0]);
+const MP3_FRAME_SIZE = 417;
+const MP3_FRAME_DURATION = 1152 / 44100;
+
+// One pitch per Orpheus voice, a whole tone apart from 220 Hz
+const VOICE_FREQUENCIES = Object.fromEntries(
+  ORPHEUS_VOICES.map((voice, i) => [voice, Math.round(220 * Math.pow(2, i / 6))])
+);
+
+export class MockProvider extends BaseTTSProvider {
+  static requiresApiKey = false;
+  static supportedTags = EMOTION_TAGS;
+  static usesSpeechTokens = true;
+  static pricePerMillionCharacters = 0;
+
+  constructor(apiKey, config = {}) {
+    super(apiKey, {
+      maxChunkSize: 1000,
+      audioFormat: 'mp3',
+      charactersPerSecond: 15,
+      latencyMs: parseInt(process.env.MOCK_LATENCY_MS) || 0,
+      failureMode: process.env.MOCK_FAILURE_MODE || null,
+      failureRate: process.env.MOCK_FAILURE_RATE !== undefined
+        ? parseFloat(process.env.MOCK_FAILURE_RATE)
+        : 1,
+      retryAfterMs: process.env.MOCK_RETRY_AFTER_MS !== undefined
+        ? parseInt(process.env.MOCK_RETRY_AFTER_MS)
+        : null,
+      ...config
+    });
+
+    this.name = 'Mock';
+    this.requestCount = 0;
+  }
+
+  getName() {
+    return 'Mock (offline)';
+  }
+
+  /**
+   * The mock accepts any key, including none
+   * @returns {Promise<boolean>}
+   */
+  async validateApiKey() {
+    return true;
+  }
+
+  /**
+   * Generate deterministic audio for text
+   *
+   * @param {string} text - Text to convert to speech
+   * @param {Object} options - Generation options (same as SegmindProvider)
+   * @param {string} options.voice - Voice, selects the tone pitch (default: 'tara')
+   * @returns {Promise<Buffer>} Audio data as Buffer
+   */
+  async generateSpeech(text, options = {}) {
+    const sanitizedText = this.sanitizeText(text || '');
+
+    if (sanitizedText.length === 0) {
+      throw new Error('Text cannot be empty');
+    }
+
+    if (sanitizedText.length > this.config.maxChunkSize) {
+      throw new Error(
+        `Text exceeds maximum chunk size of ${this.config.maxChunkSize} characters`
+      );
+    }
+
+    return this.retry(async () => {
+      this.requestCount++;
+
+      if (this.config.latencyMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.config.latencyMs));
+      }
+
+      this.injectFailure();
+
+      const seconds = options.max_new_tokens
+        ? Math.min(this.estimateDuration(sanitizedText), options.max_new_tokens / SPEECH_TOKENS_PER_SECOND)
+        : this.estimateDuration(sanitizedText);
+      const voice = options.voice || 'tara';
+
+      return this.config.audioFormat === 'wav'
+        ? this.synthesizeWav(seconds, VOICE_FREQUENCIES[voice] || 440)
+        : this.synthesizeMp3(seconds);
+    }, { characters: sanitizedText.length });
+  }
+
+  /**
+   * Throw the configured failure for a share of requests
+   */
+  injectFailure() {
+    const { failureMode, failureRate } = this.config;
+
+    if (!failureMode || Math.random() >= failureRate) {
+      return;
+    }
+
+    if (failureMode === 'empty') {
+      throw new Error('Received empty audio buffer from Mock');
+    }
+
+    const status = parseInt(failureMode);
+    const error = new Error(
+      status === 429
+        ? 'Mock API error: Rate limit exceeded'
+        : `Mock API error: Server error (${status})`
+    );
+    error.status = status;
+
+    if (status === 429 && this.config.retryAfterMs !== null) {
+      error.retryAfterMs = this.config.retryAfterMs;
+    }
+
+    throw error;
+  }
+
+  /**
+   * Estimate spoken duration of text
+   * @param {string} text - Text to speak
+   * @returns {number} - Duration in seconds
+   */
+  estimateDuration(text) {
+    return Math.max(0.5, text.length / this.config.charactersPerSecond);
+  }
+
+  /**
+   * Build silent MP3 audio of the given duration
+   * @param {number} seconds - Duration in seconds
+   * @returns {Buffer} - MP3 data
+   */
+  synthesizeMp3(seconds) {
+    const frameCount = Math.ceil(seconds / MP3_FRAME_DURATION);
+    const frame = Buffer.alloc(MP3_FRAME_SIZE);
+    MP3_FRAME_HEADER.copy(frame);
+
+    return Buffer.concat(Array.from({ length: frameCount }, () => frame));
+  }
+
+  /**
+   * Build a 16-bit PCM WAV sine tone of the given duration
+   * @param {number} seconds - Duration in seconds
+   * @param {number} frequency - Tone frequency in Hz
+   * @returns {Buffer} - WAV data
+   */
+  synthesizeWav(seconds, frequency) {
+    const sampleRate = this.config.sampleRate;
+    const sampleCount = Math.round(seconds * sampleRate);
+    const dataSize = sampleCount * 2;
+    const buffer = Buffer.alloc(44 + dataSize);
+
+    buffer.write('RIFF', 0, 'ascii');
+    buffer.writeUInt32LE(36 + dataSize, 4);
+    buffer.write('WAVE', 8, 'ascii');
+    buffer.write('fmt ', 12, 'ascii');
+    buffer.writeUInt32LE(16, 16);           // fmt chunk size
+    buffer.writeUInt16LE(1, 20);            // PCM
+    buffer.writeUInt16LE(1, 22);            // Mono
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * 2, 28);
+    buffer.writeUInt16LE(2, 32);            // Block align
+    buffer.writeUInt16LE(16, 34);           // Bits per sample
+    buffer.write('data', 36, 'ascii');
+    buffer.writeUInt32LE(dataSize, 40);
+
+    for (let i = 0; i < sampleCount; i++) {
+      const sample = Math.sin((2 * Math.PI * frequency * i) / sampleRate) * 0.2;
+      buffer.writeInt16LE(Math.round(sample * 32767), 44 + i * 2);
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Get available voices for this provider
+   *
+   * @returns {Array<string>} List of available voice names
+   */
+  getAvailableVoices() {
+    return Object.keys(VOICE_FREQUENCIES);
+  }
+
+  /**
+   * Get provider-specific settings and their defaults
+   * Mirrors SegmindProvider so the UI and validation treat both alike;
+   * only the voice changes the generated audio.
+   *
+   * @returns {Object} Settings configuration
+   */
+  getSettings() {
+    return {
+      voice: {
+        type: 'string',
+        default: 'tara',
+        options: this.getAvailableVoices(),
+        description: 'Voice to use for speech generation (selects tone pitch)'
+      },
+      temperature: {
+        type: 'number',
+        default: 0.6,
+        min: 0.1,
+        max: 1.5,
+        step: 0.1,
+        description: 'Accepted for compatibility; has no effect'
+      },
+      top_p: {
+        type: 'number',
+        default: 0.95,
+        min: 0.1,
+        max: 1.0,
+        step: 0.05,
+        description: 'Accepted for compatibility; has no effect'
+      },
+      max_new_tokens: {
+        type: 'integer',
+        default: 1200,
+        min: 100,
+        max: 2000,
+        step: 100,
+        description: 'Caps audio length like Orpheus (longer text is cut off)'
+      },
+      repetition_penalty: {
+        type: 'number',
+        default: 1.1,
+        min: 1.0,
+        max: 2.0,
+        step: 0.1,
+        description: 'Accepted for compatibility; has no effect'
+      }
+    };
+  }
+}
+
+export default MockProvider;
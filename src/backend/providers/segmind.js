@@ -1,4 +1,5 @@
 import { BaseTTSProvider } from './base.js';
+import { EMOTION_TAGS } from '../utils/emotionTags.js';
 import fetch from 'node-fetch';
 
 /**
@@ -11,14 +12,19 @@ import fetch from 'node-fetch';
  * - Synchronous audio generation (no polling)
  * - Direct binary audio response
  * - Configurable voice, temperature, and other parameters
- * - Character limit based on max_new_tokens (100-2000)
+ * - Chunk size derived from max_new_tokens (100-2000), capped at 1500 characters
  */
 export class SegmindProvider extends BaseTTSProvider {
+  static supportedTags = EMOTION_TAGS;
+  static usesSpeechTokens = true;
+
   constructor(apiKey, config = {}) {
-    super(apiKey, config);
+    super(apiKey, {
+      maxChunkSize: 1500,
+      ...config
+    });
     this.name = 'Segmind';
     this.endpoint = 'https://api.segmind.com/v1/orpheus-3b-0.1';
-    this.maxCharacters = 1500; // Conservative estimate based on token limits
   }
 
   /**
@@ -42,12 +48,12 @@ export class SegmindProvider extends BaseTTSProvider {
       throw new Error('Text cannot be empty');
     }
 
-    if (text.length > this.maxCharacters) {
-      throw new Error(`Text exceeds maximum length of ${this.maxCharacters} characters`);
+    if (text.length > this.config.maxChunkSize) {
+      throw new Error(`Text exceeds maximum length of ${this.config.maxChunkSize} characters`);
     }
 
     const payload = {
-      text: text.trim(),
+      text: this.sanitizeText(text),
       voice: options.voice || 'tara',
       temperature: options.temperature || 0.6,
       top_p: options.top_p || 0.95,
@@ -55,36 +61,55 @@ export class SegmindProvider extends BaseTTSProvider {
       repetition_penalty: options.repetition_penalty || 1.1
     };
 
-    try {
-      const response = await fetch(this.endpoint, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(payload)
-      });
+    return this.retry(async () => {
+      let response;
+
+      try {
+        response = await fetch(this.endpoint, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${this.apiKey}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify(payload)
+        });
+      } catch (error) {
+        if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+          throw new Error('Unable to connect to Segmind API. Please check your internet connection.');
+        }
+
+        throw error;
+      }
 
       // Handle error responses
       if (!response.ok) {
         const errorText = await response.text();
+        let message;
 
         switch (response.status) {
           case 400:
-            throw new Error(`Invalid parameters: ${errorText}`);
+            message = `Invalid parameters: ${errorText}`;
+            break;
           case 401:
-            throw new Error('Invalid or missing API key');
+            message = 'Invalid or missing API key';
+            break;
           case 404:
-            throw new Error('Model not found');
+            message = 'Model not found';
+            break;
           case 406:
-            throw new Error('Insufficient credits in your Segmind account');
+            message = 'Insufficient credits in your Segmind account';
+            break;
           case 429:
-            throw new Error('Rate limit exceeded. Please try again later.');
+            message = 'Rate limit exceeded. Please try again later.';
+            break;
           case 500:
-            throw new Error(`Server error: ${errorText}`);
+            message = `Server error: ${errorText}`;
+            break;
           default:
-            throw new Error(`API error (${response.status}): ${errorText}`);
+            message = `API error (${response.status}): ${errorText}`;
         }
+
+        throw this.createResponseError(response, message);
       }
 
       // Get audio data as buffer
@@ -96,14 +121,7 @@ export class SegmindProvider extends BaseTTSProvider {
       }
 
       return audioBuffer;
-
-    } catch (error) {
-      if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-        throw new Error('Unable to connect to Segmind API. Please check your internet connection.');
-      }
-
-      throw error;
-    }
+    }, { characters: payload.text.length });
   }
 
   /**
@@ -112,7 +130,7 @@ export class SegmindProvider extends BaseTTSProvider {
    * @returns {number} Maximum characters per request
    */
   getMaxCharacters() {
-    return this.maxCharacters;
+    return this.config.maxChunkSize;
   }
 
   /**
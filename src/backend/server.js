@@ -3,12 +3,28 @@
  *
  * API Routes:
  * - POST /api/convert - Start new conversion
+ * - POST /api/chunks/preview - Preview chunks with estimated duration and cost
  * - GET /api/conversions - Get all conversions
  * - GET /api/conversions/:id - Get specific conversion
+ * - PATCH /api/conversions/:id - Edit title or text (re-renders only changed chunks)
  * - DELETE /api/conversions/:id - Delete conversion
  * - GET /api/conversions/:id/audio - Stream audio file
+ * - POST /api/conversions/:id/cancel - Cancel a running or paused conversion
+ * - POST /api/conversions/:id/pause - Pause a running conversion
+ * - POST /api/conversions/:id/resume - Resume a paused conversion
+ * - POST /api/conversions/:id/retry - Regenerate missing chunks of a failed conversion
+ * - POST /api/conversions/:id/chunks/:index/regenerate - Regenerate one chunk of a completed conversion
+ * - POST /api/conversions/:id/versions/:version/restore - Restore an earlier rendition
+ * - GET /api/conversions/:id/events - Stream progress events (SSE)
  * - GET /api/status/:jobId - Check job status
- * - GET /api/providers - Get available providers
+ * - GET /api/providers - Get available providers with circuit breaker and rate limit state
+ * - DELETE /api/cache - Clear the chunk audio cache
+ * - GET /api/normalize/rules - List text normalization rules
+ * - POST /api/normalize/preview - Preview normalized text
+ * - GET /api/reading-rules - List reading rules for document structure
+ * - GET /api/lexicon - List pronunciation lexicon entries
+ * - POST /api/lexicon - Add or update a lexicon entry
+ * - DELETE /api/lexicon/:id - Delete a lexicon entry
  */
 
 import express from 'express';
@@ -20,10 +36,22 @@ import multer from 'multer';
 import fs from 'fs/promises';
 
 import { ProviderFactory } from './providers/index.js';
-import { TextChunker } from './utils/chunker.js';
+import { TextChunker, NARRATOR, DIALOGUE } from './utils/chunker.js';
 import { FileParser } from './utils/fileParser.js';
 import { AudioProcessor } from './utils/audioProcessor.js';
 import { getStorage } from './utils/storage.js';
+import { getJobQueue } from './utils/jobQueue.js';
+import { mapWithConcurrency } from './utils/concurrency.js';
+import { getProgressEvents, previewText, TERMINAL_EVENTS } from './utils/progressEvents.js';
+import { getCircuitState } from './utils/circuitBreaker.js';
+import { getRateLimitState } from './utils/rateLimiter.js';
+import { getAudioCache } from './utils/audioCache.js';
+import { validateTags } from './utils/emotionTags.js';
+import { TextNormalizer, parseNormalizationOptions } from './utils/normalizer.js';
+import { getReadingRules, parseReadingRules } from './utils/readingRules.js';
+import { parsePageRange } from './utils/pdfParser.js';
+import { getLexicon, parseLexiconOverrides } from './utils/lexicon.js';
+import { isLikelyTruncated, estimateSpeechDuration } from './utils/speechTokens.js';
 
 // ES modules compatibility
 const __filename = fileURLToPath(import.meta.url);
@@ -46,13 +74,20 @@ app.use(express.static(path.join(__dirname, '../frontend')));
 app.use('/public', express.static(path.join(__dirname, '../../public')));
 
 // Configure multer for file uploads
+// Uploads keep their extension; FileParser picks a parser by it
 const upload = multer({
-  dest: './temp/uploads/',
+  storage: multer.diskStorage({
+    destination: './temp/uploads/',
+    filename: (req, file, cb) => {
+      const ext = path.extname(file.originalname).toLowerCase();
+      cb(null, `${Date.now()}-${Math.round(Math.random() * 1e9)}${ext}`);
+    }
+  }),
   limits: {
     fileSize: 10 * 1024 * 1024 // 10MB
   },
   fileFilter: (req, file, cb) => {
-    const allowedExtensions = ['.txt', '.md', '.pdf', '.docx'];
+    const allowedExtensions = ['.txt', '.md', '.pdf', '.docx', '.epub', '.html', '.htm'];
     const ext = path.extname(file.originalname).toLowerCase();
 
     if (allowedExtensions.includes(ext)) {
@@ -63,8 +98,17 @@ const upload = multer({
   }
 });
 
-// In-memory job tracking
-const jobs = new Map();
+// Conversions with an active chunk loop (or chunk regeneration) in this process
+const runningJobs = new Set();
+
+// Returned by processConversion() when a job was resumed while halting
+const RESUMED = Symbol('resumed');
+
+// Voice modes: one voice, one voice per script speaker, or narrator + dialogue voices
+const VOICE_MODES = ['single', 'script', 'dialogue'];
+
+// How many times a cut-off chunk may be halved and regenerated
+const MAX_RESPLIT_DEPTH = 2;
 
 // ==================== API Routes ====================
 
@@ -74,33 +118,12 @@ const jobs = new Map();
  */
 app.post('/api/convert', upload.single('file'), async (req, res) => {
   try {
-    let text = req.body.text || '';
-    const title = req.body.title || 'Untitled';
-    const providerName = req.body.provider || process.env.DEFAULT_TTS_PROVIDER || 'segmind';
-
-    // Get advanced TTS options
-    const ttsOptions = {
-      voice: req.body.voice || 'tara',
-      temperature: parseFloat(req.body.temperature) || 0.6,
-      top_p: parseFloat(req.body.top_p) || 0.95,
-      max_new_tokens: parseInt(req.body.max_new_tokens) || 1200,
-      repetition_penalty: parseFloat(req.body.repetition_penalty) || 1.1
-    };
-
-    // If file uploaded, extract text from it
-    if (req.file) {
-      const parser = new FileParser();
-      text = await parser.parseFile(req.file.path);
+    const { text, title, chapters, providerName, fallbackProviders, ttsOptions } = await parseConversionRequest(req);
 
-      // Clean up uploaded file
-      await fs.unlink(req.file.path).catch(() => {});
-    }
-
-    if (!text || text.trim().length === 0) {
-      return res.status(400).json({
-        error: 'No text provided. Please provide text or upload a file.'
-      });
-    }
+    // Chunks edited after POST /api/chunks/preview replace automatic chunking
+    const manualChunks = req.body.chunks !== undefined && req.body.chunks !== ''
+      ? parseManualChunks(req.body.chunks, providerName, fallbackProviders, ttsOptions, chapters)
+      : null;
 
     // Create storage record with TTS settings and original filename
     const storage = getStorage();
@@ -109,19 +132,29 @@ app.post('/api/convert', upload.single('file'), async (req, res) => {
       text,
       status: 'processing',
       provider: providerName,
+      fallbackProviders,
       ttsSettings: ttsOptions,
+      chapters,
       originalFileName: req.file ? req.file.originalname : null
     });
 
-    // Start background job with TTS options
-    processConversion(conversion.id, text, providerName, ttsOptions).catch(error => {
-      console.error('Conversion error:', error);
-      storage.updateConversion(conversion.id, {
-        status: 'failed',
-        error: error.message
-      });
+    // Queue a durable job so the conversion survives restarts
+    await getJobQueue().createJob({
+      id: conversion.id,
+      provider: providerName,
+      fallbackProviders,
+      ttsOptions,
+      ...(manualChunks
+        ? {
+            chunks: manualChunks.map(chunk => chunk.text),
+            chunkSpeakers: manualChunks.map(chunk => chunk.speaker),
+            chunkChapters: manualChunks.map(chunk => chunk.chapter)
+          }
+        : {})
     });
 
+    startJob(conversion.id);
+
     res.json({
       id: conversion.id,
       status: 'processing',
@@ -129,8 +162,64 @@ app.post('/api/convert', upload.single('file'), async (req, res) => {
     });
   } catch (error) {
     console.error('Convert error:', error);
-    res.status(500).json({
-      error: error.message || 'Failed to start conversion'
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to start conversion',
+      ...(error.details || {})
+    });
+  }
+});
+
+/**
+ * POST /api/chunks/preview
+ * Show how text will be chunked, with estimated duration and cost, before
+ * paying for it. Accepts the same fields as POST /api/convert.
+ */
+app.post('/api/chunks/preview', upload.single('file'), async (req, res) => {
+  try {
+    const { providerName, fallbackProviders, ttsOptions, text, chapters } = await parseConversionRequest(req);
+
+    let chain;
+    try {
+      chain = createProviderChain(providerName, fallbackProviders);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const { provider } = chain[0];
+    const price = provider.getPricePerMillionCharacters();
+    const segments = await chunkConversionText(text, ttsOptions, chain, chapters);
+
+    const chunks = segments.map((segment, index) => ({
+      index,
+      text: segment.text,
+      speaker: segment.speaker,
+      chapter: segment.chapter,
+      characters: segment.text.length,
+      estimatedDuration: roundTo(estimateSpeechDuration(segment.text), 1),
+      estimatedCost: price === null ? null : roundTo(provider.estimateCost(segment.text), 6)
+    }));
+
+    res.json({
+      provider: providerName,
+      maxChunkSize: getChainChunkSize(chain, ttsOptions),
+      characterLimit: getChainChunkSize(chain),
+      pricePerMillionCharacters: price,
+      voiceMode: ttsOptions.voiceMode,
+      speakers: ttsOptions.speakers || null,
+      chapters: chapters.map(chapter => chapter.title),
+      chunks,
+      totals: {
+        chunks: chunks.length,
+        characters: chunks.reduce((total, chunk) => total + chunk.characters, 0),
+        estimatedDuration: roundTo(chunks.reduce((total, chunk) => total + chunk.estimatedDuration, 0), 1),
+        estimatedCost: price === null ? null : roundTo(chunks.reduce((total, chunk) => total + chunk.estimatedCost, 0), 6)
+      }
+    });
+  } catch (error) {
+    console.error('Chunk preview error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to preview chunks',
+      ...(error.details || {})
     });
   }
 });
@@ -183,6 +272,211 @@ app.get('/api/conversions/:id', async (req, res) => {
   }
 });
 
+/**
+ * PATCH /api/conversions/:id
+ * Edit a conversion's title, or the text of a completed conversion
+ * New text is re-chunked; chunks whose text is unchanged keep their audio
+ * and only changed chunks are synthesized. The current rendition is kept
+ * as a version that can be restored.
+ * Body: { text?, title? }
+ */
+app.patch('/api/conversions/:id', async (req, res) => {
+  const storage = getStorage();
+  const jobQueue = getJobQueue();
+  let conversion;
+
+  try {
+    conversion = await storage.getConversion(req.params.id);
+  } catch (error) {
+    return res.status(404).json({
+      error: error.message || 'Conversion not found'
+    });
+  }
+
+  const updates = {};
+
+  if (typeof req.body.title === 'string' && req.body.title.trim()) {
+    updates.title = req.body.title.trim();
+  }
+
+  const text = typeof req.body.text === 'string' ? req.body.text : conversion.text;
+  let held = false;
+
+  try {
+    if (text === conversion.text) {
+      const updated = await storage.updateConversion(conversion.id, updates);
+
+      return res.json({
+        id: updated.id,
+        status: updated.status,
+        changedChunks: 0,
+        message: 'Text unchanged'
+      });
+    }
+
+    if (conversion.status !== 'completed') {
+      return res.status(409).json({
+        error: 'Only completed conversions can have their text edited'
+      });
+    }
+
+    if (!Array.isArray(conversion.chunks) || conversion.chunks.length === 0) {
+      return res.status(409).json({
+        error: 'This conversion has no stored chunk audio; convert the new text instead'
+      });
+    }
+
+    if (runningJobs.has(conversion.id)) {
+      return res.status(409).json({
+        error: 'Conversion is already being processed'
+      });
+    }
+
+    // Held until the job starts, so edits can't overlap
+    runningJobs.add(conversion.id);
+    held = true;
+
+    if (!text.trim()) {
+      throw requestError('No text provided');
+    }
+
+    checkSupportedTags(text, conversion.provider);
+
+    let chain;
+    try {
+      chain = createProviderChain(conversion.provider, conversion.fallbackProviders || []);
+    } catch (error) {
+      throw requestError(error.message);
+    }
+
+    const ttsOptions = conversion.ttsSettings || {};
+    const chapters = relocateChapters(conversion.text, text, conversion.chapters || []);
+    const segments = await chunkConversionText(text, ttsOptions, chain, chapters);
+    const matches = matchStoredChunks(conversion.chunks, segments);
+
+    // Carry text/voice/temperature overrides of reused chunks along
+    const reused = matches.map(match => (match === -1 ? null : conversion.chunks[match]));
+    const chunkOverrides = reused.map(chunk => {
+      if (!chunk) return null;
+      const { voice, temperature } = chunk;
+      return {
+        ...(voice ? { voice } : {}),
+        ...(temperature !== undefined ? { temperature } : {})
+      };
+    });
+
+    const version = await storage.archiveVersion(conversion.id);
+
+    await jobQueue.createJob({
+      id: conversion.id,
+      provider: conversion.provider,
+      fallbackProviders: conversion.fallbackProviders || [],
+      ttsOptions,
+      chunks: segments.map((segment, i) => (reused[i] ? reused[i].text : segment.text)),
+      chunkSpeakers: segments.map(segment => segment.speaker),
+      chunkChapters: segments.map(segment => segment.chapter),
+      chunkOverrides,
+      chunkSourceTexts: reused.map(chunk => (chunk && chunk.sourceText !== undefined ? chunk.sourceText : null)),
+      editedVersion: version.version
+    });
+
+    // Unchanged chunks start out finished, with their stored audio
+    for (let i = 0; i < matches.length; i++) {
+      if (matches[i] === -1) continue;
+
+      const audioBuffer = await storage.loadChunkAudio(conversion.id, matches[i]);
+      await jobQueue.saveChunkAudio(conversion.id, i, audioBuffer, (conversion.chunkSources || [])[matches[i]] || null);
+    }
+
+    await storage.updateConversion(conversion.id, {
+      ...updates,
+      text,
+      characterCount: text.length,
+      chapters,
+      status: 'processing',
+      error: null,
+      failedChunkIndex: null
+    });
+
+    startJob(conversion.id);
+    held = false;
+
+    const reusedChunks = matches.filter(match => match !== -1).length;
+
+    res.json({
+      id: conversion.id,
+      status: 'processing',
+      version: version.version,
+      totalChunks: segments.length,
+      reusedChunks,
+      changedChunks: segments.length - reusedChunks,
+      message: 'Re-rendering changed chunks'
+    });
+  } catch (error) {
+    // Nothing was started; drop the half-built job so the conversion stays as it was
+    if (held) {
+      await jobQueue.removeJob(conversion.id).catch(() => {});
+      runningJobs.delete(conversion.id);
+    }
+
+    console.error('Edit conversion error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to edit conversion',
+      ...(error.details || {})
+    });
+  }
+});
+
+/**
+ * POST /api/conversions/:id/versions/:version/restore
+ * Make an earlier rendition current again (the current one becomes a version)
+ */
+app.post('/api/conversions/:id/versions/:version/restore', async (req, res) => {
+  const storage = getStorage();
+  let conversion;
+
+  try {
+    conversion = await storage.getConversion(req.params.id);
+  } catch (error) {
+    return res.status(404).json({
+      error: error.message || 'Conversion not found'
+    });
+  }
+
+  if (conversion.status !== 'completed') {
+    return res.status(409).json({
+      error: 'Only completed conversions can restore a version'
+    });
+  }
+
+  if (runningJobs.has(conversion.id)) {
+    return res.status(409).json({
+      error: 'Conversion is already being processed'
+    });
+  }
+
+  runningJobs.add(conversion.id);
+
+  try {
+    const version = Number(req.params.version);
+    const restored = await storage.restoreVersion(conversion.id, version);
+
+    res.json({
+      id: restored.id,
+      version,
+      duration: restored.duration,
+      message: 'Version restored'
+    });
+  } catch (error) {
+    console.error('Restore version error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to restore version'
+    });
+  } finally {
+    runningJobs.delete(conversion.id);
+  }
+});
+
 /**
  * DELETE /api/conversions/:id
  * Delete a conversion
@@ -191,6 +485,7 @@ app.delete('/api/conversions/:id', async (req, res) => {
   try {
     const storage = getStorage();
     await storage.deleteConversion(req.params.id);
+    await getJobQueue().removeJob(req.params.id);
 
     res.json({
       message: 'Conversion deleted successfully'
@@ -205,7 +500,9 @@ app.delete('/api/conversions/:id', async (req, res) => {
 
 /**
  * GET /api/conversions/:id/audio
- * Stream audio file
+ * Stream audio file from disk
+ * Supports Range requests (206 Partial Content) for seeking, and
+ * ETag/Last-Modified conditional requests (304 Not Modified)
  */
 app.get('/api/conversions/:id/audio', async (req, res) => {
   try {
@@ -227,13 +524,27 @@ app.get('/api/conversions/:id/audio', async (req, res) => {
       });
     }
 
-    // Set headers for audio streaming
-    res.setHeader('Content-Type', 'audio/mpeg');
-    res.setHeader('Content-Disposition', `inline; filename="${conversion.title}.mp3"`);
-
-    // Stream the file
-    const fileStream = await fs.readFile(conversion.audioPath);
-    res.send(fileStream);
+    // Providers may return WAV or other formats, so sniff the real type
+    const processor = new AudioProcessor();
+    const { mimeType, extension } = await processor.detectFileFormat(conversion.audioPath);
+    const fileName = `${conversion.title.replace(/["\\\r\n]/g, '')}${extension}`;
+
+    res.setHeader('Content-Type', mimeType);
+    res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+
+    // sendFile streams from disk and handles Range, ETag and Last-Modified
+    res.sendFile(path.resolve(conversion.audioPath), {
+      acceptRanges: true,
+      etag: true,
+      lastModified: true
+    }, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Stream audio error:', error);
+        res.status(error.status || 500).json({
+          error: error.message || 'Failed to stream audio'
+        });
+      }
+    });
   } catch (error) {
     console.error('Stream audio error:', error);
     res.status(500).json({
@@ -243,178 +554,1774 @@ app.get('/api/conversions/:id/audio', async (req, res) => {
 });
 
 /**
- * GET /api/status/:id
- * Check conversion status
+ * POST /api/conversions/:id/cancel
+ * Cancel a running or paused conversion
  */
-app.get('/api/status/:id', async (req, res) => {
+app.post('/api/conversions/:id/cancel', async (req, res) => {
   try {
     const storage = getStorage();
-    const conversion = await storage.getConversion(req.params.id);
+    const jobQueue = getJobQueue();
+    const job = await getControllableJob(req.params.id);
 
-    const jobStatus = jobs.get(req.params.id) || {};
+    await jobQueue.updateJob(job.id, { status: 'cancelled' });
+
+    await storage.updateConversion(job.id, { status: 'cancelled' });
+
+    // A running loop discards the job itself once the current chunk finishes
+    if (!runningJobs.has(job.id)) {
+      await jobQueue.removeJob(job.id);
+      getProgressEvents().publish(job.id, 'cancelled');
+    }
 
     res.json({
-      id: conversion.id,
-      status: conversion.status,
-      title: conversion.title,
-      progress: jobStatus.progress || 0,
-      currentChunk: jobStatus.currentChunk || 0,
-      totalChunks: jobStatus.totalChunks || 0,
-      error: conversion.error
+      id: job.id,
+      status: 'cancelled',
+      message: 'Conversion cancelled'
     });
   } catch (error) {
-    console.error('Status check error:', error);
-    res.status(404).json({
-      error: error.message || 'Conversion not found'
+    console.error('Cancel conversion error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to cancel conversion'
     });
   }
 });
 
 /**
- * GET /api/providers
- * Get available TTS providers
+ * POST /api/conversions/:id/pause
+ * Pause a running conversion after the current chunk
  */
-app.get('/api/providers', (req, res) => {
-  const providers = ProviderFactory.getAvailableProviders();
+app.post('/api/conversions/:id/pause', async (req, res) => {
+  try {
+    const storage = getStorage();
+    const job = await getControllableJob(req.params.id);
 
-  res.json({
-    providers: providers.map(name => ({
-      name,
-      available: !!process.env[`${name.toUpperCase()}_API_KEY`]
-    })),
-    default: process.env.DEFAULT_TTS_PROVIDER || 'deepinfra'
-  });
+    if (job.status === 'paused') {
+      return res.status(409).json({
+        error: 'Conversion is already paused'
+      });
+    }
+
+    await getJobQueue().updateJob(job.id, { status: 'paused' });
+    await storage.updateConversion(job.id, { status: 'paused' });
+
+    res.json({
+      id: job.id,
+      status: 'paused',
+      message: 'Conversion will pause after the current chunk'
+    });
+  } catch (error) {
+    console.error('Pause conversion error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to pause conversion'
+    });
+  }
 });
 
 /**
- * GET /api/stats
- * Get storage statistics
+ * POST /api/conversions/:id/resume
+ * Resume a paused conversion from the last completed chunk
  */
-app.get('/api/stats', async (req, res) => {
+app.post('/api/conversions/:id/resume', async (req, res) => {
   try {
     const storage = getStorage();
-    const stats = await storage.getStats();
+    const job = await getControllableJob(req.params.id);
+
+    if (job.status !== 'paused') {
+      return res.status(409).json({
+        error: 'Conversion is not paused'
+      });
+    }
+
+    await getJobQueue().updateJob(job.id, { status: 'processing' });
+    await storage.updateConversion(job.id, { status: 'processing' });
+    getProgressEvents().publish(job.id, 'resumed');
 
-    res.json(stats);
+    // The loop may not have reached its pause check yet
+    if (!runningJobs.has(job.id)) {
+      startJob(job.id);
+    }
+
+    res.json({
+      id: job.id,
+      status: 'processing',
+      message: 'Conversion resumed'
+    });
   } catch (error) {
-    console.error('Stats error:', error);
-    res.status(500).json({
-      error: error.message || 'Failed to get statistics'
+    console.error('Resume conversion error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to resume conversion'
     });
   }
 });
 
-// ==================== Background Processing ====================
-
 /**
- * Process a conversion in the background
+ * POST /api/conversions/:id/retry
+ * Regenerate only the missing chunks of a failed conversion
+ * Body: { provider?, voice? } to retry with a different provider or voice
  */
-async function processConversion(conversionId, text, providerName, ttsOptions = {}) {
+app.post('/api/conversions/:id/retry', async (req, res) => {
   const storage = getStorage();
+  const jobQueue = getJobQueue();
+  let conversion;
 
   try {
-    // Get API key for provider
-    const apiKeyEnvVar = `${providerName.toUpperCase()}_API_KEY`;
-    const apiKey = process.env[apiKeyEnvVar];
-
-    if (!apiKey) {
-      throw new Error(`API key not configured for provider: ${providerName}`);
-    }
-
-    // Create provider
-    const provider = ProviderFactory.createProvider(providerName, apiKey, {
-      maxChunkSize: parseInt(process.env.MAX_CHUNK_SIZE) || 1000
+    conversion = await storage.getConversion(req.params.id);
+  } catch (error) {
+    return res.status(404).json({
+      error: error.message || 'Conversion not found'
     });
+  }
 
-    // Chunk the text
-    const chunker = new TextChunker(provider.getMaxChunkSize());
-    const chunks = chunker.chunk(text);
+  try {
+    if (conversion.status !== 'failed') {
+      return res.status(409).json({
+        error: 'Only failed conversions can be retried'
+      });
+    }
 
-    console.log(`Processing ${chunks.length} chunks for conversion ${conversionId}`);
-    console.log(`TTS Options:`, ttsOptions);
+    const providerName = req.body.provider || conversion.provider;
 
-    // Update job status
-    jobs.set(conversionId, {
-      totalChunks: chunks.length,
-      currentChunk: 0,
-      progress: 0
-    });
+    try {
+      createProviderChain(providerName, conversion.fallbackProviders || []);
+    } catch (error) {
+      throw requestError(error.message);
+    }
 
-    // Generate audio for each chunk with TTS options
-    const audioBuffers = [];
+    checkSupportedTags(conversion.text, providerName);
 
-    for (let i = 0; i < chunks.length; i++) {
-      console.log(`Generating audio for chunk ${i + 1}/${chunks.length}`);
+    const ttsOptions = {
+      ...(conversion.ttsSettings || {}),
+      ...(req.body.voice ? { voice: req.body.voice } : {})
+    };
 
-      const audioBuffer = await provider.generateSpeech(chunks[i], ttsOptions);
-      audioBuffers.push(audioBuffer);
+    // Conversions that failed before a job existed start from scratch
+    let job = await jobQueue.getJob(conversion.id);
 
-      // Update progress
-      const progress = Math.round(((i + 1) / chunks.length) * 100);
-      jobs.set(conversionId, {
-        totalChunks: chunks.length,
-        currentChunk: i + 1,
-        progress
+    if (job) {
+      job = await jobQueue.updateJob(conversion.id, {
+        status: 'queued',
+        provider: providerName,
+        ttsOptions,
+        failedChunk: null,
+        error: null
+      });
+    } else {
+      job = await jobQueue.createJob({
+        id: conversion.id,
+        provider: providerName,
+        fallbackProviders: conversion.fallbackProviders || [],
+        ttsOptions
       });
     }
 
-    // Concatenate audio buffers
-    const audioPath = path.join('./conversions/audio', `${conversionId}.mp3`);
-    const processor = new AudioProcessor();
-    await processor.concatenateBuffers(audioBuffers, audioPath);
+    await storage.updateConversion(conversion.id, {
+      status: 'processing',
+      provider: providerName,
+      ttsSettings: ttsOptions,
+      error: null,
+      failedChunkIndex: null
+    });
 
-    // Get audio duration
-    const duration = await processor.getDuration(audioPath);
+    if (!runningJobs.has(conversion.id)) {
+      startJob(conversion.id);
+    }
 
-    // Update conversion as completed
-    await storage.updateConversion(conversionId, {
-      status: 'completed',
-      audioPath,
-      duration,
-      chunkCount: chunks.length
+    res.json({
+      id: conversion.id,
+      status: 'processing',
+      missingChunks: job.totalChunks - job.completedChunks.length,
+      message: 'Retrying failed chunks'
+    });
+  } catch (error) {
+    console.error('Retry conversion error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to retry conversion',
+      ...(error.details || {})
     });
+  }
+});
 
-    // Clean up job tracking
-    jobs.delete(conversionId);
+/**
+ * POST /api/conversions/:id/chunks/:index/regenerate
+ * Regenerate one chunk of a completed conversion and rebuild its audio
+ * Body: { text?, voice?, temperature? } (text is spoken exactly as given)
+ */
+app.post('/api/conversions/:id/chunks/:index/regenerate', async (req, res) => {
+  const storage = getStorage();
+  let conversion;
 
-    console.log(`Conversion ${conversionId} completed successfully`);
+  try {
+    conversion = await storage.getConversion(req.params.id);
   } catch (error) {
-    console.error(`Conversion ${conversionId} failed:`, error);
-
-    await storage.updateConversion(conversionId, {
-      status: 'failed',
-      error: error.message
+    return res.status(404).json({
+      error: error.message || 'Conversion not found'
     });
+  }
 
-    jobs.delete(conversionId);
+  if (conversion.status !== 'completed') {
+    return res.status(409).json({
+      error: 'Only completed conversions can have chunks regenerated'
+    });
+  }
 
-    throw error;
+  if (!Array.isArray(conversion.chunks) || conversion.chunks.length === 0) {
+    return res.status(409).json({
+      error: 'This conversion has no stored chunk audio; convert it again to regenerate chunks'
+    });
   }
-}
 
-// ==================== Serve Frontend ====================
+  const index = Number(req.params.index);
 
-app.get('/history', (req, res) => {
-  res.sendFile(path.join(__dirname, '../frontend/history.html'));
-});
+  if (!Number.isInteger(index) || index < 0 || index >= conversion.chunks.length) {
+    return res.status(404).json({
+      error: `Chunk not found: ${req.params.index}`
+    });
+  }
 
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, '../frontend/index.html'));
-});
+  if (runningJobs.has(conversion.id)) {
+    return res.status(409).json({
+      error: 'Conversion is already being processed'
+    });
+  }
 
-// ==================== Error Handling ====================
+  runningJobs.add(conversion.id);
 
-app.use((err, req, res, next) => {
-  console.error('Server error:', err);
+  try {
+    let chain;
+    try {
+      chain = createProviderChain(conversion.provider, conversion.fallbackProviders || []);
+    } catch (error) {
+      throw requestError(error.message);
+    }
 
-  res.status(err.status || 500).json({
-    error: err.message || 'Internal server error'
-  });
-});
+    const chunk = { ...conversion.chunks[index] };
 
-// ==================== Start Server ====================
+    if (req.body.text !== undefined) {
+      chunk.text = String(req.body.text).trim();
+      validateChunkText(chunk.text, conversion.provider, getChainChunkSize(chain));
 
-app.listen(PORT, () => {
+      // Remember the chunked text it replaces, so text edits still find the chunk
+      chunk.sourceText = chunk.sourceText ?? conversion.chunks[index].text;
+      if (chunk.text === chunk.sourceText) delete chunk.sourceText;
+    }
+
+    if (req.body.voice) {
+      chunk.voice = req.body.voice;
+    }
+
+    if (req.body.temperature !== undefined && req.body.temperature !== '') {
+      const temperature = parseFloat(req.body.temperature);
+
+      if (Number.isNaN(temperature)) {
+        throw requestError(`Invalid temperature: ${req.body.temperature}`);
+      }
+
+      chunk.temperature = temperature;
+    }
+
+    console.log(`Regenerating chunk ${index + 1}/${conversion.chunks.length} of conversion ${conversion.id}`);
+
+    // Skip cached audio; the cached rendition is the one being replaced
+    const { audioBuffer, source } = await generateChunkAudio(chain, chunk.text, getStoredChunkOptions(conversion, chunk), {
+      refresh: true,
+      onFailover: (from, to, error) => {
+        console.warn(`Chunk ${index + 1} failed on ${from} (${error.message}), failing over to ${to}`);
+      },
+      onResplit: ({ parts }) => {
+        console.warn(`Chunk ${index + 1} audio looks cut off, regenerating in ${parts} parts`);
+      }
+    });
+
+    // Keep the current rendition restorable, then replace the chunk
+    await storage.archiveVersion(conversion.id);
+    await storage.saveChunkAudio(conversion.id, index, audioBuffer);
+
+    const chunks = conversion.chunks.map((record, i) => (i === index ? chunk : record));
+    const audioBuffers = await Promise.all(chunks.map((_, i) => storage.loadChunkAudio(conversion.id, i)));
+    const assembled = await assembleConversionAudio(conversion.id, chunks, audioBuffers);
+
+    const chunkSources = chunks.map((_, i) =>
+      (i === index ? source : (conversion.chunkSources || [])[i] || null)
+    );
+    const { providersUsed, warnings } = summarizeChunkSources(
+      chunkSources,
+      assembled.chunks.map(record => getStoredChunkOptions(conversion, record).voice)
+    );
+
+    await storage.updateConversion(conversion.id, {
+      ...assembled,
+      chapters: locateChapterAudio(conversion.chapters || [], assembled.chunks),
+      renderedAt: new Date().toISOString(),
+      chunkSources,
+      providersUsed,
+      warnings
+    });
+
+    res.json({
+      id: conversion.id,
+      chunk: assembled.chunks[index],
+      duration: assembled.duration,
+      message: 'Chunk regenerated'
+    });
+  } catch (error) {
+    console.error('Regenerate chunk error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to regenerate chunk',
+      ...(error.details || {})
+    });
+  } finally {
+    runningJobs.delete(conversion.id);
+  }
+});
+
+/**
+ * GET /api/conversions/:id/events
+ * Stream conversion progress as Server-Sent Events
+ */
+app.get('/api/conversions/:id/events', async (req, res) => {
+  let conversion;
+  let job;
+
+  try {
+    conversion = await getStorage().getConversion(req.params.id);
+  } catch (error) {
+    return res.status(404).json({
+      error: error.message || 'Conversion not found'
+    });
+  }
+
+  // Load the opening snapshot before the stream starts, so a failure is a plain error response
+  try {
+    job = await getJobQueue().getJob(conversion.id);
+  } catch (error) {
+    console.error('Progress events error:', error);
+    return res.status(500).json({
+      error: error.message || 'Failed to load conversion progress'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  // Start with a snapshot so late subscribers know where the job stands
+  send({ type: 'status', ...buildStatus(conversion, job) });
+
+  if (TERMINAL_EVENTS.includes(conversion.status)) {
+    return res.end();
+  }
+
+  // Keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  const unsubscribe = getProgressEvents().subscribe(conversion.id, (event) => {
+    send(event);
+
+    if (TERMINAL_EVENTS.includes(event.type)) {
+      res.end();
+    }
+  });
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+/**
+ * GET /api/status/:id
+ * Check conversion status
+ */
+app.get('/api/status/:id', async (req, res) => {
+  try {
+    const storage = getStorage();
+    const conversion = await storage.getConversion(req.params.id);
+
+    const job = await getJobQueue().getJob(req.params.id);
+
+    res.json(buildStatus(conversion, job));
+  } catch (error) {
+    console.error('Status check error:', error);
+    res.status(404).json({
+      error: error.message || 'Conversion not found'
+    });
+  }
+});
+
+/**
+ * GET /api/providers
+ * Get available TTS providers
+ */
+app.get('/api/providers', (req, res) => {
+  const providers = ProviderFactory.getAvailableProviders();
+
+  res.json({
+    providers: providers.map(name => ({
+      name,
+      available: !!process.env[`${name.toUpperCase()}_API_KEY`] || !ProviderFactory.requiresApiKey(name),
+      tags: ProviderFactory.getSupportedTags(name),
+      circuit: getCircuitState(name),
+      rateLimit: getRateLimitState(name)
+    })),
+    default: process.env.DEFAULT_TTS_PROVIDER || 'deepinfra'
+  });
+});
+
+/**
+ * GET /api/stats
+ * Get storage statistics
+ */
+app.get('/api/stats', async (req, res) => {
+  try {
+    const storage = getStorage();
+    const stats = await storage.getStats();
+
+    res.json({ ...stats, cache: await getAudioCache().getStats() });
+  } catch (error) {
+    console.error('Stats error:', error);
+    res.status(500).json({
+      error: error.message || 'Failed to get statistics'
+    });
+  }
+});
+
+/**
+ * DELETE /api/cache
+ * Remove all cached chunk audio
+ */
+app.delete('/api/cache', async (req, res) => {
+  try {
+    const { removedEntries, freedBytes } = await getAudioCache().clear();
+
+    res.json({
+      message: 'Audio cache cleared',
+      removedEntries,
+      freedBytes
+    });
+  } catch (error) {
+    console.error('Cache clear error:', error);
+    res.status(500).json({
+      error: error.message || 'Failed to clear audio cache'
+    });
+  }
+});
+
+/**
+ * GET /api/normalize/rules
+ * List text normalization rules that can be toggled per conversion
+ */
+app.get('/api/normalize/rules', (req, res) => {
+  res.json({ rules: TextNormalizer.getRules() });
+});
+
+/**
+ * GET /api/reading-rules
+ * List how document structure (code, lists, headings, tables, front matter,
+ * links) can be read, with each rule's options and default
+ */
+app.get('/api/reading-rules', (req, res) => {
+  res.json({ rules: getReadingRules() });
+});
+
+/**
+ * POST /api/normalize/preview
+ * Preview how text will be normalized before conversion
+ * Body: { text, normalization? }
+ */
+app.post('/api/normalize/preview', async (req, res) => {
+  const text = req.body.text || '';
+
+  if (text.trim().length === 0) {
+    return res.status(400).json({
+      error: 'No text provided'
+    });
+  }
+
+  let toggles;
+  let overrides;
+  try {
+    toggles = parseNormalizationOptions(req.body.normalization);
+  } catch (error) {
+    return res.status(400).json({
+      error: `Invalid normalization options: ${error.message}`
+    });
+  }
+
+  try {
+    overrides = parseLexiconOverrides(req.body.lexicon);
+  } catch (error) {
+    return res.status(error.status || 400).json({
+      error: error.message
+    });
+  }
+
+  try {
+    const pronounced = await getLexicon().apply(text, overrides);
+    const normalizer = new TextNormalizer(toggles);
+    const { text: normalized, applied } = normalizer.preview(pronounced);
+
+    res.json({
+      text: normalized,
+      applied: pronounced !== text ? ['lexicon', ...applied] : applied,
+      rules: normalizer.getEnabledRules().map(rule => rule.id)
+    });
+  } catch (error) {
+    console.error('Normalize preview error:', error);
+    res.status(500).json({
+      error: error.message || 'Failed to preview text'
+    });
+  }
+});
+
+/**
+ * GET /api/lexicon
+ * List pronunciation lexicon entries
+ */
+app.get('/api/lexicon', async (req, res) => {
+  try {
+    const entries = await getLexicon().getEntries();
+    res.json({ entries, count: entries.length });
+  } catch (error) {
+    console.error('Get lexicon error:', error);
+    res.status(500).json({
+      error: error.message || 'Failed to get lexicon'
+    });
+  }
+});
+
+/**
+ * POST /api/lexicon
+ * Add a lexicon entry (an entry with the same pattern and flags is updated)
+ * Body: { pattern, spoken, regex?, caseSensitive?, wholeWord? }
+ */
+app.post('/api/lexicon', async (req, res) => {
+  try {
+    const entry = await getLexicon().saveEntry(req.body);
+    res.json({ entry });
+  } catch (error) {
+    console.error('Save lexicon entry error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to save lexicon entry'
+    });
+  }
+});
+
+/**
+ * DELETE /api/lexicon/:id
+ * Delete a lexicon entry
+ */
+app.delete('/api/lexicon/:id', async (req, res) => {
+  try {
+    await getLexicon().deleteEntry(req.params.id);
+    res.json({ message: 'Lexicon entry deleted' });
+  } catch (error) {
+    console.error('Delete lexicon entry error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to delete lexicon entry'
+    });
+  }
+});
+
+// ==================== Background Processing ====================
+
+/**
+ * Create a provider instance from environment configuration
+ * @param {string} providerName - Provider name
+ * @returns {BaseTTSProvider} - Provider instance
+ */
+function createConfiguredProvider(providerName) {
+  const apiKeyEnvVar = `${providerName.toUpperCase()}_API_KEY`;
+  const apiKey = process.env[apiKeyEnvVar];
+
+  if (!apiKey && ProviderFactory.requiresApiKey(providerName)) {
+    throw new Error(`API key not configured for provider: ${providerName}`);
+  }
+
+  const envPrefix = providerName.toUpperCase();
+
+  return ProviderFactory.createProvider(providerName, apiKey, {
+    maxChunkSize: parseInt(process.env.MAX_CHUNK_SIZE) || 1000,
+    concurrency: parseInt(process.env[`${envPrefix}_CONCURRENCY`]) || 1,
+    requestsPerMinute: parseInt(process.env[`${envPrefix}_REQUESTS_PER_MINUTE`]) || null,
+    charactersPerMinute: parseInt(process.env[`${envPrefix}_CHARACTERS_PER_MINUTE`]) || null,
+    circuitFailureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5,
+    circuitCooldownMs: parseInt(process.env.CIRCUIT_COOLDOWN_MS) || 30000,
+    tokensPerCharacter: parseFloat(process.env[`${envPrefix}_TOKENS_PER_CHARACTER`]) || undefined,
+    pricePerMillionCharacters: parseFloat(process.env[`${envPrefix}_PRICE_PER_MILLION_CHARACTERS`]) >= 0
+      ? parseFloat(process.env[`${envPrefix}_PRICE_PER_MILLION_CHARACTERS`])
+      : undefined
+  });
+}
+
+/**
+ * Build a 400 error for an invalid request
+ * @param {string} message - Error message
+ * @param {Object} details - Extra fields for the response body
+ * @returns {Error}
+ */
+function requestError(message, details = null) {
+  const error = new Error(message);
+  error.status = 400;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Read the text and TTS settings of a conversion request
+ * Shared by POST /api/convert and POST /api/chunks/preview.
+ * @param {Object} req - Express request (body fields and optional uploaded file)
+ * @returns {Promise<Object>} - { text, title, chapters, providerName, fallbackProviders, ttsOptions }
+ * @throws {Error} - With status 400 if the request is invalid
+ */
+async function parseConversionRequest(req) {
+  let text = req.body.text || '';
+  let title = req.body.title || '';
+  let chapters = [];
+  const providerName = req.body.provider || process.env.DEFAULT_TTS_PROVIDER || 'segmind';
+  const fallbackProviders = parseProviderList(
+    req.body.fallbackProviders !== undefined
+      ? req.body.fallbackProviders
+      : process.env.PROVIDER_FALLBACK_CHAIN
+  );
+
+  // Get advanced TTS options
+  const ttsOptions = {
+    voice: req.body.voice || 'tara',
+    temperature: parseFloat(req.body.temperature) || 0.6,
+    top_p: parseFloat(req.body.top_p) || 0.95,
+    max_new_tokens: parseInt(req.body.max_new_tokens) || 1200,
+    repetition_penalty: parseFloat(req.body.repetition_penalty) || 1.1
+  };
+
+  // If file uploaded, extract text (and chapters from its structure) from it
+  if (req.file) {
+    const parser = new FileParser();
+
+    try {
+      let readingRules;
+      try {
+        readingRules = parseReadingRules(req.body.readingRules);
+      } catch (error) {
+        throw requestError(`Invalid reading rules: ${error.message}`);
+      }
+
+      let pages;
+      try {
+        pages = parsePageRange(req.body.pageRange);
+      } catch (error) {
+        throw requestError(`Invalid page range: ${error.message}`);
+      }
+
+      const document = await parser.parseDocument(req.file.path, {
+        skipFrontMatter: req.body.skipFrontMatter === true || req.body.skipFrontMatter === 'true',
+        imageDescriptions: req.body.imageDescriptions === true || req.body.imageDescriptions === 'true',
+        readingRules,
+        pages,
+        removeReferences: req.body.removeReferences === true || req.body.removeReferences === 'true'
+      });
+
+      text = document.text;
+      chapters = document.chapters;
+      title = title || document.title || '';
+    } catch (error) {
+      throw requestError(error.message);
+    } finally {
+      // Clean up uploaded file
+      await fs.unlink(req.file.path).catch(() => {});
+    }
+  }
+
+  title = title || 'Untitled';
+
+  if (!text || text.trim().length === 0) {
+    throw requestError('No text provided. Please provide text or upload a file.');
+  }
+
+  // Reject emotion tags the provider can't render (typos would be read aloud or dropped)
+  checkSupportedTags(text, providerName);
+
+  // Per-rule normalization toggles, applied before chunking
+  try {
+    ttsOptions.normalization = parseNormalizationOptions(req.body.normalization);
+  } catch (error) {
+    throw requestError(`Invalid normalization options: ${error.message}`);
+  }
+
+  // Per-conversion pronunciations, applied over the stored lexicon (400 if invalid)
+  ttsOptions.lexicon = parseLexiconOverrides(req.body.lexicon);
+
+  // Multi-voice scripts: map each speaker to a voice (stored in ttsSettings).
+  // Speakers are read from prepared text, as they will be when chunking.
+  const scriptSpeakers = new TextChunker().chunkScript(await prepareText(text, ttsOptions));
+  const voiceMode = req.body.voiceMode ||
+    (Object.keys(scriptSpeakers.voices).length > 0 ? 'script' : 'single');
+
+  if (!VOICE_MODES.includes(voiceMode)) {
+    throw requestError(`Invalid voice mode: ${voiceMode}. Valid modes: ${VOICE_MODES.join(', ')}`);
+  }
+
+  ttsOptions.voiceMode = voiceMode;
+
+  if (voiceMode === 'script') {
+    ttsOptions.speakers = resolveSpeakerVoices(
+      scriptSpeakers.speakers,
+      { ...scriptSpeakers.voices, ...parseSpeakerMap(req.body.speakers) },
+      providerName,
+      ttsOptions.voice
+    );
+  } else if (voiceMode === 'dialogue') {
+    ttsOptions.speakers = {
+      [NARRATOR]: ttsOptions.voice,
+      [DIALOGUE]: req.body.dialogueVoice || (ttsOptions.voice === 'dan' ? 'tara' : 'dan')
+    };
+  }
+
+  return { text, title, chapters, providerName, fallbackProviders, ttsOptions };
+}
+
+/**
+ * Validate chunks edited by the user
+ * @param {Array|string} value - Chunk texts or { text, speaker, chapter } objects, or their JSON
+ * @param {string} providerName - Primary provider
+ * @param {Array<string>} fallbackProviders - Fallback providers
+ * @param {Object} ttsOptions - Conversion TTS settings
+ * @param {Array<Object>} chapters - Chapter markers of the text
+ * @returns {Array<Object>} - [{ text, speaker, chapter }]
+ * @throws {Error} - With status 400 if a chunk is empty or too long
+ */
+function parseManualChunks(value, providerName, fallbackProviders, ttsOptions, chapters = []) {
+  let chunks = value;
+
+  if (typeof value === 'string') {
+    try {
+      chunks = JSON.parse(value);
+    } catch (error) {
+      throw requestError(`Invalid chunks: ${error.message}`);
+    }
+  }
+
+  if (!Array.isArray(chunks) || chunks.length === 0) {
+    throw requestError('Chunks must be a non-empty list');
+  }
+
+  let chain;
+  try {
+    chain = createProviderChain(providerName, fallbackProviders);
+  } catch (error) {
+    throw requestError(error.message);
+  }
+
+  const limit = getChainChunkSize(chain);
+  const speakers = ttsOptions.speakers || {};
+  const started = new Set();
+
+  return chunks.map((chunk, i) => {
+    const text = String(typeof chunk === 'string' ? chunk : chunk?.text || '').trim();
+    const speaker = typeof chunk === 'object' && chunk?.speaker in speakers ? chunk.speaker : null;
+
+    // Each chapter starts at most once, at its first marked chunk
+    let chapter = typeof chunk === 'object' ? chunk?.chapter : null;
+    chapter = Number.isInteger(chapter) && chapter >= 0 && chapter < chapters.length && !started.has(chapter)
+      ? chapter
+      : null;
+    if (chapter !== null) started.add(chapter);
+
+    validateChunkText(text, providerName, limit, `Chunk ${i + 1}`);
+
+    return { text, speaker, chapter };
+  });
+}
+
+/**
+ * Check text written for a single chunk
+ * @param {string} text - Chunk text
+ * @param {string} providerName - Provider that will speak it (emotion tags)
+ * @param {number} limit - Character limit
+ * @param {string} label - Name of the chunk in error messages
+ * @throws {Error} - With status 400 if the text is empty, too long or has unsupported tags
+ */
+function validateChunkText(text, providerName, limit, label = 'Chunk') {
+  if (!text) {
+    throw requestError(`${label} is empty`);
+  }
+  if (text.length > limit) {
+    throw requestError(`${label} has ${text.length} characters; the limit is ${limit}`);
+  }
+
+  checkSupportedTags(text, providerName, label);
+}
+
+/**
+ * Reject emotion tags a provider can't render
+ * @param {string} text - Text
+ * @param {string} providerName - Provider
+ * @param {string} label - Name of the text in error messages (e.g. "Chunk 3")
+ * @throws {Error} - With status 400 and { unsupportedTags, supportedTags } details
+ */
+function checkSupportedTags(text, providerName, label = null) {
+  const supportedTags = ProviderFactory.getSupportedTags(providerName);
+  const { unsupported } = validateTags(text, supportedTags);
+
+  if (unsupported.length > 0) {
+    throw requestError(
+      `${label ? `${label} has unsupported` : 'Unsupported'} tags for ${providerName}: ` +
+        unsupported.map(tag => `<${tag}>`).join(', ') +
+        (supportedTags.length > 0
+          ? `. Supported: ${supportedTags.map(tag => `<${tag}>`).join(', ')}`
+          : '. This provider does not support emotion tags'),
+      { unsupportedTags: unsupported, supportedTags }
+    );
+  }
+}
+
+/**
+ * Match new chunks to stored chunks with the same text and speaker
+ * Each stored chunk is reused at most once, keeping its voice and
+ * temperature overrides. A chunk whose text was overridden when it was
+ * regenerated matches on the chunked text it replaced (its sourceText)
+ * and keeps the override.
+ * @param {Array<Object>} stored - Stored chunk records
+ * @param {Array<Object>} segments - New chunks ({ text, speaker })
+ * @returns {Array<number>} - Index of the matching stored chunk for each new chunk, or -1
+ */
+function matchStoredChunks(stored, segments) {
+  const key = (speaker, text) => JSON.stringify([speaker || null, text]);
+  const available = new Map();
+
+  stored.forEach((chunk, index) => {
+    const storedKey = key(chunk.speaker, chunk.sourceText ?? chunk.text);
+    available.set(storedKey, [...(available.get(storedKey) || []), index]);
+  });
+
+  return segments.map(segment => {
+    const indices = available.get(key(segment.speaker, segment.text));
+    return indices && indices.length > 0 ? indices.shift() : -1;
+  });
+}
+
+/**
+ * Get the largest chunk every provider in a chain accepts
+ * @param {Array<Object>} chain - Provider chain
+ * @param {Object} ttsOptions - TTS options; omit for the hard character limit
+ * @returns {number} - Characters
+ */
+function getChainChunkSize(chain, ttsOptions = {}) {
+  return Math.min(...chain.map(link => link.provider.getMaxChunkSize(ttsOptions)));
+}
+
+/**
+ * Split conversion text into chunks for its voice mode
+ * Applies the lexicon and normalization first. Every chapter starts a new
+ * chunk, so chapters can be found in the audio.
+ * @param {string} text - Conversion text
+ * @param {Object} ttsOptions - Conversion TTS settings
+ * @param {Array<Object>} chain - Provider chain (chunks fit every provider)
+ * @param {Array<Object>} chapters - Chapter markers ({ title, textStart }) in text order
+ * @returns {Promise<Array<Object>>} - [{ text, speaker, chapter }] (chapter index on a chapter's first chunk, else null)
+ */
+async function chunkConversionText(text, ttsOptions, chain, chapters = []) {
+  const chunker = new TextChunker(getChainChunkSize(chain, ttsOptions));
+  const ends = [...chapters.map(chapter => chapter.textStart), text.length];
+  const sections = [
+    { text: text.slice(0, ends[0]), chapter: null },
+    ...chapters.map((chapter, i) => ({ text: text.slice(chapter.textStart, ends[i + 1]), chapter: i }))
+  ];
+  const segments = [];
+
+  for (const section of sections) {
+    const prepared = await prepareText(section.text, ttsOptions);
+    if (!prepared.trim()) continue;
+
+    let chunks;
+    if (ttsOptions.voiceMode === 'script') {
+      chunks = chunker.chunkScript(prepared).segments;
+    } else if (ttsOptions.voiceMode === 'dialogue') {
+      chunks = chunker.chunkDialogue(prepared);
+    } else {
+      chunks = chunker.chunk(prepared).map(chunk => ({ text: chunk, speaker: null }));
+    }
+
+    chunks.forEach((chunk, i) => segments.push({ ...chunk, chapter: i === 0 ? section.chapter : null }));
+  }
+
+  return segments;
+}
+
+/**
+ * Find chapters again after their text was edited
+ * A chapter is found by its first line; chapters whose first line was
+ * changed or removed are dropped.
+ * @param {string} oldText - Text the markers point into
+ * @param {string} newText - Edited text
+ * @param {Array<Object>} chapters - Chapter markers ({ title, textStart })
+ * @returns {Array<Object>} - Markers into the new text
+ */
+function relocateChapters(oldText, newText, chapters) {
+  let cursor = 0;
+
+  return chapters.flatMap(chapter => {
+    const firstLine = oldText.slice(chapter.textStart).split('\n')[0];
+    const textStart = firstLine ? newText.indexOf(firstLine, cursor) : -1;
+
+    if (textStart === -1) return [];
+
+    cursor = textStart + firstLine.length;
+    return [{ title: chapter.title, textStart }];
+  });
+}
+
+/**
+ * Locate chapters in a conversion's chunks and audio
+ * @param {Array<Object>} chapters - Chapter markers ({ title, textStart })
+ * @param {Array<Object>} chunkRecords - Chunk records (a chapter's first chunk has `chapter`)
+ * @returns {Array<Object>} - { title, textStart, chunkIndex, audioStart } (null if not found)
+ */
+function locateChapterAudio(chapters, chunkRecords) {
+  return chapters.map((chapter, index) => {
+    const record = chunkRecords.find(chunk => chunk.chapter === index);
+
+    return {
+      title: chapter.title,
+      textStart: chapter.textStart,
+      chunkIndex: record ? record.index : null,
+      audioStart: record ? record.audioStart : null
+    };
+  });
+}
+
+/**
+ * Round a number to a number of decimals
+ * @param {number} value - Number
+ * @param {number} decimals - Decimal places
+ * @returns {number}
+ */
+function roundTo(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Parse a speaker-to-voice map
+ * @param {Object|string} value - Object, JSON, or "TARA=tara, DAN=dan"
+ * @returns {Object} - Voices keyed by uppercase speaker name
+ */
+function parseSpeakerMap(value) {
+  if (!value) return {};
+
+  let entries;
+
+  if (typeof value === 'object') {
+    entries = Object.entries(value);
+  } else {
+    try {
+      entries = Object.entries(JSON.parse(value));
+    } catch (error) {
+      entries = String(value)
+        .split(/[,\n]/)
+        .map(pair => pair.split(/[=:]/))
+        .filter(pair => pair.length === 2);
+    }
+  }
+
+  return Object.fromEntries(
+    entries
+      .map(([speaker, voice]) => [String(speaker).trim().toUpperCase(), String(voice).trim()])
+      .filter(([speaker, voice]) => speaker && voice)
+  );
+}
+
+/**
+ * Choose a voice for each speaker of a script
+ * Explicit mappings win; otherwise a speaker named after a voice (TARA)
+ * gets that voice, and anyone else gets the default voice.
+ * @param {Array<string>} speakers - Uppercase speaker names
+ * @param {Object} mapping - Explicit voices keyed by speaker
+ * @param {string} providerName - Provider the voices must exist on
+ * @param {string} defaultVoice - Fallback voice
+ * @returns {Object} - Voices keyed by speaker
+ */
+function resolveSpeakerVoices(speakers, mapping, providerName, defaultVoice) {
+  let voices = [];
+
+  try {
+    voices = createConfiguredProvider(providerName).getAvailableVoices();
+  } catch (error) {
+    // Provider not configured; the conversion itself will report that
+  }
+
+  return Object.fromEntries(speakers.map(speaker => {
+    const named = speaker.toLowerCase();
+    const voice = mapping[speaker] || (voices.includes(named) ? named : defaultVoice);
+    return [speaker, voice];
+  }));
+}
+
+/**
+ * Prepare conversion text for chunking
+ * Applies the pronunciation lexicon (with per-conversion overrides), then
+ * the normalization rules enabled for the conversion.
+ * @param {string} text - Conversion text
+ * @param {Object} ttsOptions - Conversion TTS settings
+ * @returns {Promise<string>} - Text to chunk
+ */
+async function prepareText(text, ttsOptions) {
+  const pronounced = await getLexicon().apply(text, ttsOptions.lexicon || []);
+  return new TextNormalizer(ttsOptions.normalization).normalize(pronounced);
+}
+
+/**
+ * Get the provider options for a chunk
+ * Resolves the chunk's speaker to a voice and drops conversion-level
+ * settings providers don't understand.
+ * @param {Object} ttsOptions - Conversion TTS settings
+ * @param {string|null} speaker - Chunk speaker
+ * @returns {Object} - Options for generateSpeech()
+ */
+function getChunkOptions(ttsOptions, speaker) {
+  const { voiceMode, speakers, normalization, lexicon, ...options } = ttsOptions;
+
+  if (speaker && speakers && speakers[speaker]) {
+    options.voice = speakers[speaker];
+  }
+
+  return options;
+}
+
+/**
+ * Get the provider options of a stored chunk of a conversion
+ * Voice and temperature set when regenerating the chunk override the
+ * conversion's settings.
+ * @param {Object} conversion - Conversion with ttsSettings
+ * @param {Object} chunk - Chunk record ({ speaker, voice?, temperature? })
+ * @returns {Object} - Provider options
+ */
+function getStoredChunkOptions(conversion, chunk) {
+  const options = getChunkOptions(conversion.ttsSettings || {}, chunk.speaker || null);
+
+  if (chunk.voice) options.voice = chunk.voice;
+  if (chunk.temperature !== undefined) options.temperature = chunk.temperature;
+
+  return options;
+}
+
+/**
+ * Concatenate chunk audio into a conversion's audio file
+ *
+ * Also records where each chunk sits in the transcript (the text as
+ * spoken, chunks joined by newlines) and in the audio. Audio offsets are
+ * null from the first chunk whose duration can't be measured.
+ *
+ * @param {string} conversionId - Conversion ID
+ * @param {Array<Object>} chunks - Chunks in order ({ text, speaker, voice?, temperature?, chapter?, sourceText? })
+ * @param {Array<Buffer>} audioBuffers - Audio of each chunk
+ * @returns {Promise<Object>} - { audioPath, duration, transcript, chunks }
+ */
+async function assembleConversionAudio(conversionId, chunks, audioBuffers) {
+  const audioPath = path.join('./conversions/audio', `${conversionId}.mp3`);
+  const processor = new AudioProcessor();
+  await processor.concatenateBuffers(audioBuffers, audioPath);
+
+  const duration = await processor.getDuration(audioPath);
+
+  let textOffset = 0;
+  let audioOffset = 0;
+
+  const records = chunks.map((chunk, index) => {
+    const chunkDuration = audioOffset === null ? null : processor.getBufferDuration(audioBuffers[index]);
+    const record = {
+      index,
+      text: chunk.text,
+      speaker: chunk.speaker || null,
+      ...(chunk.voice ? { voice: chunk.voice } : {}),
+      ...(chunk.temperature !== undefined ? { temperature: chunk.temperature } : {}),
+      ...(Number.isInteger(chunk.chapter) ? { chapter: chunk.chapter } : {}),
+      ...(chunk.sourceText !== undefined ? { sourceText: chunk.sourceText } : {}),
+      textStart: textOffset,
+      textEnd: textOffset + chunk.text.length,
+      audioStart: audioOffset === null ? null : roundTo(audioOffset, 3),
+      audioEnd: chunkDuration === null ? null : roundTo(audioOffset + chunkDuration, 3)
+    };
+
+    textOffset = record.textEnd + 1;
+    audioOffset = chunkDuration === null ? null : audioOffset + chunkDuration;
+
+    return record;
+  });
+
+  return {
+    audioPath,
+    duration,
+    transcript: chunks.map(chunk => chunk.text).join('\n'),
+    chunks: records
+  };
+}
+
+/**
+ * Parse a provider list such as "segmind -> deepinfra, local"
+ * @param {string|Array<string>} value - Provider names
+ * @returns {Array<string>} - Lowercase provider names
+ */
+function parseProviderList(value) {
+  if (!value) return [];
+
+  const names = Array.isArray(value) ? value : String(value).split(/->|,|\s+/);
+  return names.map(name => name.trim().toLowerCase()).filter(name => name.length > 0);
+}
+
+/**
+ * Create the ordered failover chain for a job
+ *
+ * The job's provider comes first, followed by its fallbacks. Providers
+ * that are not configured are skipped.
+ *
+ * @param {string} primaryName - Primary provider name
+ * @param {Array<string>} fallbackNames - Fallback provider names in order
+ * @returns {Array<Object>} - [{ name, provider }]
+ */
+function createProviderChain(primaryName, fallbackNames = []) {
+  const names = [primaryName, ...fallbackNames.filter(name => name !== primaryName)];
+  const chain = [];
+  let primaryError = null;
+
+  for (const name of names) {
+    try {
+      chain.push({ name, provider: createConfiguredProvider(name) });
+    } catch (error) {
+      if (name === primaryName) {
+        primaryError = error;
+      }
+      console.warn(`Skipping provider ${name}: ${error.message}`);
+    }
+  }
+
+  if (chain.length === 0) {
+    throw primaryError || new Error(`No configured provider available for: ${primaryName}`);
+  }
+
+  return chain;
+}
+
+/**
+ * Get the voice a provider will actually use
+ * @param {BaseTTSProvider} provider - Provider instance
+ * @param {string} voice - Requested voice
+ * @returns {string} - Requested voice, or 'default' if unsupported
+ */
+function resolveVoice(provider, voice) {
+  const voices = typeof provider.getAvailableVoices === 'function'
+    ? provider.getAvailableVoices()
+    : [];
+
+  return voices.includes(voice) ? voice : 'default';
+}
+
+/**
+ * Generate a chunk, moving down the provider chain when a provider fails
+ *
+ * Each provider's cached audio for the chunk is used before calling it,
+ * unless refreshing (new audio then replaces the cached entry).
+ *
+ * @param {Array<Object>} chain - Provider chain from createProviderChain()
+ * @param {string} chunk - Chunk text
+ * @param {Object} ttsOptions - TTS options
+ * @param {Function} onFailover - Called with (from, to, error) before switching
+ * @param {boolean} refresh - Ignore cached audio
+ * @returns {Promise<Object>} - { audioBuffer, source: { provider, voice, cached } }
+ */
+async function generateWithFailover(chain, chunk, ttsOptions, onFailover, refresh = false) {
+  const cache = getAudioCache();
+  let lastError;
+
+  for (let p = 0; p < chain.length; p++) {
+    const { name, provider } = chain[p];
+    const voice = resolveVoice(provider, ttsOptions.voice);
+    const cacheKey = cache.createKey(provider.getCacheIdentity(), ttsOptions, provider.sanitizeText(chunk));
+    const cachedAudio = refresh ? null : await cache.get(cacheKey);
+
+    if (cachedAudio) {
+      return { audioBuffer: cachedAudio, source: { provider: name, voice, cached: true } };
+    }
+
+    try {
+      const audioBuffer = await provider.generateSpeech(chunk, ttsOptions);
+
+      // A failed cache write must not lose audio we already paid for
+      await cache.set(cacheKey, audioBuffer, { provider: name })
+        .catch(error => console.warn(`Failed to cache chunk audio: ${error.message}`));
+
+      return {
+        audioBuffer,
+        source: { provider: name, voice, cached: false }
+      };
+    } catch (error) {
+      lastError = error;
+
+      if (p < chain.length - 1) {
+        onFailover(name, chain[p + 1].name, error);
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Generate a chunk, re-splitting it when the audio comes back cut off
+ *
+ * Orpheus stops at max_new_tokens, so audio much shorter than the text
+ * should take means the end of the chunk is missing. The chunk is then
+ * split in two and each part generated (and checked) separately.
+ *
+ * @param {Array<Object>} chain - Provider chain
+ * @param {string} chunk - Chunk text
+ * @param {Object} ttsOptions - TTS options
+ * @param {Object} handlers - { onFailover(from, to, error), onResplit({ duration, expected, parts }), refresh? }
+ * @param {number} depth - Re-split depth
+ * @returns {Promise<Object>} - { audioBuffer, source } (source.resplit counts extra parts)
+ */
+async function generateChunkAudio(chain, chunk, ttsOptions, handlers, depth = 0) {
+  const result = await generateWithFailover(chain, chunk, ttsOptions, handlers.onFailover, handlers.refresh);
+  const threshold = process.env.TRUNCATION_THRESHOLD !== undefined
+    ? parseFloat(process.env.TRUNCATION_THRESHOLD)
+    : 0.5;
+
+  if (depth >= MAX_RESPLIT_DEPTH || threshold <= 0) {
+    return result;
+  }
+
+  const processor = new AudioProcessor();
+  const duration = processor.getBufferDuration(result.audioBuffer);
+
+  if (!isLikelyTruncated(duration, chunk, { threshold })) {
+    return result;
+  }
+
+  const parts = new TextChunker(Math.max(20, Math.ceil(chunk.length * 0.6))).chunk(chunk);
+
+  if (parts.length < 2) {
+    return result;
+  }
+
+  handlers.onResplit({ duration, expected: estimateSpeechDuration(chunk), parts: parts.length });
+
+  const results = [];
+  for (const part of parts) {
+    results.push(await generateChunkAudio(chain, part, ttsOptions, handlers, depth + 1));
+  }
+
+  return {
+    audioBuffer: processor.joinBuffers(results.map(part => part.audioBuffer)),
+    source: {
+      ...results[0].source,
+      cached: results.every(part => part.source.cached),
+      resplit: results.reduce((total, part) => total + (part.source.resplit || 0), parts.length - 1)
+    }
+  };
+}
+
+/**
+ * Summarize which providers and voices produced a conversion's chunks
+ * @param {Array<Object|null>} chunkSources - Per-chunk { provider, voice }
+ * @param {Array<string>} requestedVoices - Per-chunk voice that was asked for
+ * @returns {Object} - { providersUsed, voicesUsed, warnings }
+ */
+function summarizeChunkSources(chunkSources, requestedVoices) {
+  const known = chunkSources.filter(Boolean);
+  const providersUsed = [...new Set(known.map(source => source.provider))];
+  const voiceLabel = source =>
+    source.voice === 'default' ? `${source.provider} default voice` : source.voice;
+  const voicesUsed = [...new Set(known.map(voiceLabel))];
+  const warnings = [];
+
+  // Failover to a provider without the requested voice changes how chunks sound
+  const substitutions = new Map();
+
+  chunkSources.forEach((source, i) => {
+    if (source && source.voice !== requestedVoices[i]) {
+      const key = `${requestedVoices[i]} → ${voiceLabel(source)}`;
+      substitutions.set(key, (substitutions.get(key) || 0) + 1);
+    }
+  });
+
+  if (substitutions.size > 0) {
+    const details = [...substitutions].map(([change, count]) =>
+      `${change} (${count} ${count === 1 ? 'chunk' : 'chunks'})`
+    );
+    warnings.push(`Some chunks used a different voice than requested: ${details.join(', ')}`);
+  }
+
+  // Re-split chunks hit the token limit; a larger max_new_tokens avoids the extra requests
+  const resplit = known.filter(source => source.resplit).length;
+
+  if (resplit > 0) {
+    warnings.push(
+      `${resplit} ${resplit === 1 ? 'chunk was' : 'chunks were'} cut off at max_new_tokens and regenerated in smaller parts`
+    );
+  }
+
+  return { providersUsed, voicesUsed, warnings };
+}
+
+/**
+ * Build the status payload of a conversion
+ *
+ * Progress counts finished chunks, so it stays accurate when parallel
+ * chunks complete out of order.
+ *
+ * @param {Object} conversion - Conversion record
+ * @param {Object|null} job - Queued job, if any
+ * @returns {Object} - Status payload
+ */
+function buildStatus(conversion, job) {
+  // Finished conversions no longer have a job
+  const totalChunks = job ? job.totalChunks : (conversion.chunkCount || 0);
+  const completedChunks = job
+    ? job.completedChunks.length
+    : (conversion.status === 'completed' ? totalChunks : 0);
+
+  return {
+    id: conversion.id,
+    status: conversion.status,
+    title: conversion.title,
+    progress: totalChunks > 0 ? Math.round((completedChunks / totalChunks) * 100) : 0,
+    currentChunk: completedChunks,
+    completedChunks,
+    activeChunks: job && job.activeChunks ? job.activeChunks : [],
+    totalChunks,
+    cache: countCacheHits(job ? job.chunkSources : conversion.chunkSources),
+    error: conversion.error
+  };
+}
+
+/**
+ * Count chunks served from the audio cache
+ * @param {Array<Object|null>} chunkSources - Per-chunk sources
+ * @returns {Object} - { hits, misses }
+ */
+function countCacheHits(chunkSources = []) {
+  const known = (chunkSources || []).filter(Boolean);
+  const hits = known.filter(source => source.cached).length;
+
+  return { hits, misses: known.length - hits };
+}
+
+/**
+ * Look up the queued job of a conversion that can still be controlled
+ * @param {string} conversionId - Conversion ID
+ * @returns {Promise<Object>} - Job object
+ */
+async function getControllableJob(conversionId) {
+  const job = await getJobQueue().getJob(conversionId);
+
+  if (!job || job.status === 'cancelled' || job.status === 'failed') {
+    const error = new Error(`No active job for conversion: ${conversionId}`);
+    error.status = 409;
+    throw error;
+  }
+
+  return job;
+}
+
+/**
+ * Run a queued conversion without blocking the caller
+ * @param {string} conversionId - Conversion ID
+ */
+function startJob(conversionId) {
+  runningJobs.add(conversionId);
+
+  runConversion(conversionId)
+    .catch(error => {
+      console.error('Conversion error:', error);
+    })
+    .finally(() => {
+      runningJobs.delete(conversionId);
+    });
+}
+
+/**
+ * Process a conversion until it finishes, fails or stays halted
+ * A resume that arrives while a paused loop is still finishing its
+ * in-flight chunks finds the loop running; the loop then starts over.
+ * @param {string} conversionId - Conversion ID
+ */
+async function runConversion(conversionId) {
+  while (await processConversion(conversionId) === RESUMED) {
+    console.log(`Conversion ${conversionId} resumed before its loop stopped, continuing`);
+  }
+}
+
+/**
+ * Check between chunks whether a job was paused, cancelled or deleted
+ * @param {string} conversionId - Conversion ID
+ * @returns {Promise<boolean>} - True if the chunk loop should stop
+ */
+async function isHaltRequested(conversionId) {
+  const job = await getJobQueue().getJob(conversionId);
+  return !job || job.status === 'paused' || job.status === 'cancelled';
+}
+
+/**
+ * Settle a job whose chunk loop stopped early
+ *
+ * Cancelled (or deleted) jobs are removed together with their chunk audio;
+ * paused jobs keep it so a later resume continues where this run stopped.
+ * A job resumed while the loop was stopping is back to processing and has
+ * to run again.
+ *
+ * @param {string} conversionId - Conversion ID
+ * @returns {Promise<symbol|undefined>} - RESUMED if the loop should run again
+ */
+async function settleHaltedJob(conversionId) {
+  const jobQueue = getJobQueue();
+  const job = await jobQueue.getJob(conversionId);
+
+  if (job && job.status !== 'paused' && job.status !== 'cancelled') {
+    return RESUMED;
+  }
+
+  if (job && job.status === 'paused') {
+    console.log(`Conversion ${conversionId} paused`);
+    getProgressEvents().publish(conversionId, 'paused', {
+      completedChunks: job.completedChunks.length,
+      totalChunks: job.totalChunks
+    });
+    return;
+  }
+
+  // A deleted conversion no longer has a job
+  console.log(`Conversion ${conversionId} cancelled`);
+  await jobQueue.removeJob(conversionId);
+  getProgressEvents().publish(conversionId, 'cancelled');
+}
+
+/**
+ * Process a queued conversion in the background
+ *
+ * Chunks whose audio is already stored in the job queue are reused, so a
+ * resumed job continues from the last completed chunk.
+ * @returns {Promise<symbol|undefined>} - RESUMED if the job was resumed while halting
+ */
+async function processConversion(conversionId) {
+  const storage = getStorage();
+  const jobQueue = getJobQueue();
+  const events = getProgressEvents();
+  const startedAt = Date.now();
+
+  try {
+    const conversion = await storage.getConversion(conversionId);
+    let job = await jobQueue.getJob(conversionId);
+
+    if (!job) {
+      throw new Error(`No queued job for conversion: ${conversionId}`);
+    }
+
+    const { ttsOptions } = job;
+    const chain = createProviderChain(job.provider, job.fallbackProviders);
+    const [{ provider }] = chain;
+
+    // Chunk the text once; resumed jobs and chunks edited before starting
+    // (POST /api/chunks/preview) are kept as they are.
+    // Size chunks so every provider in the chain accepts them and their
+    // speech fits max_new_tokens.
+    if (job.chunks.length === 0) {
+      const segments = await chunkConversionText(conversion.text, ttsOptions, chain, conversion.chapters || []);
+
+      job = await jobQueue.updateJob(conversionId, {
+        chunks: segments.map(segment => segment.text),
+        chunkSpeakers: segments.map(segment => segment.speaker),
+        chunkChapters: segments.map(segment => segment.chapter),
+        totalChunks: segments.length
+      });
+    }
+
+    const { chunks } = job;
+    const chunkOptions = chunks.map((_, i) => ({
+      ...getChunkOptions(ttsOptions, (job.chunkSpeakers || [])[i] || null),
+      ...((job.chunkOverrides || [])[i] || {})
+    }));
+
+    if (await isHaltRequested(conversionId)) {
+      return settleHaltedJob(conversionId);
+    }
+
+    if (job.status === 'queued') {
+      await jobQueue.updateJob(conversionId, { status: 'processing' });
+    }
+
+    console.log(`Processing ${chunks.length} chunks for conversion ${conversionId}`);
+    console.log(`TTS Options:`, ttsOptions);
+
+    // Generate chunks in parallel, reusing chunks finished before a restart.
+    // Each provider's requests are also capped across conversions (see
+    // BaseTTSProvider.retry). Results stay in chunk order.
+    let halted = false;
+    await jobQueue.updateJob(conversionId, { activeChunks: [] });
+
+    const audioBuffers = await mapWithConcurrency(chunks, provider.getConcurrency(), async (chunk, i) => {
+      if (await jobQueue.hasChunkAudio(job, i)) {
+        return jobQueue.loadChunkAudio(conversionId, i);
+      }
+
+      // Honour pause/cancel requests between chunks
+      if (halted || await isHaltRequested(conversionId)) {
+        halted = true;
+        return null;
+      }
+
+      console.log(`Generating audio for chunk ${i + 1}/${chunks.length}`);
+      await jobQueue.setChunkActive(conversionId, i, true);
+
+      const chunkStartedAt = Date.now();
+      events.publish(conversionId, 'chunk-started', {
+        chunkIndex: i,
+        totalChunks: chunks.length,
+        preview: previewText(chunk)
+      });
+
+      let result;
+
+      try {
+        result = await generateChunkAudio(chain, chunk, chunkOptions[i], {
+          onFailover: (from, to, error) => {
+            console.warn(`Chunk ${i + 1} failed on ${from} (${error.message}), failing over to ${to}`);
+            events.publish(conversionId, 'chunk-failover', {
+              chunkIndex: i,
+              from,
+              to,
+              error: error.message
+            });
+          },
+          onResplit: ({ duration, expected, parts }) => {
+            console.warn(
+              `Chunk ${i + 1} audio looks cut off (${duration.toFixed(1)}s, expected ~${expected.toFixed(1)}s), ` +
+              `regenerating in ${parts} parts`
+            );
+            events.publish(conversionId, 'chunk-resplit', {
+              chunkIndex: i,
+              durationSec: duration,
+              expectedSec: expected,
+              parts
+            });
+          }
+        });
+      } catch (error) {
+        error.chunkIndex = i;
+        throw error;
+      } finally {
+        await jobQueue.setChunkActive(conversionId, i, false);
+      }
+
+      const { audioBuffer, source } = result;
+
+      // Persist chunk audio, the provider that produced it, and progress
+      const updatedJob = await jobQueue.saveChunkAudio(conversionId, i, audioBuffer, source);
+      const completedChunks = updatedJob.completedChunks.length;
+
+      events.publish(conversionId, 'chunk-completed', {
+        chunkIndex: i,
+        totalChunks: chunks.length,
+        completedChunks,
+        progress: Math.round((completedChunks / chunks.length) * 100),
+        preview: previewText(chunk),
+        durationMs: Date.now() - chunkStartedAt,
+        cached: source.cached
+      });
+
+      return audioBuffer;
+    });
+
+    if (halted || await isHaltRequested(conversionId)) {
+      return settleHaltedJob(conversionId);
+    }
+
+    // Concatenate audio buffers
+    events.publish(conversionId, 'concatenating', { totalChunks: chunks.length });
+
+    // Keep each chunk's audio so single chunks can be regenerated later,
+    // dropping chunks an edit left the conversion without
+    for (let i = 0; i < audioBuffers.length; i++) {
+      await storage.saveChunkAudio(conversionId, i, audioBuffers[i]);
+    }
+    await storage.pruneChunkAudio(conversionId, audioBuffers.length);
+
+    const { audioPath, duration, transcript, chunks: chunkRecords } = await assembleConversionAudio(
+      conversionId,
+      chunks.map((text, i) => ({
+        text,
+        speaker: (job.chunkSpeakers || [])[i] || null,
+        chapter: (job.chunkChapters || [])[i] ?? null,
+        sourceText: (job.chunkSourceTexts || [])[i] ?? undefined,
+        ...((job.chunkOverrides || [])[i] || {})
+      })),
+      audioBuffers
+    );
+
+    // Record which provider and voice produced each chunk
+    const chunkSources = chunks.map((_, i) => job.chunkSources[i] || null);
+    const { providersUsed, warnings } = summarizeChunkSources(
+      chunkSources,
+      chunkOptions.map(options => options.voice)
+    );
+
+    // Update conversion as completed
+    await storage.updateConversion(conversionId, {
+      status: 'completed',
+      audioPath,
+      duration,
+      chunkCount: chunks.length,
+      chunks: chunkRecords,
+      chapters: locateChapterAudio(conversion.chapters || [], chunkRecords),
+      transcript,
+      renderedAt: new Date().toISOString(),
+      chunkSources,
+      providersUsed,
+      warnings
+    });
+
+    // Remove job and its intermediate chunk audio
+    await jobQueue.removeJob(conversionId);
+
+    events.publish(conversionId, 'completed', {
+      duration,
+      chunkCount: chunks.length,
+      elapsedMs: Date.now() - startedAt
+    });
+
+    console.log(`Conversion ${conversionId} completed successfully`);
+  } catch (error) {
+    // Chunks still in flight when a cancel arrived are not failures
+    const currentJob = await jobQueue.getJob(conversionId);
+
+    if (currentJob && currentJob.status === 'cancelled') {
+      return settleHaltedJob(conversionId);
+    }
+
+    console.error(`Conversion ${conversionId} failed:`, error);
+
+    const failedChunkIndex = error.chunkIndex !== undefined ? error.chunkIndex : null;
+
+    // A failed text edit puts back the rendition it replaced
+    const rolledBack = currentJob && currentJob.editedVersion
+      ? await rollBackEdit(conversionId, currentJob.editedVersion, error, failedChunkIndex)
+      : false;
+
+    if (!rolledBack) {
+      await storage.updateConversion(conversionId, {
+        status: 'failed',
+        error: error.message,
+        failedChunkIndex
+      }).catch(() => {});
+    }
+
+    // Keep the job and its finished chunk audio so the conversion can be retried
+    if (currentJob && !rolledBack) {
+      await jobQueue.updateJob(conversionId, {
+        status: 'failed',
+        failedChunk: failedChunkIndex,
+        error: error.message
+      });
+    }
+
+    events.publish(conversionId, 'failed', {
+      error: error.message,
+      chunkIndex: failedChunkIndex,
+      elapsedMs: Date.now() - startedAt
+    });
+
+    throw error;
+  }
+}
+
+/**
+ * Undo a text edit whose re-render failed
+ * The conversion gets its previous text and audio back and stays
+ * completed; the error is kept so the failed edit can be reported.
+ * @param {string} conversionId - Conversion ID
+ * @param {number} version - Version archived by the edit
+ * @param {Error} error - Re-render error
+ * @param {number|null} failedChunkIndex - Chunk that failed, if known * @returns {Promise<boolean>} - Whether the edit was undone
+ */
+async function rollBackEdit(conversionId, version, error, failedChunkIndex) {
+  const storage = getStorage();
+  const jobQueue = getJobQueue();
+
+  try {
+    await storage.revertVersion(conversionId, version);
+    await storage.updateConversion(conversionId, {
+      status: 'completed',
+      error: `Edit not applied: ${error.message}`,
+      failedChunkIndex
+    });
+    await jobQueue.removeJob(conversionId);
+    return true;
+  } catch (rollbackError) {
+    console.error(`Failed to roll back edit of conversion ${conversionId}:`, rollbackError);
+    return false;
+  }
+}
+
+/**
+ * Re-attach to conversions left unfinished by a previous server run
+ */
+async function resumeUnfinishedJobs() {
+  const storage = getStorage();
+  const jobQueue = getJobQueue();
+
+  const unfinished = await jobQueue.getUnfinishedJobs();
+  const resumedIds = new Set(unfinished.map(job => job.id));
+
+  for (const job of unfinished) {
+    console.log(`Resuming conversion ${job.id} (${job.completedChunks.length}/${job.totalChunks} chunks done)`);
+    startJob(job.id);
+  }
+
+  // Conversions stuck in processing without a job cannot be resumed
+  const processing = await storage.getConversions({ status: 'processing' });
+
+  for (const conversion of processing) {
+    if (!resumedIds.has(conversion.id)) {
+      await storage.updateConversion(conversion.id, {
+        status: 'failed',
+        error: 'Conversion was interrupted by a server restart'
+      });
+    }
+  }
+}
+
+// ==================== Serve Frontend ====================
+
+app.get('/history', (req, res) => {
+  res.sendFile(path.join(__dirname, '../frontend/history.html'));
+});
+
+app.get('/lexicon', (req, res) => {
+  res.sendFile(path.join(__dirname, '../frontend/lexicon.html'));
+});
+
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, '../frontend/index.html'));
+});
+
+// ==================== Error Handling ====================
+
+app.use((err, req, res, next) => {
+  console.error('Server error:', err);
+
+  res.status(err.status || 500).json({
+    error: err.message || 'Internal server error'
+  });
+});
+
+// ==================== Start Server ====================
+
+app.listen(PORT, () => {
   const segmindStatus = process.env.SEGMIND_API_KEY ? '✓' : '✗';
   const deepinfraStatus = process.env.DEEPINFRA_API_KEY ? '✓' : '✗';
   const hfStatus = process.env.HF_API_KEY ? '✓' : '✗';
@@ -433,6 +2340,10 @@ app.listen(PORT, () => {
 ║                                                          ║
 ╚══════════════════════════════════════════════════════════╝
   `);
+
+  resumeUnfinishedJobs().catch(error => {
+    console.error('Failed to resume unfinished jobs:', error);
+  });
 });
 
 export default app;
@@ -0,0 +1,313 @@
+/**
+ * Chunk Audio Cache
+ *
+ * Content-addressed store of generated chunk audio, so re-converting the
+ * same text with the same provider, voice and settings doesn't pay the
+ * provider again:
+ * - Audio files in conversions/cache/<hash>.bin
+ * - Index (size, last access) and hit/miss counters in conversions/cache/index.json
+ *
+ * The cache is bounded by size; least recently used entries are evicted.
+ * Lookups only touch the index in memory; it is written shortly after a
+ * burst of them, and at once when entries are added or removed.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+export class AudioCache {
+  constructor(config = {}) {
+    this.cacheDir = config.cacheDir || './conversions/cache';
+    this.indexPath = path.join(this.cacheDir, 'index.json');
+    this.maxSizeBytes = config.maxSizeBytes !== undefined
+      ? config.maxSizeBytes
+      : 500 * 1024 * 1024;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    this.initialized = false;
+
+    // Serializes index writes so concurrent updates never interleave
+    this.writeChain = Promise.resolve();
+
+    // Delay before lookups since the last write are persisted
+    this.persistDelayMs = config.persistDelayMs !== undefined ? config.persistDelayMs : 1000;
+    this.persistTimer = null;
+  }
+
+  /**
+   * Initialize cache (create directory and load the index)
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      await fs.mkdir(this.cacheDir, { recursive: true });
+
+      const data = await this.readIndex();
+      for (const entry of data.entries) {
+        this.entries.set(entry.key, entry);
+      }
+      this.hits = data.hits || 0;
+      this.misses = data.misses || 0;
+
+      this.initialized = true;
+    } catch (error) {
+      throw new Error(`Failed to initialize audio cache: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether caching is enabled (a size bound of 0 disables it)
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.maxSizeBytes > 0;
+  }
+
+  /**
+   * Read index file
+   * @returns {Promise<Object>} - Index object
+   */
+  async readIndex() {
+    try {
+      const data = await fs.readFile(this.indexPath, 'utf-8');
+      return JSON.parse(data);
+    } catch (error) {
+      // If file doesn't exist or is invalid, start empty
+      return { entries: [], hits: 0, misses: 0 };
+    }
+  }
+
+  /**
+   * Persist the index (atomic operation, serialized)
+   * @returns {Promise<void>}
+   */
+  persist() {
+    // This write covers any pending lookups
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+
+    const write = async () => {
+      const tempPath = `${this.indexPath}.tmp`;
+      const data = {
+        entries: [...this.entries.values()],
+        hits: this.hits,
+        misses: this.misses
+      };
+
+      try {
+        await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf-8');
+        await fs.rename(tempPath, this.indexPath);
+      } catch (error) {
+        try {
+          await fs.unlink(tempPath);
+        } catch (e) {
+          // Ignore cleanup errors
+        }
+
+        throw new Error(`Failed to write audio cache index: ${error.message}`);
+      }
+    };
+
+    this.writeChain = this.writeChain.then(write, write);
+    return this.writeChain;
+  }
+
+  /**
+   * Persist the index after persistDelayMs, once for all lookups until then
+   * Doesn't keep the process alive; lookups since the last write may be lost.
+   */
+  schedulePersist() {
+    if (this.persistTimer) return;
+
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persist().catch(error => console.warn(error.message));
+    }, this.persistDelayMs);
+    this.persistTimer.unref();
+  }
+
+  /**
+   * Build the cache key of a chunk
+   * @param {Object} identity - Provider identity from provider.getCacheIdentity()
+   * @param {Object} options - TTS options (voice and sampling params)
+   * @param {string} text - Normalized chunk text
+   * @returns {string} - SHA-256 hex digest
+   */
+  createKey(identity, options, text) {
+    const params = Object.keys(options || {})
+      .sort()
+      .filter(key => options[key] !== undefined && options[key] !== null && options[key] !== '')
+      .map(key => [key, options[key]]);
+
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ ...identity, params, text }))
+      .digest('hex');
+  }
+
+  /**
+   * Get the path of a cached audio file
+   * @param {string} key - Cache key
+   * @returns {string} - File path
+   */
+  getEntryPath(key) {
+    return path.join(this.cacheDir, `${key}.bin`);
+  }
+
+  /**
+   * Look up cached audio, counting the hit or miss
+   * @param {string} key - Cache key
+   * @returns {Promise<Buffer|null>} - Audio or null on a miss
+   */
+  async get(key) {
+    if (!this.isEnabled()) return null;
+    await this.initialize();
+
+    const entry = this.entries.get(key);
+    let audioBuffer = null;
+
+    if (entry) {
+      try {
+        audioBuffer = await fs.readFile(this.getEntryPath(key));
+        entry.lastAccessed = new Date().toISOString();
+      } catch (error) {
+        // File removed behind our back; forget the entry
+        this.entries.delete(key);
+      }
+    }
+
+    if (audioBuffer) {
+      this.hits++;
+    } else {
+      this.misses++;
+    }
+
+    this.schedulePersist();
+    return audioBuffer;
+  }
+
+  /**
+   * Store audio and evict least recently used entries beyond the size bound
+   * @param {string} key - Cache key
+   * @param {Buffer} audioBuffer - Chunk audio
+   * @param {Object} metadata - Extra fields kept in the index (e.g. provider)
+   * @returns {Promise<void>}
+   */
+  async set(key, audioBuffer, metadata = {}) {
+    if (!this.isEnabled() || audioBuffer.length > this.maxSizeBytes) return;
+    await this.initialize();
+
+    await fs.writeFile(this.getEntryPath(key), audioBuffer);
+
+    const now = new Date().toISOString();
+    this.entries.set(key, {
+      key,
+      ...metadata,
+      size: audioBuffer.length,
+      createdAt: now,
+      lastAccessed: now
+    });
+
+    await this.evict();
+    await this.persist();
+  }
+
+  /**
+   * Remove least recently used entries until the cache fits its bound
+   * @returns {Promise<number>} - Number of evicted entries
+   */
+  async evict() {
+    let totalSize = this.getTotalSize();
+    const byAge = [...this.entries.values()].sort((a, b) =>
+      a.lastAccessed.localeCompare(b.lastAccessed)
+    );
+    let evicted = 0;
+
+    for (const entry of byAge) {
+      if (totalSize <= this.maxSizeBytes) break;
+
+      this.entries.delete(entry.key);
+      totalSize -= entry.size;
+      evicted++;
+      await fs.rm(this.getEntryPath(entry.key), { force: true });
+    }
+
+    return evicted;
+  }
+
+  /**
+   * Remove every cached entry and reset the counters
+   * @returns {Promise<Object>} - { removedEntries, freedBytes }
+   */
+  async clear() {
+    await this.initialize();
+
+    const removedEntries = this.entries.size;
+    const freedBytes = this.getTotalSize();
+
+    for (const key of this.entries.keys()) {
+      await fs.rm(this.getEntryPath(key), { force: true });
+    }
+
+    this.entries.clear();
+    this.hits = 0;
+    this.misses = 0;
+    await this.persist();
+
+    return { removedEntries, freedBytes };
+  }
+
+  /**
+   * Get total size of cached audio
+   * @returns {number} - Bytes
+   */
+  getTotalSize() {
+    let total = 0;
+    for (const entry of this.entries.values()) {
+      total += entry.size;
+    }
+    return total;
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Promise<Object>}
+   */
+  async getStats() {
+    await this.initialize();
+
+    const lookups = this.hits + this.misses;
+
+    return {
+      enabled: this.isEnabled(),
+      entries: this.entries.size,
+      size: this.getTotalSize(),
+      maxSize: this.maxSizeBytes,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Math.round((this.hits / lookups) * 100) : 0
+    };
+  }
+}
+
+// Singleton instance
+let cacheInstance = null;
+
+/**
+ * Get audio cache instance (singleton)
+ * Size bound from AUDIO_CACHE_MAX_MB (default 500, 0 disables the cache)
+ * @returns {AudioCache}
+ */
+export function getAudioCache() {
+  if (!cacheInstance) {
+    const maxMb = process.env.AUDIO_CACHE_MAX_MB !== undefined
+      ? parseFloat(process.env.AUDIO_CACHE_MAX_MB)
+      : 500;
+
+    cacheInstance = new AudioCache({ maxSizeBytes: Math.round(maxMb * 1024 * 1024) });
+  }
+  return cacheInstance;
+}
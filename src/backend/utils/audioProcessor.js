@@ -14,6 +14,31 @@ import { promisify } from 'util';
 
 const execAsync = promisify(exec);
 
+/**
+ * Audio formats recognised by their file signature
+ */
+const AUDIO_FORMATS = {
+  mp3: { mimeType: 'audio/mpeg', extension: '.mp3' },
+  wav: { mimeType: 'audio/wav', extension: '.wav' },
+  ogg: { mimeType: 'audio/ogg', extension: '.ogg' },
+  flac: { mimeType: 'audio/flac', extension: '.flac' },
+  m4a: { mimeType: 'audio/mp4', extension: '.m4a' },
+  webm: { mimeType: 'audio/webm', extension: '.webm' }
+};
+
+// MPEG audio bitrates (kbps) by bitrate index: MPEG-1 and MPEG-2/2.5 Layer III
+const MP3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+// Sample rates by sample rate index: MPEG-1, MPEG-2, MPEG-2.5
+const MP3_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000]
+};
+
 export class AudioProcessor {
   constructor(config = {}) {
     this.config = {
@@ -178,6 +203,124 @@ export class AudioProcessor {
     }
   }
 
+  /**
+   * Get the duration of audio in a buffer
+   * Reads WAV headers and walks MP3 (Layer III) frames; no FFmpeg needed.
+   * @param {Buffer} buffer - Audio data
+   * @returns {number|null} - Duration in seconds, or null if the format can't be measured
+   */
+  getBufferDuration(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+
+    const { format } = this.detectFormat(buffer);
+
+    if (format === 'wav') {
+      const wav = this.parseWav(buffer);
+      return wav && wav.byteRate > 0 ? wav.dataSize / wav.byteRate : null;
+    }
+
+    return format === 'mp3' ? this.getMp3Duration(buffer) : null;
+  }
+
+  /**
+   * Locate the format and data chunks of a WAV file
+   * @param {Buffer} buffer - WAV data
+   * @returns {Object|null} - { fmt, byteRate, dataOffset, dataSize } or null if malformed
+   */
+  parseWav(buffer) {
+    let offset = 12;
+    let fmt = null;
+
+    while (offset + 8 <= buffer.length) {
+      const id = buffer.slice(offset, offset + 4).toString('ascii');
+      const size = buffer.readUInt32LE(offset + 4);
+
+      if (id === 'fmt ') {
+        fmt = buffer.slice(offset + 8, offset + 8 + size);
+      } else if (id === 'data' && fmt) {
+        return {
+          fmt,
+          byteRate: fmt.readUInt32LE(8),
+          dataOffset: offset + 8,
+          dataSize: Math.min(size, buffer.length - offset - 8)
+        };
+      }
+
+      offset += 8 + size + (size % 2);
+    }
+
+    return null;
+  }
+
+  /**
+   * Sum the durations of the MP3 frames in a buffer
+   * @param {Buffer} buffer - MP3 data
+   * @returns {number|null} - Seconds, or null if no frames were found
+   */
+  getMp3Duration(buffer) {
+    let offset = 0;
+    let duration = 0;
+    let frames = 0;
+
+    // Skip an ID3v2 tag (size is a 28-bit syncsafe integer)
+    if (buffer.slice(0, 3).toString('ascii') === 'ID3' && buffer.length >= 10) {
+      offset = 10 + ((buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9]);
+    }
+
+    while (offset + 4 <= buffer.length) {
+      const b1 = buffer[offset + 1];
+      const b2 = buffer[offset + 2];
+
+      if (buffer[offset] !== 0xFF || (b1 & 0xE0) !== 0xE0 || ((b1 >> 1) & 3) !== 1) {
+        break;
+      }
+
+      const version = [2.5, null, 2, 1][(b1 >> 3) & 3];
+      const bitrate = version && MP3_BITRATES[version === 1 ? 1 : 2][b2 >> 4];
+      const sampleRate = version && MP3_SAMPLE_RATES[version][(b2 >> 2) & 3];
+
+      if (!bitrate || !sampleRate) break;
+
+      const samples = version === 1 ? 1152 : 576;
+      const frameLength = Math.floor((samples / 8) * bitrate * 1000 / sampleRate) + ((b2 >> 1) & 1);
+
+      duration += samples / sampleRate;
+      frames++;
+      offset += frameLength;
+    }
+
+    return frames > 0 ? duration : null;
+  }
+
+  /**
+   * Join audio buffers in memory
+   * WAV buffers with the same format are merged under one header; other
+   * formats (e.g. MP3 frames) are joined byte-wise.
+   * @param {Array<Buffer>} buffers - Audio buffers in order
+   * @returns {Buffer} - Joined audio
+   */
+  joinBuffers(buffers) {
+    if (buffers.length === 1) return buffers[0];
+
+    const wavs = buffers.map(buffer =>
+      this.detectFormat(buffer).format === 'wav' ? this.parseWav(buffer) : null
+    );
+
+    if (!wavs.every(wav => wav && wav.fmt.equals(wavs[0].fmt))) {
+      return Buffer.concat(buffers);
+    }
+
+    const header = Buffer.from(buffers[0].slice(0, wavs[0].dataOffset));
+    const data = Buffer.concat(buffers.map((buffer, i) =>
+      buffer.slice(wavs[i].dataOffset, wavs[i].dataOffset + wavs[i].dataSize)
+    ));
+
+    header.writeUInt32LE(header.length - 8 + data.length, 4);
+    header.writeUInt32LE(data.length, header.length - 4);
+
+    return Buffer.concat([header, data]);
+  }
+
   /**
    * Convert audio format
    * @param {string} inputPath - Input file path
@@ -231,6 +374,47 @@ export class AudioProcessor {
     }
   }
 
+  /**
+   * Detect audio format from a buffer's leading bytes
+   * @param {Buffer} buffer - Start of an audio file (12 bytes is enough)
+   * @returns {Object} - { format, mimeType, extension }, mp3 if unrecognised
+   */
+  detectFormat(buffer) {
+    const ascii = (start, end) => buffer.slice(start, end).toString('ascii');
+    let format = 'mp3';
+
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') {
+      format = 'wav';
+    } else if (ascii(0, 4) === 'OggS') {
+      format = 'ogg';
+    } else if (ascii(0, 4) === 'fLaC') {
+      format = 'flac';
+    } else if (ascii(4, 8) === 'ftyp') {
+      format = 'm4a';
+    } else if (buffer.slice(0, 4).toString('hex') === '1a45dfa3') {
+      format = 'webm';
+    }
+
+    return { format, ...AUDIO_FORMATS[format] };
+  }
+
+  /**
+   * Detect the audio format of a file on disk
+   * @param {string} filePath - Path to audio file
+   * @returns {Promise<Object>} - { format, mimeType, extension }
+   */
+  async detectFileFormat(filePath) {
+    const handle = await fs.open(filePath, 'r');
+
+    try {
+      const buffer = Buffer.alloc(12);
+      const { bytesRead } = await handle.read(buffer, 0, 12, 0);
+      return this.detectFormat(buffer.slice(0, bytesRead));
+    } finally {
+      await handle.close();
+    }
+  }
+
   /**
    * Validate audio buffer
    * @param {Buffer} buffer - Audio buffer
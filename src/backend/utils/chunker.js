@@ -5,10 +5,20 @@
  * - Sentence boundaries (don't break mid-sentence)
  * - Paragraph boundaries (prefer paragraph breaks)
  * - Character limits per TTS provider
+ * - Emotion tags such as <laugh> (never cut in half)
+ * - Speaker turns in multi-voice scripts (never crossed)
+ * - Narration vs. quoted dialogue, for two-voice reading
  *
  * This ensures natural-sounding audio without jarring transitions.
  */
 
+// Speaker label at the start of a line, e.g. "TARA: Hello"
+const SPEAKER_LABEL = /^([A-Za-z][A-Za-z0-9 .'_-]{0,39}):[^\S\n]*(.*)$/;
+
+// Speakers assigned by the dialogue detector
+export const NARRATOR = 'NARRATOR';
+export const DIALOGUE = 'DIALOGUE';
+
 export class TextChunker {
   constructor(maxChunkSize = 1000) {
     this.maxChunkSize = maxChunkSize;
@@ -70,6 +80,227 @@ export class TextChunker {
     return chunks.filter(chunk => chunk.length > 0);
   }
 
+  /**
+   * Split a multi-voice script into speaker-attributed chunks
+   *
+   * Lines starting with a speaker label (`TARA: ...`) begin a turn; the
+   * following lines belong to it until the next label. Text before the
+   * first label has no speaker. Chunks never cross a speaker change.
+   *
+   * @param {string} text - Script, optionally with a front-matter speaker map
+   * @returns {Object} - { segments: [{ text, speaker }], voices, speakers }
+   */
+  chunkScript(text) {
+    const { body, voices } = this.parseScriptFrontMatter(text || '');
+    const turns = this.splitIntoTurns(body);
+
+    return {
+      segments: this.chunkSegments(turns),
+      voices,
+      speakers: [...new Set(turns.map(turn => turn.speaker).filter(Boolean))]
+    };
+  }
+
+  /**
+   * Split prose into narration and quoted dialogue chunks
+   * @param {string} text - Prose text
+   * @returns {Array<Object>} - [{ text, speaker }] with NARRATOR or DIALOGUE speakers
+   */
+  chunkDialogue(text) {
+    return this.chunkSegments(this.splitDialogue(text || ''));
+  }
+
+  /**
+   * Detect quoted dialogue, sentence by sentence
+   *
+   * Handles curly (“ ” ‘ ’) and straight (" ') quotes; apostrophes inside
+   * words are not quotes. Dialogue continues into the next paragraph when
+   * that paragraph reopens with the same quote mark (the usual convention
+   * for long speeches); otherwise an unclosed quote ends with its paragraph.
+   *
+   * @param {string} text - Prose text
+   * @returns {Array<Object>} - [{ text, speaker }] in reading order
+   */
+  splitDialogue(text) {
+    const segments = [];
+    let quote = null;
+
+    for (const paragraph of this.splitIntoParagraphs(text)) {
+      const continued = quote !== null && paragraph.startsWith(quote.open);
+      let current = '';
+
+      if (!continued) {
+        quote = null;
+      }
+
+      const flush = () => {
+        if (current.trim().length > 0) {
+          segments.push({ text: current.trim(), speaker: quote ? DIALOGUE : NARRATOR });
+        }
+        current = '';
+      };
+
+      this.splitIntoSentences(paragraph).forEach((sentence, s) => {
+        current += s > 0 ? ' ' : '';
+
+        for (let j = 0; j < sentence.length; j++) {
+          const char = sentence[j];
+          const prev = sentence[j - 1] || ' ';
+          const next = sentence[j + 1] || ' ';
+
+          if (quote) {
+            current += char;
+
+            // The reopening mark of a continued quote doesn't close it
+            const reopening = continued && s === 0 && j === 0;
+            if (!reopening && this.isClosingQuote(char, quote, prev, next)) {
+              flush();
+              quote = null;
+            }
+          } else {
+            const close = this.getClosingQuote(char, prev, next);
+
+            if (close) {
+              flush();
+              quote = { open: char, close };
+            }
+            current += char;
+          }
+        }
+      });
+
+      flush();
+    }
+
+    return segments;
+  }
+
+  /**
+   * Get the closing mark if a character opens a quote
+   * @param {string} char - Character
+   * @param {string} prev - Preceding character
+   * @param {string} next - Following character
+   * @returns {string|null} - Closing mark, or null if not an opening quote
+   */
+  getClosingQuote(char, prev, next) {
+    if (char === '“') return '”';
+    if (char === '"') return '"';
+
+    // Single quotes open only at a word start, so apostrophes don't count
+    if ((char === '‘' || char === "'") && /[\s(\[—–-]/.test(prev) && /\S/.test(next)) {
+      return char === '‘' ? '’' : "'";
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a character closes the current quote
+   * @param {string} char - Character
+   * @param {Object} quote - Open quote { open, close }
+   * @param {string} prev - Preceding character
+   * @param {string} next - Following character
+   * @returns {boolean}
+   */
+  isClosingQuote(char, quote, prev, next) {
+    if (quote.close === '”' || quote.close === '"') {
+      return char === '”' || char === '"';
+    }
+
+    // Single quotes close next to punctuation, so apostrophes ("don’t",
+    // "the dogs’ bowls") stay inside the quote
+    return (char === '’' || char === "'") &&
+      (/[.,!?;:…—–-]/.test(prev) || /[.,!?;:…—–)]/.test(next));
+  }
+
+  /**
+   * Chunk speaker-attributed segments without crossing speakers
+   * Adjacent segments of the same speaker are packed together.
+   * @param {Array<Object>} segments - [{ text, speaker }]
+   * @returns {Array<Object>} - [{ text, speaker }] within the size limit
+   */
+  chunkSegments(segments) {
+    const merged = [];
+
+    for (const segment of segments) {
+      const last = merged[merged.length - 1];
+
+      if (last && last.speaker === segment.speaker) {
+        last.text += '\n\n' + segment.text;
+      } else {
+        merged.push({ ...segment });
+      }
+    }
+
+    return merged.flatMap(segment =>
+      this.chunk(segment.text).map(text => ({ text, speaker: segment.speaker }))
+    );
+  }
+
+  /**
+   * Split a script body into speaker turns
+   * @param {string} text - Script body
+   * @returns {Array<Object>} - [{ text, speaker }] with uppercase speaker names
+   */
+  splitIntoTurns(text) {
+    const turns = [];
+    let current = { speaker: null, lines: [] };
+
+    for (const line of text.split('\n')) {
+      const match = line.trim().match(SPEAKER_LABEL);
+
+      if (match) {
+        turns.push(current);
+        current = { speaker: match[1].trim().toUpperCase(), lines: [match[2]] };
+      } else {
+        current.lines.push(line);
+      }
+    }
+    turns.push(current);
+
+    return turns
+      .map(turn => ({ speaker: turn.speaker, text: turn.lines.join('\n').trim() }))
+      .filter(turn => turn.text.length > 0);
+  }
+
+  /**
+   * Read a speaker-to-voice map from front matter
+   *
+   *   ---
+   *   speakers:
+   *     TARA: tara
+   *     Dr. Smith: dan
+   *   ---
+   *
+   * @param {string} text - Script text
+   * @returns {Object} - { body, voices } with uppercase speaker names
+   */
+  parseScriptFrontMatter(text) {
+    const match = text.match(/^\s*---\n([\s\S]*?)\n---[^\S\n]*(?:\n|$)/);
+
+    if (!match) {
+      return { body: text, voices: {} };
+    }
+
+    const voices = {};
+    let inSpeakers = false;
+
+    for (const line of match[1].split('\n')) {
+      if (/^speakers:\s*$/.test(line)) {
+        inSpeakers = true;
+      } else if (inSpeakers && /^\s+\S/.test(line)) {
+        const entry = line.match(/^\s+(.+?):\s*["']?([\w-]+)["']?\s*$/);
+        if (entry) {
+          voices[entry[1].trim().toUpperCase()] = entry[2];
+        }
+      } else {
+        inSpeakers = false;
+      }
+    }
+
+    return { body: text.slice(match[0].length), voices };
+  }
+
   /**
    * Split text into paragraphs
    * @param {string} text - Text to split
@@ -160,9 +391,7 @@ export class TextChunker {
         }
 
         // Split long word into character chunks
-        for (let i = 0; i < word.length; i += this.safeChunkSize) {
-          chunks.push(word.slice(i, i + this.safeChunkSize));
-        }
+        chunks.push(...this.splitLongWord(word));
       }
       // If adding word would exceed limit, save current chunk
       else if (currentChunk.length + word.length + 1 > this.safeChunkSize) {
@@ -185,6 +414,35 @@ export class TextChunker {
     return chunks;
   }
 
+  /**
+   * Split a word longer than the chunk size into pieces
+   * Cuts are moved back so they never fall inside an emotion tag.
+   * @param {string} word - Word to split
+   * @returns {Array<string>} - Pieces
+   */
+  splitLongWord(word) {
+    const pieces = [];
+    let start = 0;
+
+    while (start < word.length) {
+      let end = Math.min(start + this.safeChunkSize, word.length);
+
+      if (end < word.length) {
+        const open = word.lastIndexOf('<', end - 1);
+        const close = open > start ? word.indexOf('>', open) : -1;
+
+        if (close >= end && /^<[a-z]+>$/.test(word.slice(open, close + 1))) {
+          end = open;
+        }
+      }
+
+      pieces.push(word.slice(start, end));
+      start = end;
+    }
+
+    return pieces;
+  }
+
   /**
    * Get chunking statistics
    * @param {string} text - Text to analyze
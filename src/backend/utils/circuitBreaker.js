@@ -0,0 +1,142 @@
+/**
+ * Provider Circuit Breaker
+ *
+ * Stops sending requests to a TTS provider after repeated failures so a
+ * broken provider fails fast (and failover can move on) instead of being
+ * retried for every chunk.
+ *
+ * States:
+ * - closed: requests flow normally
+ * - open: requests are rejected until the cooldown elapses
+ * - half-open: one trial request is let through; success closes the
+ *   circuit, failure opens it again
+ */
+
+export const CIRCUIT_STATES = ['closed', 'open', 'half-open'];
+
+export class CircuitBreaker {
+  /**
+   * @param {Object} options
+   * @param {number} options.failureThreshold - Consecutive failures before opening (default: 5)
+   * @param {number} options.cooldownMs - Time the circuit stays open (default: 30000)
+   */
+  constructor({ failureThreshold = 5, cooldownMs = 30000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+  }
+
+  /**
+   * Claim permission to send a request
+   * @param {string} providerName - Name used in the error message
+   * @throws {Error} - With status 503 and code CIRCUIT_OPEN when the circuit is open
+   */
+  beforeRequest(providerName) {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half-open';
+    }
+
+    if (this.state === 'closed') {
+      return;
+    }
+
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return;
+    }
+
+    const retryAt = new Date(this.openedAt + this.cooldownMs);
+    const error = new Error(
+      `${providerName} is temporarily unavailable after ${this.failures} consecutive failures ` +
+      `(last error: ${this.lastError}). Retrying after ${retryAt.toISOString()}`
+    );
+    error.status = 503;
+    error.code = 'CIRCUIT_OPEN';
+    throw error;
+  }
+
+  /**
+   * Record a request the provider answered properly
+   */
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a failed request, opening the circuit at the threshold
+   * @param {Error} error - Failure
+   */
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error.message;
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Get the breaker state for status reporting
+   * @returns {Object}
+   */
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      cooldownMs: this.cooldownMs,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+/**
+ * Whether an error says the provider itself is unhealthy
+ * Rate limits, timeouts, server errors and connection failures count;
+ * other client errors (bad input, auth) mean the provider is up.
+ * @param {Error} error - Request error
+ * @returns {boolean}
+ */
+export function isProviderFailure(error) {
+  if (!error.status) return true;
+  return error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+// Shared breakers, one per provider
+const breakers = new Map();
+
+/**
+ * Get the shared circuit breaker of a provider
+ * The options passed on first use apply until the process restarts.
+ * @param {string} key - Provider name
+ * @param {Object} options - Breaker options (see CircuitBreaker)
+ * @returns {CircuitBreaker}
+ */
+export function getCircuitBreaker(key, options = {}) {
+  if (!breakers.has(key)) {
+    breakers.set(key, new CircuitBreaker(options));
+  }
+  return breakers.get(key);
+}
+
+/**
+ * Get the breaker state of a provider without creating a breaker
+ * @param {string} key - Provider name
+ * @returns {Object} - Breaker state (closed if the provider has not been used)
+ */
+export function getCircuitState(key) {
+  return breakers.has(key)
+    ? breakers.get(key).getState()
+    : { state: 'closed', failures: 0, retryAt: null, lastError: null };
+}
@@ -0,0 +1,46 @@
+/**
+ * Concurrency Utility
+ *
+ * Runs async tasks with a bounded number in flight while keeping
+ * results in input order, regardless of completion order.
+ */
+
+/**
+ * Map items through an async function with at most `limit` calls in flight
+ *
+ * After the first failure no new calls are started; calls already in
+ * flight are allowed to settle before the first error is rethrown.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function called as fn(item, index)
+ * @returns {Promise<Array>} - Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  let nextIndex = 0;
+  let firstError = null;
+
+  async function worker() {
+    while (firstError === null && nextIndex < items.length) {
+      const index = nextIndex++;
+
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        if (firstError === null) {
+          firstError = error;
+        }
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: workerCount }, () => worker()));
+
+  if (firstError !== null) {
+    throw firstError;
+  }
+
+  return results;
+}
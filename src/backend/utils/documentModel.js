@@ -0,0 +1,314 @@
+/**
+ * Document Model
+ *
+ * Structure shared by the file parsers. Parsers emit a flat list of
+ * blocks; buildDocument() nests them into a tree of sections, each opened
+ * by a heading, holding paragraphs, lists, code blocks, tables, block
+ * quotes and asides. renderDocument() turns the tree into the text that is
+ * read aloud, and documentChapters() picks the sections that become
+ * chapter markers.
+ *
+ * Blocks (flat, as emitted by parsers):
+ * - { type: 'heading', level, text }
+ * - { type: 'paragraph', text }
+ * - { type: 'listItem', text, ordered, number?, depth }
+ * - { type: 'code', text, language }
+ * - { type: 'table', caption, header, rows }  (header: cells or null)
+ * - { type: 'aside', text }  (image descriptions and captions)
+ * Any block may carry `quote` (block quote nesting depth).
+ *
+ * Tree nodes:
+ * - { type: 'document', title, children }
+ * - { type: 'section', level, heading, children }
+ * - { type: 'chapter', title, children }  (EPUB chapters; the title is not read)
+ * - { type: 'blockquote', children }
+ * - { type: 'list', ordered, items: [{ type: 'listItem', text, number?, children }] }
+ * - paragraph, code, table and aside blocks as above
+ */
+
+import { ordinalToWords } from './normalizer.js';
+
+/**
+ * Nest blocks into a document tree
+ * @param {Array<Object>} blocks - Flat blocks in reading order
+ * @param {Object} options
+ * @param {string|null} options.title - Document title
+ * @returns {Object} - Document node
+ */
+export function buildDocument(blocks, { title = null } = {}) {
+  const document = { type: 'document', title, children: [] };
+  const sections = [document];
+  let run = [];
+
+  // Blocks between headings are nested together so lists stay whole
+  const flush = () => {
+    sections[sections.length - 1].children.push(...nestBlocks(run));
+    run = [];
+  };
+
+  for (const group of groupQuotes(blocks)) {
+    if (group.type !== 'heading') {
+      run.push(group);
+      continue;
+    }
+
+    flush();
+
+    // Close sections at the same or a deeper level
+    while (sections.length > 1 && sections[sections.length - 1].level >= group.level) {
+      sections.pop();
+    }
+
+    const section = { type: 'section', level: group.level, heading: group.text, children: [] };
+    sections[sections.length - 1].children.push(section);
+    sections.push(section);
+  }
+
+  flush();
+
+  return document;
+}
+
+/**
+ * Build a tree of paragraphs from plain text (blank-line separated)
+ * @param {string} text - Text
+ * @param {Object} options - { title }
+ * @returns {Object} - Document node
+ */
+export function textDocument(text, options = {}) {
+  const blocks = text
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => ({ type: 'paragraph', text: paragraph }));
+
+  return buildDocument(blocks, options);
+}
+
+/**
+ * Render a document tree as text
+ * Blocks are separated by blank lines; list items and table rows are
+ * paragraphs of their own. Reading rules (see readingRules.js) change how
+ * code, numbered lists, headings and tables are read; without them the
+ * tree is rendered literally.
+ * @param {Object} document - Document node
+ * @param {Object} rules - Reading rules
+ * @returns {Object} - { text, starts: Map<section or chapter node, textStart> }
+ */
+export function renderDocument(document, rules = {}) {
+  const paragraphs = [];
+  const starts = new Map();
+  let length = 0;
+
+  const emit = text => {
+    const trimmed = text.trim();
+    if (!trimmed) return;
+
+    length += (paragraphs.length > 0 ? 2 : 0) + trimmed.length;
+    paragraphs.push(trimmed);
+  };
+
+  const render = node => {
+    switch (node.type) {
+      case 'document':
+      case 'blockquote':
+        node.children.forEach(render);
+        break;
+      case 'section':
+      case 'chapter':
+        starts.set(node, paragraphs.length > 0 ? length + 2 : 0);
+        if (node.type === 'section') {
+          // The ellipsis gives the announcement a pause before the section
+          emit(rules.headings === 'announce' ? `Section: ${asSentence(node.heading)} …` : node.heading);
+        }
+        node.children.forEach(render);
+        break;
+      case 'list':
+        for (const item of node.items) {
+          emit(rules.listItems === 'ordinal' && item.number !== undefined
+            ? `${capitalize(ordinalToWords(item.number))}, ${item.text}`
+            : item.text);
+          item.children.forEach(render);
+        }
+        break;
+      case 'code':
+        if (rules.codeBlocks === 'summarize') emit('Code block omitted.');
+        else if (rules.codeBlocks !== 'skip') emit(node.text);
+        break;
+      case 'table':
+        renderTable(node, rules).forEach(emit);
+        break;
+      default:
+        emit(node.text || '');
+    }
+  };
+
+  render(document);
+
+  return { text: paragraphs.join('\n\n'), starts };
+}
+
+/**
+ * Paragraphs of a table
+ * Read: announced, then a row at a time with each cell named by its
+ * column. Literal: the header and rows as comma-separated lines.
+ */
+function renderTable(table, rules) {
+  if (rules.tables === 'skip') return [];
+
+  if (rules.tables !== 'read') {
+    const rows = [table.header, ...table.rows].filter(Boolean).map(row => row.filter(Boolean).join(', '));
+    return table.caption ? [table.caption, ...rows] : rows;
+  }
+
+  const rows = table.rows.map(row => asSentence(row
+    .map((cell, i) => (table.header && table.header[i] && cell ? `${table.header[i]}: ${cell}` : cell))
+    .filter(Boolean)
+    .join(', ')));
+
+  return [table.caption ? `Table: ${asSentence(table.caption)}` : 'Table.', ...rows];
+}
+
+/**
+ * Choose the sections that are chapters
+ * The shallowest level with two or more sections; a lone top-level
+ * section (the document's title) is looked into.
+ * @param {Object} document - Document node
+ * @returns {Array<Object>} - Section nodes
+ */
+export function documentChapters(document) {
+  let sections = document.children.filter(child => child.type === 'section');
+
+  while (sections.length === 1) {
+    sections = sections[0].children.filter(child => child.type === 'section');
+  }
+
+  return sections;
+}
+
+/**
+ * Render a document with chapter markers
+ * @param {Object} document - Document node
+ * @param {Object} rules - Reading rules
+ * @returns {Object} - { text, chapters: [{ title, textStart }] }
+ */
+export function renderWithChapters(document, rules = {}) {
+  const { text, starts } = renderDocument(document, rules);
+
+  return {
+    text,
+    chapters: documentChapters(document)
+      .map(section => ({ title: section.heading, textStart: starts.get(section) }))
+  };
+}
+
+/**
+ * Group consecutive quoted blocks into block quotes
+ * Headings inside quotes stay paragraphs; they don't open sections.
+ */
+function groupQuotes(blocks, depth = 0) {
+  const groups = [];
+
+  for (let i = 0; i < blocks.length; i++) {
+    const block = blocks[i];
+
+    if ((block.quote || 0) > depth) {
+      const quoted = [];
+      while (i < blocks.length && (blocks[i].quote || 0) > depth) {
+        quoted.push(blocks[i]);
+        i++;
+      }
+      i--;
+
+      groups.push({ type: 'blockquote', blocks: quoted, depth: depth + 1 });
+    } else {
+      groups.push(block);
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Turn a run of blocks into tree nodes (lists and block quotes nested)
+ */
+function nestBlocks(blocks) {
+  const nodes = [];
+
+  for (let i = 0; i < blocks.length; i++) {
+    const block = blocks[i];
+
+    if (block.type === 'blockquote') {
+      nodes.push({
+        type: 'blockquote',
+        children: nestBlocks(groupQuotes(block.blocks, block.depth).map(group =>
+          group.type === 'heading' ? { type: 'paragraph', text: group.text } : group))
+      });
+    } else if (block.type === 'listItem') {
+      const items = [];
+      while (i < blocks.length && blocks[i].type === 'listItem') {
+        items.push(blocks[i]);
+        i++;
+      }
+      i--;
+
+      nodes.push(...nestList(items));
+    } else {
+      const { quote, ...node } = block;
+      nodes.push(node);
+    }
+  }
+
+  return nodes;
+}
+
+/**
+ * Nest list items by depth into list nodes
+ */
+function nestList(items) {
+  const lists = [];
+  const minDepth = Math.min(...items.map(item => item.depth || 0));
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    const depth = item.depth || 0;
+
+    if (depth > minDepth) {
+      // Deeper items belong to the previous item (or a new list if none)
+      const nested = [];
+      while (i < items.length && (items[i].depth || 0) > minDepth) {
+        nested.push(items[i]);
+        i++;
+      }
+      i--;
+
+      const parent = lists.length > 0 ? lists[lists.length - 1].items.slice(-1)[0] : null;
+      if (parent) parent.children.push(...nestList(nested));
+      else lists.push(...nestList(nested));
+      continue;
+    }
+
+    let list = lists[lists.length - 1];
+    if (!list || list.ordered !== Boolean(item.ordered)) {
+      list = { type: 'list', ordered: Boolean(item.ordered), items: [] };
+      lists.push(list);
+    }
+
+    list.items.push({
+      type: 'listItem',
+      text: item.text,
+      ...(item.number !== undefined ? { number: item.number } : {}),
+      children: []
+    });
+  }
+
+  return lists;
+}
+
+function asSentence(text) {
+  return /[.!?…:]$/.test(text) ? text : `${text}.`;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
@@ -0,0 +1,135 @@
+/**
+ * Emotion Tags
+ *
+ * Orpheus renders inline tags such as <laugh> or <sigh> as non-verbal
+ * sounds. These helpers find, validate, strip and protect the tags so
+ * they survive file parsing and chunking intact.
+ *
+ * Only known tags and close misspellings of them (<laughs>, <sighh>,
+ * <cuogh>) count as tags; other words in angle brackets, such as
+ * <filename> in prose, <div> in a code block or <sign> a letter away
+ * from <sigh>, are literal text.
+ */
+
+// Tags understood by the Orpheus 3B English fine-tune
+export const EMOTION_TAGS = [
+  'laugh',
+  'chuckle',
+  'sigh',
+  'cough',
+  'sniffle',
+  'groan',
+  'yawn',
+  'gasp'
+];
+
+// A tag is a lowercase word in angle brackets, e.g. <laugh>
+export const TAG_PATTERN = /<([a-z]+)>/g;
+
+// Endings that turn a tag into a word (<laughs>, <sighing>, <coughed>)
+const TAG_ENDINGS = /(?:es|s|ed|ing)$/;
+
+// Private-use characters that survive Markdown rendering and HTML stripping
+const PROTECT_OPEN = '\uE000';
+const PROTECT_CLOSE = '\uE001';
+
+/**
+ * Whether a word in angle brackets is meant as an emotion tag
+ * Known tags count, and so do words a typo or an ending away from one;
+ * short words (<b>, <div>) never do.
+ * @param {string} name - Word between the brackets
+ * @returns {boolean}
+ */
+export function isEmotionTag(name) {
+  return EMOTION_TAGS.some(tag => name === tag || (name.length >= 4 && (
+    name.replace(TAG_ENDINGS, '') === tag || isTypoOf(name, tag)
+  )));
+}
+
+/**
+ * Find the tags used in text
+ * @param {string} text - Text to scan
+ * @returns {Array<string>} - Unique tag names (known or misspelled) in order of appearance
+ */
+export function findTags(text) {
+  const tags = [...text.matchAll(TAG_PATTERN)].map(match => match[1]).filter(isEmotionTag);
+  return [...new Set(tags)];
+}
+
+/**
+ * Check the tags in text against a supported list
+ * @param {string} text - Text to check
+ * @param {Array<string>} supportedTags - Tags the provider renders
+ * @returns {Object} - { valid, tags, unsupported }
+ */
+export function validateTags(text, supportedTags) {
+  const tags = findTags(text);
+  const unsupported = tags.filter(tag => !supportedTags.includes(tag));
+
+  return { valid: unsupported.length === 0, tags, unsupported };
+}
+
+/**
+ * Remove tags that are not in the keep list
+ * Other words in angle brackets are read as the word itself.
+ * @param {string} text - Text with tags
+ * @param {Array<string>} keep - Tags to keep (default: none)
+ * @returns {string} - Text without the removed tags
+ */
+export function stripTags(text, keep = []) {
+  return text
+    .replace(TAG_PATTERN, (match, tag) => {
+      if (keep.includes(tag)) return match;
+      return isEmotionTag(tag) ? ' ' : tag;
+    })
+    .replace(/[^\S\r\n]{2,}/g, ' ');
+}
+
+/**
+ * Replace known emotion tags with markers that parsers leave alone
+ * @param {string} text - Raw text
+ * @returns {string} - Text with protected tags
+ */
+export function protectTags(text) {
+  return text.replace(TAG_PATTERN, (match, tag) =>
+    EMOTION_TAGS.includes(tag) ? `${PROTECT_OPEN}${tag}${PROTECT_CLOSE}` : match
+  );
+}
+
+/**
+ * Turn protected markers back into tags
+ * @param {string} text - Text from protectTags()
+ * @returns {string} - Text with tags restored
+ */
+export function restoreTags(text) {
+  return text.replace(new RegExp(`${PROTECT_OPEN}([a-z]+)${PROTECT_CLOSE}`, 'g'), '<$1>');
+}
+
+/**
+ * Whether a word is a tag with a slip of the keyboard: a letter doubled
+ * (<sighh>), or two inner letters swapped (<cuogh>) or, in longer tags,
+ * one dropped (<chukle>). A letter replaced by another doesn't count,
+ * nor does a swap at either end; those make other words (<couch>,
+ * <yarn>, <gaps>).
+ */
+function isTypoOf(name, tag) {
+  const drop = (word, i) => word.slice(0, i) + word.slice(i + 1);
+  const inner = (i, j) => i > 0 && j < tag.length - 1;
+
+  if (name.length === tag.length + 1) {
+    return [...name].some((letter, i) => letter === name[i - 1] && drop(name, i) === tag);
+  }
+
+  if (name.length === tag.length - 1 && tag.length > 5) {
+    return [...tag].some((_, i) => inner(i, i) && drop(tag, i) === name);
+  }
+
+  if (name.length === tag.length) {
+    const differ = [...name].flatMap((letter, i) => (letter === tag[i] ? [] : [i]));
+    const [i, j] = differ;
+
+    return differ.length === 2 && j === i + 1 && inner(i, j) && name[i] === tag[j] && name[j] === tag[i];
+  }
+
+  return false;
+}
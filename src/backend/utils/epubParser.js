@@ -0,0 +1,240 @@
+/**
+ * EPUB Parser
+ *
+ * An EPUB is a zip of XHTML documents. Its package file (OPF) lists the
+ * documents (manifest) and the order they are read in (spine); the EPUB 3
+ * nav document or the EPUB 2 NCX names the chapters. Chapters keep their
+ * structure as document model blocks (see documentModel.js).
+ */
+
+import path from 'path';
+import JSZip from 'jszip';
+import { DOMParser } from '@xmldom/xmldom';
+import { parseHtml, elements, normalizeSpace, extractBlocks } from './htmlExtractor.js';
+
+// Landmark and guide types of boilerplate (cover, copyright, contents...)
+const FRONT_MATTER_TYPES = new Set([
+  'cover', 'titlepage', 'title-page', 'halftitlepage', 'copyright-page', 'copyright',
+  'imprint', 'toc', 'loi', 'lot', 'colophon'
+]);
+
+// Chapter titles and file names that mark boilerplate when no type is given
+const FRONT_MATTER_TITLE = /^(cover|title page|half title|copyright|imprint|(table of )?contents|list of (illustrations|figures|tables)|colophon)$/i;
+const FRONT_MATTER_FILE = /^(cover|titlepage|title[-_]page|copyright|toc|contents|nav)([-_.\d]|$)/i;
+
+// Package files are XML; parse errors are common, so read what can be read
+const QUIET_ERRORS = { warning() {}, error() {}, fatalError() {} };
+
+/**
+ * Parse an EPUB
+ * @param {Buffer} buffer - EPUB file contents
+ * @param {Object} options
+ * @param {boolean} options.skipFrontMatter - Drop cover, title page, copyright and contents pages
+ * @param {boolean} options.imageDescriptions - Read alt text and captions as asides
+ * @returns {Promise<Object>} - { title, author, chapters: [{ title, blocks }] }
+ */
+export async function readEpub(buffer, { skipFrontMatter = false, imageDescriptions = false } = {}) {
+  const zip = await JSZip.loadAsync(buffer);
+
+  const container = parseXml(await readEntry(zip, 'META-INF/container.xml'));
+  const rootfile = elements(container, 'rootfile')[0];
+  const packagePath = rootfile && rootfile.getAttribute('full-path');
+
+  if (!packagePath) {
+    throw new Error('EPUB has no package document');
+  }
+
+  const opf = parseXml(await readEntry(zip, packagePath));
+  const packageDir = path.posix.dirname(packagePath);
+
+  const manifest = new Map(elements(opf, 'item').map(item => [item.getAttribute('id'), {
+    path: resolveHref(packageDir, item.getAttribute('href')),
+    mediaType: item.getAttribute('media-type') || '',
+    properties: (item.getAttribute('properties') || '').split(/\s+/)
+  }]));
+
+  const spine = elements(opf, 'spine')[0];
+  if (!spine) {
+    throw new Error('EPUB has no spine');
+  }
+
+  const toc = await readToc(zip, opf, packageDir, spine, manifest);
+  const chapters = [];
+
+  for (const itemref of elements(spine, 'itemref')) {
+    const item = manifest.get(itemref.getAttribute('idref'));
+    if (!item || !/html/.test(item.mediaType)) continue;
+
+    const entries = toc.entries.filter(entry => entry.path === item.path);
+    const document = parseHtml(await readEntry(zip, item.path));
+    const body = elements(document, 'body')[0] || document.documentElement;
+
+    if (skipFrontMatter && isFrontMatter(item, itemref, body, entries, toc.landmarks)) continue;
+
+    // A file listed in the contents is one chapter; one listed only by
+    // fragments (#chapter-2) is split at those fragments
+    const whole = entries.find(entry => !entry.fragment);
+    const anchors = whole
+      ? new Map()
+      : new Map(entries.map(entry => [entry.fragment, entry.title]));
+
+    const { parts, heading } = extractBlocks(body, { anchors, imageDescriptions });
+    let current = null;
+
+    if (whole) {
+      current = { title: whole.title, blocks: [] };
+      chapters.push(current);
+    } else if (chapters.length === 0 || toc.entries.length === 0) {
+      // Without a contents entry, a file starts a chapter only when the
+      // book has no contents at all; otherwise it continues the last one
+      current = { title: heading, blocks: [] };
+      chapters.push(current);
+    } else {
+      current = chapters[chapters.length - 1];
+    }
+
+    for (const part of parts) {
+      if (part.type === 'anchor') {
+        current = { title: part.title, blocks: [] };
+        chapters.push(current);
+      } else {
+        current.blocks.push(part);
+      }
+    }
+  }
+
+  return {
+    title: firstText(opf, 'title'),
+    author: firstText(opf, 'creator'),
+    chapters: chapters
+      .filter(chapter => chapter.blocks.length > 0)
+      .map(chapter => ({
+        title: chapter.title || null,
+        blocks: withTitle(chapter.title, chapter.blocks)
+      }))
+  };
+}
+
+/**
+ * Read the chapter list and landmarks
+ * Prefers the EPUB 3 nav document, falling back to the EPUB 2 NCX and guide.
+ * @returns {Promise<Object>} - { entries: [{ path, fragment, title }], landmarks: Map<path, type> }
+ */
+async function readToc(zip, opf, packageDir, spine, manifest) {
+  const landmarks = new Map();
+
+  for (const reference of elements(opf, 'reference')) {
+    const [href, fragment] = (reference.getAttribute('href') || '').split('#');
+    if (href && !fragment) {
+      landmarks.set(resolveHref(packageDir, href), reference.getAttribute('type'));
+    }
+  }
+
+  const nav = [...manifest.values()].find(item => item.properties.includes('nav'));
+
+  if (nav) {
+    const document = parseHtml(await readEntry(zip, nav.path));
+    const navDir = path.posix.dirname(nav.path);
+    let entries = [];
+
+    for (const element of elements(document, 'nav')) {
+      const type = getType(element);
+      const links = elements(element, 'a').filter(link => link.getAttribute('href'));
+
+      if (type === 'toc') {
+        entries = links.map(link => tocEntry(navDir, link.getAttribute('href'), link.textContent));
+      } else if (type === 'landmarks') {
+        for (const link of links) {
+          const [href, fragment] = link.getAttribute('href').split('#');
+          if (href && !fragment) landmarks.set(resolveHref(navDir, href), getType(link));
+        }
+      }
+    }
+
+    if (entries.length > 0) return { entries, landmarks };
+  }
+
+  const ncx = manifest.get(spine.getAttribute('toc')) ||
+    [...manifest.values()].find(item => item.mediaType === 'application/x-dtbncx+xml');
+
+  if (!ncx) return { entries: [], landmarks };
+
+  const document = parseXml(await readEntry(zip, ncx.path));
+  const ncxDir = path.posix.dirname(ncx.path);
+
+  const entries = elements(document, 'navPoint').flatMap(point => {
+    const label = elements(point, 'text')[0];
+    const content = elements(point, 'content')[0];
+    return label && content
+      ? [tocEntry(ncxDir, content.getAttribute('src'), label.textContent)]
+      : [];
+  });
+
+  return { entries, landmarks };
+}
+
+/**
+ * Whether a spine document is boilerplate (cover, copyright, contents...)
+ */
+function isFrontMatter(item, itemref, body, entries, landmarks) {
+  if (item.properties.includes('nav') || item.properties.includes('cover-image')) return true;
+  if (itemref.getAttribute('linear') === 'no') return true;
+
+  const firstSection = elements(body, 'section')[0];
+  const types = [landmarks.get(item.path), getType(body), firstSection && getType(firstSection)];
+  if (types.some(type => type && type.split(/\s+/).some(t => FRONT_MATTER_TYPES.has(t)))) return true;
+
+  const titled = entries.find(entry => !entry.fragment);
+  if (titled) return FRONT_MATTER_TITLE.test(titled.title);
+
+  return FRONT_MATTER_FILE.test(path.posix.basename(item.path));
+}
+
+/**
+ * Start a chapter with its title unless its opening already says it
+ * (headings are often split, e.g. "Chapter 1" / "The Beginning")
+ */
+function withTitle(title, blocks) {
+  if (!title) return blocks;
+
+  const key = text => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+  const opening = blocks.slice(0, 3).map(block => block.text || '').join(' ');
+
+  return key(opening).includes(key(title)) ? blocks : [{ type: 'heading', level: 1, text: title }, ...blocks];
+}
+
+function tocEntry(dir, href, title) {
+  const [file, fragment] = (href || '').split('#');
+  return {
+    path: resolveHref(dir, file),
+    fragment: fragment ? decodeURIComponent(fragment) : null,
+    title: normalizeSpace(title)
+  };
+}
+
+function resolveHref(dir, href) {
+  return path.posix.normalize(path.posix.join(dir, decodeURIComponent(href || '')));
+}
+
+function getType(element) {
+  return element.getAttribute('epub:type') || element.getAttribute('type') || null;
+}
+
+function firstText(document, localName) {
+  const element = elements(document, localName)[0];
+  return element ? normalizeSpace(element.textContent) || null : null;
+}
+
+async function readEntry(zip, name) {
+  const entry = zip.file(name);
+
+  if (!entry) {
+    throw new Error(`EPUB is missing ${name}`);
+  }
+
+  return entry.async('string');
+}
+
+function parseXml(xml) {
+  return new DOMParser({ errorHandler: QUIET_ERRORS }).parseFromString(xml, 'application/xml');
+}
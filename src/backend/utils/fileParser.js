@@ -3,28 +3,74 @@
  *
  * Extracts clean text from various file formats:
  * - Plain text (.txt)
- * - Markdown (.md)
+ * - Markdown (.md), with sections
  * - PDF (.pdf)
- * - Word documents (.docx)
+ * - Word documents (.docx), with sections
+ * - EPUB ebooks (.epub), with chapters
+ * - Web pages (.html, .htm), main article only, with sections
+ *
+ * Alongside the text, parseDocument() returns the document tree
+ * (headings, paragraphs, lists, code, tables; see documentModel.js).
  */
 
 import fs from 'fs/promises';
 import path from 'path';
-import pdfParse from 'pdf-parse';
 import mammoth from 'mammoth';
-import { marked } from 'marked';
+import { readEpub } from './epubParser.js';
+import { readPdf, cleanPdfPages, parsePageRange } from './pdfParser.js';
+import { readArticle, parseHtml, elements, extractBlocks } from './htmlExtractor.js';
+import { readMarkdown } from './markdownReader.js';
+import { buildDocument, textDocument, renderDocument, renderWithChapters } from './documentModel.js';
+import { parseReadingRules } from './readingRules.js';
 
 export class FileParser {
   constructor() {
-    this.supportedExtensions = ['.txt', '.md', '.pdf', '.docx'];
+    this.supportedExtensions = ['.txt', '.md', '.pdf', '.docx', '.epub', '.html', '.htm'];
+  }
+
+  /**
+   * Parse file into text, chapter markers and document tree
+   * EPUB chapters are chapters. In Markdown, Word documents and web pages,
+   * sections at the shallowest heading level with two or more are.
+   * Plain text and PDF have no chapters and a tree of paragraphs.
+   * @param {string} filePath - Path to file
+   * @param {Object} options
+   * @param {boolean} options.skipFrontMatter - Drop EPUB cover, copyright and contents pages
+   * @param {boolean} options.imageDescriptions - Read alt text and captions (Markdown, DOCX, EPUB, HTML)
+   * @param {Object} options.readingRules - How code, lists, headings, tables, front matter and links are read (see readingRules.js)
+   * @param {string|Object} options.pages - PDF page range ("3-10")
+   * @param {boolean} options.removeReferences - Drop a PDF's trailing references/bibliography section
+   * @returns {Promise<Object>} - { text, title, author, chapters: [{ title, textStart }], tree }
+   */
+  async parseDocument(filePath, options = {}) {
+    const ext = path.extname(filePath).toLowerCase();
+    let document;
+
+    if (ext === '.epub') {
+      document = await this.parseEpub(filePath, options);
+    } else if (['.md', '.docx', '.html', '.htm'].includes(ext)) {
+      document = { author: null, ...await this.parseStructured(filePath, options) };
+    } else {
+      const text = await this.parseFile(filePath, options);
+      return { text, title: null, author: null, chapters: [], tree: textDocument(text) };
+    }
+
+    return {
+      text: document.text,
+      title: document.title,
+      author: document.author,
+      chapters: document.chapters.map(({ title, textStart }) => ({ title, textStart })),
+      tree: document.tree
+    };
   }
 
   /**
    * Parse file and extract text
    * @param {string} filePath - Path to file
+   * @param {Object} options - Format options (see parseDocument)
    * @returns {Promise<string>} - Extracted text
    */
-  async parseFile(filePath) {
+  async parseFile(filePath, options = {}) {
     const ext = path.extname(filePath).toLowerCase();
 
     if (!this.supportedExtensions.includes(ext)) {
@@ -36,12 +82,15 @@ export class FileParser {
     switch (ext) {
       case '.txt':
         return this.parseTxt(filePath);
-      case '.md':
-        return this.parseMarkdown(filePath);
       case '.pdf':
-        return this.parsePdf(filePath);
+        return this.parsePdf(filePath, options);
+      case '.md':
       case '.docx':
-        return this.parseDocx(filePath);
+      case '.html':
+      case '.htm':
+        return (await this.parseStructured(filePath, options)).text;
+      case '.epub':
+        return (await this.parseEpub(filePath, options)).text;
       default:
         throw new Error(`No parser available for ${ext}`);
     }
@@ -61,39 +110,43 @@ export class FileParser {
     }
   }
 
+  /**
+   * Parse a format with headings (Markdown, Word, web page)
+   * @param {string} filePath - Path to file
+   * @param {Object} options - Format options (see parseDocument)
+   * @returns {Promise<Object>} - { title, text, chapters: [{ title, textStart }], tree }
+   */
+  async parseStructured(filePath, options = {}) {
+    switch (path.extname(filePath).toLowerCase()) {
+      case '.md':
+        return this.parseMarkdown(filePath, options);
+      case '.docx':
+        return this.parseDocx(filePath, options);
+      default:
+        return this.parseHtml(filePath, options);
+    }
+  }
+
   /**
    * Parse Markdown file
+   * Emotion tags (e.g. <laugh>) are kept; other HTML is removed.
    * @param {string} filePath - Path to .md file
-   * @returns {Promise<string>} - Text content (without markdown syntax)
+   * @param {Object} options
+   * @param {boolean} options.imageDescriptions - Read image alt text as asides
+   * @param {Object} options.readingRules - Reading rules
+   * @returns {Promise<Object>} - { title, text, chapters: [{ title, textStart }], tree }
    */
-  async parseMarkdown(filePath) {
+  async parseMarkdown(filePath, options = {}) {
     try {
       const content = await fs.readFile(filePath, 'utf-8');
-
-      // Configure marked to extract plain text
-      const renderer = new marked.Renderer();
-
-      // Override methods to return plain text
-      renderer.heading = (text) => text + '\n\n';
-      renderer.paragraph = (text) => text + '\n\n';
-      renderer.list = (body) => body + '\n';
-      renderer.listitem = (text) => '- ' + text + '\n';
-      renderer.code = (code) => code + '\n';
-      renderer.blockquote = (quote) => quote + '\n';
-      renderer.link = (href, title, text) => text;
-      renderer.image = (href, title, text) => text || '';
-      renderer.strong = (text) => text;
-      renderer.em = (text) => text;
-      renderer.codespan = (code) => code;
-
-      marked.use({ renderer });
-
-      const html = marked.parse(content);
-
-      // Remove any remaining HTML tags
-      const plainText = html.replace(/<[^>]*>/g, '');
-
-      return this.cleanText(plainText);
+      const rules = parseReadingRules(options.readingRules);
+      const { title, blocks } = readMarkdown(content, {
+        imageDescriptions: options.imageDescriptions,
+        frontMatter: rules.frontMatter,
+        links: rules.links
+      });
+
+      return structure(blocks, title, rules);
     } catch (error) {
       throw new Error(`Failed to parse Markdown file: ${error.message}`);
     }
@@ -101,19 +154,26 @@ export class FileParser {
 
   /**
    * Parse PDF file
+   * Running headers, footers and page numbers are dropped, hyphenated
+   * words and broken lines rejoined and two-column pages read a column at
+   * a time.
    * @param {string} filePath - Path to .pdf file
+   * @param {Object} options
+   * @param {string|Object} options.pages - Page range to read ("3-10"; see parsePageRange)
+   * @param {boolean} options.removeReferences - Drop a trailing references/bibliography section
    * @returns {Promise<string>} - Extracted text
    */
-  async parsePdf(filePath) {
+  async parsePdf(filePath, options = {}) {
     try {
       const dataBuffer = await fs.readFile(filePath);
-      const data = await pdfParse(dataBuffer);
+      const { pages } = await readPdf(dataBuffer, { pages: parsePageRange(options.pages) });
+      const text = this.cleanText(cleanPdfPages(pages, { removeReferences: options.removeReferences }));
 
-      if (!data.text || data.text.trim().length === 0) {
+      if (!text) {
         throw new Error('PDF appears to be empty or contains only images');
       }
 
-      return this.cleanText(data.text);
+      return text;
     } catch (error) {
       throw new Error(`Failed to parse PDF file: ${error.message}`);
     }
@@ -121,41 +181,126 @@ export class FileParser {
 
   /**
    * Parse Word document (.docx)
+   * Read through mammoth's HTML, which keeps headings, lists and tables.
    * @param {string} filePath - Path to .docx file
-   * @returns {Promise<string>} - Extracted text
+   * @param {Object} options
+   * @param {boolean} options.imageDescriptions - Read image alt text as asides
+   * @param {Object} options.readingRules - Reading rules
+   * @returns {Promise<Object>} - { title, text, chapters: [{ title, textStart }], tree }
    */
-  async parseDocx(filePath) {
+  async parseDocx(filePath, options = {}) {
     try {
       const buffer = await fs.readFile(filePath);
-      const result = await mammoth.extractRawText({ buffer });
-
-      if (!result.value || result.value.trim().length === 0) {
-        throw new Error('Document appears to be empty');
-      }
+      const result = await mammoth.convertToHtml({ buffer }, {
+        // Only the alt text is read; leave the image data out
+        convertImage: mammoth.images.imgElement(() => ({ src: '' }))
+      });
 
       // Log any warnings from mammoth
       if (result.messages && result.messages.length > 0) {
         console.warn('Document parsing warnings:', result.messages);
       }
 
-      return this.cleanText(result.value);
+      const body = elements(parseHtml(`<html><body>${result.value}</body></html>`), 'body')[0];
+      const { parts } = extractBlocks(body, { imageDescriptions: options.imageDescriptions });
+
+      if (parts.length === 0) {
+        throw new Error('Document appears to be empty');
+      }
+
+      return structure(parts, null, parseReadingRules(options.readingRules));
     } catch (error) {
       throw new Error(`Failed to parse DOCX file: ${error.message}`);
     }
   }
 
+  /**
+   * Parse EPUB ebook
+   * Chapters are read in spine order and titled from the book's contents.
+   * @param {string} filePath - Path to .epub file
+   * @param {Object} options
+   * @param {boolean} options.skipFrontMatter - Drop cover, title page, copyright and contents pages
+   * @param {Object} options.readingRules - Reading rules
+   * @returns {Promise<Object>} - { title, author, text, chapters: [{ title, text, textStart }], tree }
+   */
+  async parseEpub(filePath, options = {}) {
+    try {
+      const buffer = await fs.readFile(filePath);
+      const book = await readEpub(buffer, options);
+      const rules = parseReadingRules(options.readingRules);
+
+      // Chapters are joined by blank lines; textStart locates each in the text
+      let textStart = 0;
+      const chapters = book.chapters
+        .map(chapter => ({
+          type: 'chapter',
+          title: chapter.title,
+          children: buildDocument(chapter.blocks).children
+        }))
+        .map(node => ({ node, text: renderDocument(node, rules).text }))
+        .filter(chapter => chapter.text)
+        .map(({ node, text }) => {
+          const located = { title: node.title, text, textStart, node };
+          textStart += text.length + 2;
+          return located;
+        });
+
+      if (chapters.length === 0) {
+        throw new Error('EPUB appears to be empty');
+      }
+
+      return {
+        title: book.title,
+        author: book.author,
+        text: chapters.map(chapter => chapter.text).join('\n\n'),
+        chapters: chapters.map(({ node, ...chapter }) => chapter),
+        tree: { type: 'document', title: book.title, children: chapters.map(chapter => chapter.node) }
+      };
+    } catch (error) {
+      throw new Error(`Failed to parse EPUB file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parse saved web page (.html, .htm)
+   * Only the main article is read; navigation, ads, scripts and footers
+   * are dropped. Section headings become chapters when the article has
+   * two or more at the same level.
+   * @param {string} filePath - Path to .html file
+   * @param {Object} options
+   * @param {boolean} options.imageDescriptions - Read alt text and captions as asides
+   * @param {Object} options.readingRules - Reading rules
+   * @returns {Promise<Object>} - { title, text, chapters: [{ title, textStart }], tree }
+   */
+  async parseHtml(filePath, options = {}) {
+    try {
+      const buffer = await fs.readFile(filePath);
+      const article = readArticle(decodeHtml(buffer), options);
+      const blocks = article.parts.filter(part => part.type !== 'anchor');
+
+      if (blocks.length === 0) {
+        throw new Error('No article text found');
+      }
+
+      return structure(blocks, article.title, parseReadingRules(options.readingRules));
+    } catch (error) {
+      throw new Error(`Failed to parse HTML file: ${error.message}`);
+    }
+  }
+
   /**
    * Clean and normalize text
+   * Paragraphs stay separated by a blank line.
    * @param {string} text - Raw text
    * @returns {string} - Cleaned text
    */
   cleanText(text) {
     return text
       .replace(/\r\n/g, '\n')           // Normalize line endings
-      .replace(/\n{3,}/g, '\n\n')       // Remove excessive newlines
       .replace(/\t/g, ' ')              // Replace tabs with spaces
       .replace(/[^\S\r\n]+/g, ' ')      // Normalize spaces
-      .replace(/^\s+|\s+$/gm, '')       // Trim lines
+      .replace(/^ +| +$/gm, '')         // Trim lines
+      .replace(/\n{3,}/g, '\n\n')       // Remove excessive newlines
       .trim();
   }
 
@@ -244,6 +389,35 @@ export class FileParser {
   }
 }
 
+/**
+ * Build the document tree of parsed blocks and render its text
+ * @param {Array<Object>} blocks - Document model blocks
+ * @param {string|null} title - Document title
+ * @param {Object} rules - Reading rules
+ * @returns {Object} - { title, text, chapters: [{ title, textStart }], tree }
+ */
+function structure(blocks, title, rules) {
+  const tree = buildDocument(blocks, { title });
+  return { title, ...renderWithChapters(tree, rules), tree };
+}
+
+/**
+ * Decode a saved web page using the charset it declares (default UTF-8)
+ * @param {Buffer} buffer - File contents
+ * @returns {string}
+ */
+function decodeHtml(buffer) {
+  const head = buffer.subarray(0, 2048).toString('latin1');
+  const declared = /<meta[^>]+charset\s*=\s*["']?([\w-]+)/i.exec(head);
+
+  try {
+    return new TextDecoder(declared ? declared[1] : 'utf-8').decode(buffer);
+  } catch (error) {
+    // Unknown charset label
+    return buffer.toString('utf-8');
+  }
+}
+
 /**
  * Convenience function to parse file
  * @param {string} filePath - Path to file
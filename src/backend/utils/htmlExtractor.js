@@ -0,0 +1,417 @@
+/**
+ * HTML Text Extraction
+ *
+ * Turns HTML into document model blocks for reading aloud. Shared by EPUB
+ * chapters, Word documents (via mammoth's HTML) and saved web pages; for
+ * web pages, readArticle() first finds the main article and drops
+ * navigation, ads, scripts and footers (a small take on Mozilla's
+ * Readability heuristics).
+ */
+
+import { DOMParser } from '@xmldom/xmldom';
+
+// Elements that start a new paragraph
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'dd', 'div', 'dl', 'dt',
+  'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header',
+  'hr', 'li', 'main', 'ol', 'p', 'pre', 'section', 'table', 'tr', 'ul'
+]);
+
+// Elements whose text is never read
+const SKIPPED_ELEMENTS = new Set(['head', 'script', 'style', 'svg', 'math', 'noscript', 'template']);
+
+// Page furniture around a web article
+const BOILERPLATE_ELEMENTS = new Set([
+  'nav', 'aside', 'footer', 'form', 'button', 'iframe', 'select', 'input',
+  'textarea', 'dialog', 'menu', 'object', 'embed', 'canvas'
+]);
+const BOILERPLATE_ROLES = /^(navigation|banner|contentinfo|complementary|search|dialog|alertdialog|menu|menubar|toolbar)$/i;
+
+// class/id hints (from Readability)
+const UNLIKELY_HINT = /nav|menu|footer|sidebar|comment|share|social|advert|\bads?\b|sponsor|promo|related|recommend|newsletter|subscribe|cookie|banner|breadcrumb|popup|modal|masthead|toolbar|signup/i;
+const LIKELY_HINT = /article|content|main|body|post|entry|story|text/i;
+
+// Paragraph-like elements that vote for their container as the article
+const SCORED_ELEMENTS = ['p', 'pre', 'blockquote', 'td'];
+
+// Parse errors are common in real-world markup; read what can be read
+const QUIET_ERRORS = { warning() {}, error() {}, fatalError() {} };
+
+/**
+ * Parse HTML or XHTML
+ * Parsed as HTML so named entities such as &nbsp; resolve.
+ * @param {string} markup - Markup
+ * @returns {Document}
+ */
+export function parseHtml(markup) {
+  return new DOMParser({ errorHandler: QUIET_ERRORS }).parseFromString(markup, 'text/html');
+}
+
+/**
+ * Descendants with a local name, whatever their namespace prefix
+ * @param {Node} node - Root
+ * @param {string} localName - Element name
+ * @returns {Array<Element>}
+ */
+export function elements(node, localName) {
+  return Array.from(node.getElementsByTagNameNS('*', localName));
+}
+
+/**
+ * Collapse whitespace
+ * @param {string} text - Text
+ * @returns {string}
+ */
+export function normalizeSpace(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Collect the blocks of a document
+ *
+ * Blocks are those of the document model (headings, paragraphs, list
+ * items, code, tables and asides; see documentModel.js) plus anchors:
+ * elements whose id is in `anchors` mark where a new chapter starts.
+ * Asides (image descriptions and captions) need `imageDescriptions`.
+ *
+ * @param {Element} root - Element to read (usually body)
+ * @param {Object} options
+ * @param {Map<string, string>} options.anchors - Chapter titles keyed by element id
+ * @param {boolean} options.imageDescriptions - Read alt text and captions as asides
+ * @param {Function} options.skip - Elements (with their content) to leave out
+ * @returns {Object} - { parts: [{ type, text?, level?, title?, ... }], heading } (heading: first heading text)
+ */
+export function extractBlocks(root, { anchors = new Map(), imageDescriptions = false, skip = () => false } = {}) {
+  const parts = [];
+  let heading = null;
+  let line = '';
+  let asides = [];
+
+  // Open lists ({ ordered, next }) and the list item being read, if any
+  const lists = [];
+  let item = null;
+  let quote = 0;
+
+  const push = part => parts.push(quote > 0 ? { ...part, quote } : part);
+
+  const flush = (type = item ? 'listItem' : 'paragraph', extra = {}) => {
+    const text = line
+      .replace(/[^\S\n]+/g, ' ')
+      .replace(/ ?\n ?/g, '\n')
+      .replace(/\n{2,}/g, '\n')
+      .trim();
+
+    if (text && type === 'listItem') {
+      // Later paragraphs of the same item are unnumbered items
+      const number = item.number !== undefined ? { number: item.number } : {};
+      push({ type, text, ordered: item.ordered, depth: lists.length - 1, ...number });
+      delete item.number;
+    } else if (text) {
+      push({ type, text, ...extra });
+    }
+    line = '';
+
+    // Images inside a paragraph are described after it
+    for (const aside of asides) push({ type: 'aside', text: aside });
+    asides = [];
+  };
+
+  const walk = node => {
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+      // Text and CDATA
+      if (child.nodeType === 3 || child.nodeType === 4) {
+        line += child.data.replace(/\s+/g, ' ');
+        continue;
+      }
+      if (child.nodeType !== 1) continue;
+
+      const name = (child.localName || child.nodeName).toLowerCase();
+      if (SKIPPED_ELEMENTS.has(name) || skip(child)) continue;
+
+      if (name === 'br') {
+        line += '\n';
+        continue;
+      }
+
+      if (name === 'img') {
+        const alt = normalizeSpace(child.getAttribute('alt'));
+        if (imageDescriptions && isDescriptive(alt, child.getAttribute('src'))) {
+          asides.push(asSentence(`Image: ${alt}`));
+        }
+        continue;
+      }
+
+      const id = child.getAttribute('id');
+      if (id && anchors.has(id)) {
+        flush();
+        parts.push({ type: 'anchor', title: anchors.get(id) });
+      }
+
+      if (name === 'figcaption') {
+        if (!imageDescriptions) continue;
+
+        flush();
+        walk(child);
+        line = line.trim() ? asSentence(`Caption: ${normalizeSpace(line)}`) : '';
+        flush('aside');
+        continue;
+      }
+
+      const level = /^h([1-6])$/.exec(name);
+      if (level) {
+        flush();
+        walk(child);
+        if (!heading) heading = normalizeSpace(line) || null;
+        flush('heading', { level: Number(level[1]) });
+        continue;
+      }
+
+      if (name === 'pre') {
+        flush();
+        const text = child.textContent.replace(/\r\n/g, '\n').replace(/^\n+|\s+$/g, '');
+        if (text) push({ type: 'code', text, language: getLanguage(child) });
+        continue;
+      }
+
+      if (name === 'table' && isDataTable(child)) {
+        flush();
+        push(readTable(child));
+        continue;
+      }
+
+      if (name === 'ol' || name === 'ul') {
+        flush();
+        const start = Number.parseInt(child.getAttribute('start'), 10);
+        lists.push({ ordered: name === 'ol', next: Number.isNaN(start) ? 1 : start });
+
+        const parent = item;
+        item = null;
+        walk(child);
+        flush();
+        item = parent;
+
+        lists.pop();
+        continue;
+      }
+
+      if (name === 'li' && lists.length > 0) {
+        flush();
+        const list = lists[lists.length - 1];
+        const value = Number.parseInt(child.getAttribute('value'), 10);
+        if (!Number.isNaN(value)) list.next = value;
+
+        item = { ordered: list.ordered, ...(list.ordered ? { number: list.next++ } : {}) };
+        walk(child);
+        flush();
+        item = null;
+        continue;
+      }
+
+      if (name === 'blockquote') {
+        flush();
+        quote++;
+        walk(child);
+        flush();
+        quote--;
+        continue;
+      }
+
+      const block = BLOCK_ELEMENTS.has(name);
+      if (block) flush();
+      walk(child);
+      if (block) flush();
+    }
+  };
+
+  walk(root);
+  flush();
+
+  return { parts, heading };
+}
+
+/**
+ * Extract the article of a web page
+ * @param {string} markup - HTML
+ * @param {Object} options
+ * @param {boolean} options.imageDescriptions - Read alt text and captions as asides
+ * @returns {Object} - { title, parts } (parts as returned by extractBlocks)
+ */
+export function readArticle(markup, { imageDescriptions = false } = {}) {
+  const document = parseHtml(markup);
+  const body = elements(document, 'body')[0] || document.documentElement;
+
+  if (!body) {
+    return { title: null, parts: [] };
+  }
+
+  const content = findArticle(body);
+  const { parts, heading } = extractBlocks(content, {
+    imageDescriptions,
+    skip: element => element !== content && isBoilerplate(element)
+  });
+
+  const title = parts.find(part => part.type === 'heading' && part.level === 1);
+
+  return {
+    title: title ? title.text : getMetaTitle(document) || heading,
+    parts
+  };
+}
+
+/**
+ * Find the element holding the article
+ * Prefers <article> and <main>; otherwise the container whose paragraphs
+ * have the most text, commas and fewest links wins.
+ * @param {Element} body - Body element
+ * @returns {Element}
+ */
+function findArticle(body) {
+  const textLength = element => normalizeSpace(element.textContent).length;
+  const visible = element => !hasBoilerplateAncestor(element, body);
+
+  const articles = elements(body, 'article').filter(visible);
+  if (articles.length > 0) {
+    return articles.reduce((best, article) => (textLength(article) > textLength(best) ? article : best));
+  }
+
+  const main = [...elements(body, 'main'), ...elements(body, '*').filter(element =>
+    (element.getAttribute('role') || '').toLowerCase() === 'main')].find(visible);
+  if (main) return main;
+
+  const scores = new Map();
+
+  for (const name of SCORED_ELEMENTS) {
+    for (const element of elements(body, name).filter(visible)) {
+      const text = normalizeSpace(element.textContent);
+      if (text.length < 25) continue;
+
+      const score = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+      const parent = element.parentNode;
+      const grandparent = parent && parent.parentNode;
+
+      if (parent && parent.nodeType === 1) scores.set(parent, (scores.get(parent) || 0) + score);
+      if (grandparent && grandparent.nodeType === 1) scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+    }
+  }
+
+  let best = body;
+  let bestScore = 0;
+
+  for (const [element, score] of scores) {
+    const weighted = score * (1 - linkDensity(element));
+    if (weighted > bestScore) {
+      best = element;
+      bestScore = weighted;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Whether an element is page furniture rather than article content
+ * @param {Element} element - Element
+ * @returns {boolean}
+ */
+function isBoilerplate(element) {
+  const name = (element.localName || element.nodeName).toLowerCase();
+
+  if (BOILERPLATE_ELEMENTS.has(name)) return true;
+
+  // A page header is furniture; an article's header holds its title
+  if (name === 'header' && !hasAncestor(element, ['article', 'main'])) return true;
+
+  if (element.hasAttribute('hidden') || element.getAttribute('aria-hidden') === 'true') return true;
+  if (/display\s*:\s*none|visibility\s*:\s*hidden/i.test(element.getAttribute('style') || '')) return true;
+  if (BOILERPLATE_ROLES.test(element.getAttribute('role') || '')) return true;
+
+  const hint = `${element.getAttribute('class') || ''} ${element.getAttribute('id') || ''}`;
+  return UNLIKELY_HINT.test(hint) && !LIKELY_HINT.test(hint) && !['body', 'article', 'main'].includes(name);
+}
+
+function hasBoilerplateAncestor(element, root) {
+  for (let node = element; node && node !== root; node = node.parentNode) {
+    if (node.nodeType === 1 && isBoilerplate(node)) return true;
+  }
+  return false;
+}
+
+function hasAncestor(element, names) {
+  for (let node = element.parentNode; node && node.nodeType === 1; node = node.parentNode) {
+    if (names.includes((node.localName || node.nodeName).toLowerCase())) return true;
+  }
+  return false;
+}
+
+// Share of an element's text that is link text
+function linkDensity(element) {
+  const total = normalizeSpace(element.textContent).length;
+  if (total === 0) return 0;
+
+  const links = elements(element, 'a').reduce((sum, link) => sum + normalizeSpace(link.textContent).length, 0);
+  return links / total;
+}
+
+function getMetaTitle(document) {
+  const meta = elements(document, 'meta').find(element =>
+    /^(og:title|twitter:title)$/i.test(element.getAttribute('property') || element.getAttribute('name') || ''));
+  const title = meta ? meta.getAttribute('content') : elements(document, 'title').map(element => element.textContent)[0];
+
+  return normalizeSpace(title) || null;
+}
+
+// Alt text worth reading: not empty, not a file name, not a placeholder
+function isDescriptive(alt, src) {
+  if (!alt || alt.length < 3) return false;
+  if (/^(image|img|photo|picture|graphic|icon|logo|spacer)$/i.test(alt)) return false;
+  if (/\.(jpe?g|png|gif|webp|svg|avif)$/i.test(alt)) return false;
+
+  const file = (src || '').split(/[/?#]/).filter(Boolean).pop() || '';
+  return alt !== file;
+}
+
+// A table of data rather than one laying out the page: no nested tables,
+// headings or lists, and at most one paragraph per cell
+function isDataTable(table) {
+  const nested = ['table', 'ul', 'ol', 'pre', 'blockquote', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+  if (nested.some(name => elements(table, name).length > 0)) return false;
+
+  return [...elements(table, 'td'), ...elements(table, 'th')].every(cell =>
+    elements(cell, 'p').length + elements(cell, 'div').length <= 1);
+}
+
+/**
+ * Read a table into rows of cell text
+ * The first row is the header when it is all <th> cells (or in <thead>).
+ */
+function readTable(table) {
+  const rows = elements(table, 'tr').map(row => ({
+    header: row.parentNode && (row.parentNode.localName || '').toLowerCase() === 'thead',
+    cells: Array.from(row.childNodes)
+      .filter(cell => cell.nodeType === 1 && /^t[hd]$/i.test(cell.localName || cell.nodeName))
+      .map(cell => ({ th: /^th$/i.test(cell.localName || cell.nodeName), text: normalizeSpace(cell.textContent) }))
+  })).filter(row => row.cells.some(cell => cell.text));
+
+  const first = rows[0];
+  const hasHeader = first && (first.header || first.cells.every(cell => cell.th));
+  const caption = elements(table, 'caption')[0];
+
+  return {
+    type: 'table',
+    caption: caption ? normalizeSpace(caption.textContent) || null : null,
+    header: hasHeader ? first.cells.map(cell => cell.text) : null,
+    rows: rows.slice(hasHeader ? 1 : 0).map(row => row.cells.map(cell => cell.text))
+  };
+}
+
+// Code language from a language-* (or lang-*) class on <pre> or its <code>
+function getLanguage(pre) {
+  const code = elements(pre, 'code')[0];
+  const classes = `${pre.getAttribute('class') || ''} ${code ? code.getAttribute('class') || '' : ''}`;
+  const match = /\b(?:language|lang)-([\w+#-]+)/.exec(classes);
+  return match ? match[1] : null;
+}
+
+function asSentence(text) {
+  return /[.!?…]$/.test(text) ? text : `${text}.`;
+}
@@ -0,0 +1,309 @@
+/**
+ * Persistent Job Queue
+ *
+ * Durable record of in-flight conversions so work survives a server restart:
+ * - Job state (chunks, options, progress) in conversions/jobs.json
+ * - Audio for every finished chunk in conversions/chunks/<id>/
+ *
+ * On boot the server re-attaches to unfinished jobs and resumes from the
+ * last completed chunk instead of regenerating the whole document.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export class JobQueue {
+  constructor(config = {}) {
+    this.queuePath = config.queuePath || './conversions/jobs.json';
+    this.chunkDir = config.chunkDir || './conversions/chunks';
+    this.jobs = new Map();
+    this.initialized = false;
+
+    // Serializes writes so concurrent updates never interleave
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Initialize queue (create directories and load persisted jobs)
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      await fs.mkdir(path.dirname(this.queuePath), { recursive: true });
+      await fs.mkdir(this.chunkDir, { recursive: true });
+
+      const data = await this.readQueue();
+      for (const job of data.jobs) {
+        this.jobs.set(job.id, job);
+      }
+
+      this.initialized = true;
+    } catch (error) {
+      throw new Error(`Failed to initialize job queue: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read queue file
+   * @returns {Promise<Object>} - Queue object
+   */
+  async readQueue() {
+    try {
+      const data = await fs.readFile(this.queuePath, 'utf-8');
+      return JSON.parse(data);
+    } catch (error) {
+      // If file doesn't exist or is invalid, return empty structure
+      return { jobs: [] };
+    }
+  }
+
+  /**
+   * Persist all jobs (atomic operation, serialized)
+   * @returns {Promise<void>}
+   */
+  persist() {
+    const write = async () => {
+      const tempPath = `${this.queuePath}.tmp`;
+      const data = { jobs: [...this.jobs.values()] };
+
+      try {
+        await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf-8');
+        await fs.rename(tempPath, this.queuePath);
+      } catch (error) {
+        try {
+          await fs.unlink(tempPath);
+        } catch (e) {
+          // Ignore cleanup errors
+        }
+
+        throw new Error(`Failed to write job queue: ${error.message}`);
+      }
+    };
+
+    this.writeChain = this.writeChain.then(write, write);
+    return this.writeChain;
+  }
+
+  /**
+   * Add a job for a conversion
+   * @param {Object} job - Job data
+   * @param {string} job.id - Conversion ID
+   * @param {string} job.provider - TTS provider name
+   * @param {Array<string>} job.fallbackProviders - Providers to fail over to, in order
+   * @param {Object} job.ttsOptions - TTS options passed to the provider
+   * @param {Array<string>} job.chunks - Text chunks to synthesize
+   * @param {Array<string|null>} job.chunkSpeakers - Speaker of each chunk
+   * @param {Array<number|null>} job.chunkChapters - Chapter each chunk starts, if any
+   * @param {Array<Object|null>} job.chunkOverrides - Per-chunk voice/temperature
+   * @param {Array<string|null>} job.chunkSourceTexts - Chunked text a regenerated chunk's text override replaced, if any
+   * @param {number|null} job.editedVersion - Version archived by the text edit this job renders, if any
+   * @returns {Promise<Object>} - Created job
+   */
+  async createJob(job) {
+    await this.initialize();
+
+    const now = new Date().toISOString();
+    const newJob = {
+      id: job.id,
+      status: 'queued',
+      provider: job.provider,
+      fallbackProviders: job.fallbackProviders || [],
+      ttsOptions: job.ttsOptions || {},
+      chunks: job.chunks || [],
+      chunkSpeakers: job.chunkSpeakers || [],
+      chunkChapters: job.chunkChapters || [],
+      chunkOverrides: job.chunkOverrides || [],
+      chunkSourceTexts: job.chunkSourceTexts || [],
+      editedVersion: job.editedVersion ?? null,
+      completedChunks: [],
+      activeChunks: [],
+      chunkSources: [],
+      totalChunks: (job.chunks || []).length,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.jobs.set(newJob.id, newJob);
+    await this.persist();
+
+    return newJob;
+  }
+
+  /**
+   * Get a job by conversion ID
+   * @param {string} id - Conversion ID
+   * @returns {Promise<Object|null>} - Job or null if not queued
+   */
+  async getJob(id) {
+    await this.initialize();
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Update an existing job
+   * @param {string} id - Conversion ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} - Updated job
+   */
+  async updateJob(id, updates) {
+    await this.initialize();
+
+    const job = this.jobs.get(id);
+
+    if (!job) {
+      throw new Error(`Job not found: ${id}`);
+    }
+
+    Object.assign(job, updates, { updatedAt: new Date().toISOString() });
+    await this.persist();
+
+    return job;
+  }
+
+  /**
+   * Get jobs that have not finished (to resume after restart)
+   * @returns {Promise<Array>} - Unfinished jobs
+   */
+  async getUnfinishedJobs() {
+    await this.initialize();
+
+    return [...this.jobs.values()].filter(job =>
+      job.status === 'queued' || job.status === 'processing'
+    );
+  }
+
+  /**
+   * Store the audio of a finished chunk and record it as completed
+   * @param {string} id - Conversion ID
+   * @param {number} index - Chunk index
+   * @param {Buffer} audioBuffer - Chunk audio
+   * @param {Object} source - Provider and voice that produced the chunk
+   * @returns {Promise<Object>} - Updated job
+   */
+  async saveChunkAudio(id, index, audioBuffer, source = null) {
+    await this.initialize();
+
+    const job = this.jobs.get(id);
+
+    if (!job) {
+      throw new Error(`Job not found: ${id}`);
+    }
+
+    const chunkPath = this.getChunkPath(id, index);
+    await fs.mkdir(path.dirname(chunkPath), { recursive: true });
+    await fs.writeFile(chunkPath, audioBuffer);
+
+    if (!job.completedChunks.includes(index)) {
+      job.completedChunks.push(index);
+      job.completedChunks.sort((a, b) => a - b);
+    }
+
+    job.chunkSources = job.chunkSources || [];
+    job.chunkSources[index] = source;
+
+    return this.updateJob(id, {});
+  }
+
+  /**
+   * Mark a chunk as in flight (or no longer in flight)
+   * @param {string} id - Conversion ID
+   * @param {number} index - Chunk index
+   * @param {boolean} active - Whether the chunk is being generated
+   * @returns {Promise<Object|null>} - Updated job, or null if it was removed
+   */
+  async setChunkActive(id, index, active) {
+    await this.initialize();
+
+    const job = this.jobs.get(id);
+
+    if (!job) {
+      return null;
+    }
+
+    const activeChunks = (job.activeChunks || []).filter(i => i !== index);
+
+    if (active) {
+      activeChunks.push(index);
+      activeChunks.sort((a, b) => a - b);
+    }
+
+    return this.updateJob(id, { activeChunks });
+  }
+
+  /**
+   * Load the stored audio of a finished chunk
+   * @param {string} id - Conversion ID
+   * @param {number} index - Chunk index
+   * @returns {Promise<Buffer>} - Chunk audio
+   */
+  async loadChunkAudio(id, index) {
+    return fs.readFile(this.getChunkPath(id, index));
+  }
+
+  /**
+   * Check whether a chunk has been completed and its audio is on disk
+   * @param {Object} job - Job object
+   * @param {number} index - Chunk index
+   * @returns {Promise<boolean>}
+   */
+  async hasChunkAudio(job, index) {
+    if (!job.completedChunks.includes(index)) {
+      return false;
+    }
+
+    try {
+      await fs.access(this.getChunkPath(job.id, index));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Get the path of a chunk's audio file
+   * @param {string} id - Conversion ID
+   * @param {number} index - Chunk index
+   * @returns {string} - File path
+   */
+  getChunkPath(id, index) {
+    return path.join(this.chunkDir, id, `chunk_${String(index).padStart(4, '0')}.mp3`);
+  }
+
+  /**
+   * Remove a job and its stored chunk audio
+   * @param {string} id - Conversion ID
+   * @returns {Promise<boolean>} - True if a job was removed
+   */
+  async removeJob(id) {
+    await this.initialize();
+
+    const existed = this.jobs.delete(id);
+
+    try {
+      await fs.rm(path.join(this.chunkDir, id), { recursive: true, force: true });
+    } catch (error) {
+      console.warn(`Failed to delete chunk audio for ${id}: ${error.message}`);
+    }
+
+    if (existed) {
+      await this.persist();
+    }
+
+    return existed;
+  }
+}
+
+// Singleton instance
+let queueInstance = null;
+
+/**
+ * Get job queue instance (singleton)
+ * @returns {JobQueue}
+ */
+export function getJobQueue() {
+  if (!queueInstance) {
+    queueInstance = new JobQueue();
+  }
+  return queueInstance;
+}
@@ -0,0 +1,311 @@
+/**
+ * Pronunciation Lexicon
+ *
+ * Persistent dictionary of words (or regular expressions) and how to say
+ * them, stored in conversions/lexicon.json. Entries are applied to the
+ * text before chunking so product and people's names are read correctly.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+
+// Markers around replaced spans so one entry's output is never rewritten by another
+const MARK_OPEN = '\uE002';
+const MARK_CLOSE = '\uE003';
+
+const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * Validate and normalize a lexicon entry
+ * @param {Object} entry - { pattern, spoken, regex?, caseSensitive?, wholeWord? }
+ * @returns {Object} - Entry with boolean flags
+ * @throws {Error} - With status 400 if the entry is invalid
+ */
+export function validateEntry(entry) {
+  const invalid = message => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  };
+
+  if (!entry || typeof entry !== 'object') {
+    throw invalid('Lexicon entry must be an object');
+  }
+
+  const pattern = typeof entry.pattern === 'string' ? entry.pattern.trim() : '';
+  const spoken = typeof entry.spoken === 'string' ? entry.spoken.trim() : '';
+
+  if (!pattern) {
+    throw invalid('Lexicon entry needs a pattern');
+  }
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw invalid(`Lexicon pattern is longer than ${MAX_PATTERN_LENGTH} characters`);
+  }
+  if (!spoken) {
+    throw invalid(`Lexicon entry "${pattern}" needs a spoken form`);
+  }
+
+  const normalized = {
+    pattern,
+    spoken,
+    regex: entry.regex === true || entry.regex === 'true',
+    caseSensitive: entry.caseSensitive === true || entry.caseSensitive === 'true',
+    wholeWord: entry.wholeWord !== false && entry.wholeWord !== 'false'
+  };
+
+  try {
+    if (normalized.regex) new RegExp(pattern);
+    compileEntry(normalized);
+  } catch (error) {
+    throw invalid(error.message);
+  }
+
+  // A pattern that can match empty text would insert its spoken form between characters
+  if (normalized.regex && new RegExp(pattern).test('')) {
+    throw invalid(`Lexicon pattern "${pattern}" matches empty text`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Build the matcher of an entry
+ * @param {Object} entry - Validated entry
+ * @returns {RegExp} - Global matcher
+ */
+function compileEntry(entry) {
+  let source = entry.regex
+    ? entry.pattern
+    : entry.pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  // Lookarounds rather than \b so patterns like "C++" still match whole words
+  if (entry.wholeWord) {
+    source = `(?<![\\w])(?:${source})(?![\\w])`;
+  }
+
+  return new RegExp(source, entry.caseSensitive ? 'g' : 'gi');
+}
+
+/**
+ * Identify an entry regardless of its spoken form
+ * @param {Object} entry - Entry
+ * @returns {string}
+ */
+function entryKey(entry) {
+  return JSON.stringify([entry.regex, entry.caseSensitive, entry.caseSensitive ? entry.pattern : entry.pattern.toLowerCase()]);
+}
+
+/**
+ * Apply entries to text
+ * Longer literal patterns run first so "Acme Cloud" wins over "Acme".
+ * @param {string} text - Text
+ * @param {Array<Object>} entries - Validated entries
+ * @returns {string} - Text with spoken forms
+ */
+export function applyEntries(text, entries) {
+  const ordered = [...entries].sort((a, b) =>
+    (a.regex === b.regex ? b.pattern.length - a.pattern.length : a.regex ? 1 : -1)
+  );
+  const replacements = [];
+  let result = text;
+
+  for (const entry of ordered) {
+    const matcher = compileEntry(entry);
+    const single = new RegExp(matcher.source, matcher.flags.replace('g', ''));
+
+    result = result.replace(matcher, match => {
+      // Regex entries may refer to groups ($1) in the spoken form
+      replacements.push(entry.regex ? match.replace(single, entry.spoken) : entry.spoken);
+      return `${MARK_OPEN}${replacements.length - 1}${MARK_CLOSE}`;
+    });
+  }
+
+  return result.replace(
+    new RegExp(`${MARK_OPEN}(\\d+)${MARK_CLOSE}`, 'g'),
+    (match, index) => replacements[index]
+  );
+}
+
+/**
+ * Parse per-conversion lexicon overrides from a request
+ * @param {Array|string} value - Entries or their JSON
+ * @returns {Array<Object>} - Validated entries
+ */
+export function parseLexiconOverrides(value) {
+  if (value === undefined || value === null || value === '') return [];
+
+  let entries = value;
+  if (typeof value === 'string') {
+    try {
+      entries = JSON.parse(value);
+    } catch (error) {
+      const invalid = new Error(`Invalid lexicon overrides: ${error.message}`);
+      invalid.status = 400;
+      throw invalid;
+    }
+  }
+
+  if (!Array.isArray(entries)) {
+    const invalid = new Error('Lexicon overrides must be a list of entries');
+    invalid.status = 400;
+    throw invalid;
+  }
+
+  return entries.map(validateEntry);
+}
+
+export class Lexicon {
+  constructor(config = {}) {
+    this.lexiconPath = config.lexiconPath || './conversions/lexicon.json';
+    this.entries = [];
+    this.initialized = false;
+
+    // Serializes writes so concurrent updates never interleave
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Initialize lexicon (create directory and load entries)
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      await fs.mkdir(path.dirname(this.lexiconPath), { recursive: true });
+
+      const data = await this.readLexicon();
+      this.entries = data.entries;
+
+      this.initialized = true;
+    } catch (error) {
+      throw new Error(`Failed to initialize lexicon: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read lexicon file
+   * @returns {Promise<Object>} - Lexicon object
+   */
+  async readLexicon() {
+    try {
+      const data = await fs.readFile(this.lexiconPath, 'utf-8');
+      return JSON.parse(data);
+    } catch (error) {
+      // If file doesn't exist or is invalid, start empty
+      return { entries: [] };
+    }
+  }
+
+  /**
+   * Persist all entries (atomic operation, serialized)
+   * @returns {Promise<void>}
+   */
+  persist() {
+    const write = async () => {
+      const tempPath = `${this.lexiconPath}.tmp`;
+
+      try {
+        await fs.writeFile(tempPath, JSON.stringify({ entries: this.entries }, null, 2), 'utf-8');
+        await fs.rename(tempPath, this.lexiconPath);
+      } catch (error) {
+        try {
+          await fs.unlink(tempPath);
+        } catch (e) {
+          // Ignore cleanup errors
+        }
+
+        throw new Error(`Failed to write lexicon: ${error.message}`);
+      }
+    };
+
+    this.writeChain = this.writeChain.then(write, write);
+    return this.writeChain;
+  }
+
+  /**
+   * Get all entries
+   * @returns {Promise<Array<Object>>}
+   */
+  async getEntries() {
+    await this.initialize();
+    return this.entries;
+  }
+
+  /**
+   * Add an entry, replacing any entry with the same pattern and flags
+   * @param {Object} entry - { pattern, spoken, regex?, caseSensitive?, wholeWord? }
+   * @returns {Promise<Object>} - Saved entry
+   */
+  async saveEntry(entry) {
+    await this.initialize();
+
+    const validated = validateEntry(entry);
+    const now = new Date().toISOString();
+    const existing = this.entries.find(e => entryKey(e) === entryKey(validated));
+
+    let saved;
+    if (existing) {
+      saved = Object.assign(existing, validated, { updatedAt: now });
+    } else {
+      saved = { id: uuidv4(), ...validated, createdAt: now, updatedAt: now };
+      this.entries.push(saved);
+    }
+
+    await this.persist();
+    return saved;
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} id - Entry ID
+   * @returns {Promise<void>}
+   */
+  async deleteEntry(id) {
+    await this.initialize();
+
+    const index = this.entries.findIndex(entry => entry.id === id);
+
+    if (index === -1) {
+      const error = new Error(`Lexicon entry not found: ${id}`);
+      error.status = 404;
+      throw error;
+    }
+
+    this.entries.splice(index, 1);
+    await this.persist();
+  }
+
+  /**
+   * Apply the lexicon to text
+   * Overrides replace stored entries with the same pattern and flags.
+   * @param {string} text - Text
+   * @param {Array<Object>} overrides - Per-conversion entries
+   * @returns {Promise<string>} - Text with spoken forms
+   */
+  async apply(text, overrides = []) {
+    await this.initialize();
+
+    const overridden = new Set(overrides.map(entryKey));
+    const entries = [
+      ...overrides,
+      ...this.entries.filter(entry => !overridden.has(entryKey(entry)))
+    ];
+
+    return entries.length > 0 ? applyEntries(text, entries) : text;
+  }
+}
+
+// Singleton instance
+let lexiconInstance = null;
+
+/**
+ * Get lexicon instance (singleton)
+ * @returns {Lexicon}
+ */
+export function getLexicon() {
+  if (!lexiconInstance) {
+    lexiconInstance = new Lexicon();
+  }
+  return lexiconInstance;
+}
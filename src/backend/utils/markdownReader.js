@@ -0,0 +1,203 @@
+/**
+ * Markdown Reader
+ *
+ * Reads Markdown into document model blocks (see documentModel.js) from
+ * marked's token stream. Emotion tags (e.g. <laugh>) are kept; other HTML
+ * is removed. YAML front matter and link URLs follow the reading rules
+ * (see readingRules.js).
+ */
+
+import { marked } from 'marked';
+import { protectTags, restoreTags } from './emotionTags.js';
+
+// YAML front matter: a leading block between --- lines (closed by --- or ...)
+const FRONT_MATTER = /^\uFEFF?---[^\S\n]*\n[\s\S]*?\n(?:---|\.\.\.)[^\S\n]*(?:\n|$)/;
+
+// Named entities worth decoding; marked itself emits &amp; &lt; &gt; &quot; &#39;
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', reg: '®',
+  trade: '™', hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’',
+  ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', deg: '°', times: '×', middot: '·'
+};
+
+/**
+ * Read Markdown
+ * @param {string} content - Markdown source
+ * @param {Object} options
+ * @param {boolean} options.imageDescriptions - Read image alt text as asides
+ * @param {string} options.frontMatter - 'keep' (verbatim, as the first paragraph) or 'strip'
+ * @param {string} options.links - 'text' (link text only) or 'url' (also name the linked site)
+ * @returns {Object} - { title, blocks } (title: first top-level heading)
+ */
+export function readMarkdown(content, { imageDescriptions = false, frontMatter = 'keep', links = 'text' } = {}) {
+  const blocks = [];
+  let source = content.replace(/\r\n/g, '\n');
+
+  const header = FRONT_MATTER.exec(source);
+  if (header) {
+    source = source.slice(header[0].length);
+
+    // Kept verbatim so a script's speaker map still reaches the chunker
+    if (frontMatter === 'keep') {
+      blocks.push({ type: 'paragraph', text: header[0].replace(/^\uFEFF/, '').trim() });
+    }
+  }
+
+  const tokens = marked.lexer(protectTags(source));
+  readTokens(tokens, blocks, { imageDescriptions, links, quote: 0, depth: 0 });
+
+  const title = blocks.find(block => block.type === 'heading' && block.level === 1 && !block.quote);
+
+  return { title: title ? title.text : null, blocks };
+}
+
+/**
+ * Append the blocks of block-level tokens
+ * @param {Array<Object>} tokens - marked block tokens
+ * @param {Array<Object>} blocks - Blocks read so far
+ * @param {Object} context - { imageDescriptions, links, quote, depth }
+ */
+function readTokens(tokens, blocks, context) {
+  const push = block => blocks.push(context.quote > 0 ? { ...block, quote: context.quote } : block);
+
+  // A paragraph, with its images described after it
+  const pushText = (type, inlineTokens, extra = {}) => {
+    const images = [];
+    const text = readInline(inlineTokens, images, context.links);
+
+    if (text) push({ type, text, ...extra });
+    if (context.imageDescriptions) {
+      for (const alt of images) push({ type: 'aside', text: asSentence(`Image: ${alt}`) });
+    }
+  };
+
+  for (const token of tokens) {
+    switch (token.type) {
+      case 'heading':
+        pushText('heading', token.tokens, { level: token.depth });
+        break;
+      case 'paragraph':
+      case 'text':
+        pushText('paragraph', token.tokens || [token]);
+        break;
+      case 'code':
+        if (token.text.trim()) {
+          push({ type: 'code', text: token.text.replace(/\s+$/, ''), language: token.lang || null });
+        }
+        break;
+      case 'list':
+        token.items.forEach((item, i) => {
+          const ordered = Boolean(token.ordered);
+          const number = ordered ? { number: (token.start === '' ? 1 : Number(token.start)) + i } : {};
+          let first = true;
+
+          for (const child of item.tokens) {
+            if (child.type === 'list') {
+              readTokens([child], blocks, { ...context, depth: context.depth + 1 });
+            } else if (child.type === 'text' || child.type === 'paragraph') {
+              const extra = { ordered, depth: context.depth, ...(first ? number : {}) };
+              pushText('listItem', child.tokens || [child], extra);
+              first = false;
+            } else {
+              readTokens([child], blocks, context);
+            }
+          }
+        });
+        break;
+      case 'table':
+        push({
+          type: 'table',
+          caption: null,
+          header: token.header.map(cell => readInline(cell.tokens, [], context.links)),
+          rows: token.rows.map(row => row.map(cell => readInline(cell.tokens, [], context.links)))
+        });
+        break;
+      case 'blockquote':
+        readTokens(token.tokens, blocks, { ...context, quote: context.quote + 1 });
+        break;
+      case 'html': {
+        const text = clean(stripHtml(token.text));
+        if (text) push({ type: 'paragraph', text });
+        break;
+      }
+      default:
+        // space, hr, def
+        break;
+    }
+  }
+}
+
+/**
+ * Text of inline tokens; image alt texts are collected into `images`
+ * @param {Array<Object>} tokens - marked inline tokens
+ * @param {Array<string>} images - Alt texts found
+ * @param {string} links - Links rule ('text' or 'url')
+ * @returns {string}
+ */
+function readInline(tokens, images, links = 'text') {
+  return clean(inlineText(tokens, images, links));
+}
+
+function inlineText(tokens, images, links) {
+  return (tokens || []).map(token => {
+    switch (token.type) {
+      case 'link': {
+        const text = inlineText(token.tokens, images, links);
+        const site = links === 'url' ? linkedSite(token.href) : null;
+        return site && !text.toLowerCase().includes(site) ? `${text} (link to ${site})` : text;
+      }
+      case 'html':
+        return '';
+      case 'br':
+        return '\n';
+      case 'image':
+        if (token.text && token.text.trim()) images.push(clean(token.text));
+        return '';
+      case 'codespan':
+      case 'escape':
+        return token.text;
+      default:
+        return token.tokens ? inlineText(token.tokens, images, links) : token.text || '';
+    }
+  }).join('');
+}
+
+// Decode entities, restore emotion tags and tidy whitespace
+function clean(text) {
+  return restoreTags(decodeEntities(text))
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/ ?\n ?/g, '\n')
+    .trim();
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? Number.parseInt(entity.slice(2), 16)
+        : Number.parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// Host of an absolute link ("example.com"), or the address of a mailto link
+function linkedSite(href) {
+  try {
+    const url = new URL(href);
+    if (url.protocol === 'mailto:') return url.pathname;
+    return /^https?:$/.test(url.protocol) ? url.hostname.replace(/^www\./, '') : null;
+  } catch (error) {
+    // Relative links name no site
+    return null;
+  }
+}
+
+function stripHtml(html) {
+  return html.replace(/<!--[\s\S]*?-->/g, '').replace(/<[^>]*>/g, ' ');
+}
+
+function asSentence(text) {
+  return /[.!?…]$/.test(text) ? text : `${text}.`;
+}
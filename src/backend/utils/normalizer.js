@@ -0,0 +1,612 @@
+/**
+ * Text Normalization
+ *
+ * Rewrites text that TTS models tend to mispronounce into words, between
+ * file parsing and chunking:
+ * - URLs and email addresses ("example dot com")
+ * - Currency ("$1,250.50" -> "one thousand two hundred fifty dollars and fifty cents", "$2.5M")
+ * - Dates ("2024-03-05" -> "March fifth, twenty twenty-four")
+ * - Units ("3 km" -> "three kilometers")
+ * - Roman numerals in context ("Ch. IV" -> "Chapter four", "Henry VIII" -> "Henry the Eighth")
+ * - Abbreviations ("Dr." -> "Doctor", "e.g." -> "for example")
+ * - Numbers, ordinals, fractions, percentages, decimals and times ("-5" -> "minus five");
+ *   phone numbers and versions ("555-1234", "2.0.1", "v1.2") are left as written
+ *
+ * Rules run in order and can be toggled individually. Additional rules
+ * can be plugged in with registerRule().
+ */
+
+const ONES = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+  'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen',
+  'seventeen', 'eighteen', 'nineteen'
+];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = [
+  [1e12, 'trillion'],
+  [1e9, 'billion'],
+  [1e6, 'million'],
+  [1e3, 'thousand']
+];
+const IRREGULAR_ORDINALS = {
+  one: 'first',
+  two: 'second',
+  three: 'third',
+  five: 'fifth',
+  eight: 'eighth',
+  nine: 'ninth',
+  twelve: 'twelfth'
+};
+const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+/**
+ * Spell out a whole number
+ * @param {number} n - Integer, at most Number.MAX_SAFE_INTEGER in size
+ * @returns {string} - e.g. 1250 -> "one thousand two hundred fifty"
+ */
+export function numberToWords(n) {
+  if (!Number.isSafeInteger(n)) {
+    throw new RangeError(`Cannot spell out ${n}; use decimalToWords() for long digit strings`);
+  }
+  if (n < 0) return `minus ${numberToWords(-n)}`;
+  if (n < 20) return ONES[n];
+  if (n < 100) return TENS[Math.floor(n / 10)] + (n % 10 ? `-${ONES[n % 10]}` : '');
+  if (n < 1000) {
+    return `${ONES[Math.floor(n / 100)]} hundred` + (n % 100 ? ` ${numberToWords(n % 100)}` : '');
+  }
+
+  for (const [scale, name] of SCALES) {
+    if (n >= scale) {
+      const rest = n % scale;
+      return `${numberToWords(Math.floor(n / scale))} ${name}` + (rest ? ` ${numberToWords(rest)}` : '');
+    }
+  }
+
+  return String(n);
+}
+
+/**
+ * Spell out an ordinal
+ * @param {number} n - Integer
+ * @returns {string} - e.g. 21 -> "twenty-first"
+ */
+export function ordinalToWords(n) {
+  const words = numberToWords(n);
+  const match = words.match(/([a-z]+)$/);
+  const last = match[1];
+
+  let ordinal;
+  if (IRREGULAR_ORDINALS[last]) {
+    ordinal = IRREGULAR_ORDINALS[last];
+  } else if (last.endsWith('y')) {
+    ordinal = `${last.slice(0, -1)}ieth`;
+  } else {
+    ordinal = `${last}th`;
+  }
+
+  return words.slice(0, -last.length) + ordinal;
+}
+
+/**
+ * Spell out a year the way it is spoken
+ * @param {number} year - Year
+ * @returns {string} - e.g. 1999 -> "nineteen ninety-nine", 2005 -> "two thousand five"
+ */
+export function yearToWords(year) {
+  if (year < 1000 || year > 9999 || (year >= 2000 && year < 2010) || year % 1000 === 0) {
+    return numberToWords(year);
+  }
+
+  const high = Math.floor(year / 100);
+  const low = year % 100;
+
+  if (low === 0) return `${numberToWords(high)} hundred`;
+  if (low < 10) return `${numberToWords(high)} oh ${ONES[low]}`;
+  return `${numberToWords(high)} ${numberToWords(low)}`;
+}
+
+/**
+ * Spell out a decimal number digit by digit after the point
+ * Whole parts too long to hold exactly (past 2^53) are read digit by digit.
+ * @param {string} value - Number text, e.g. "3.14" or "1,250"
+ * @returns {string} - e.g. "three point one four"
+ */
+export function decimalToWords(value) {
+  const [whole, fraction] = value.replace(/,/g, '').split('.');
+  const number = Number(whole);
+  const words = Number.isSafeInteger(number)
+    ? numberToWords(number)
+    : [...whole].map(digit => ONES[digit]).join(' ');
+  const point = `point ${[...(fraction || '')].map(digit => ONES[digit]).join(' ')}`;
+
+  if (!fraction) return words;
+  // ".5" is read "point five"
+  return whole === '' ? point : `${words} ${point}`;
+}
+
+/**
+ * Parse a Roman numeral
+ * @param {string} numeral - e.g. "XIV"
+ * @returns {number|null} - Value, or null if not a valid numeral
+ */
+export function romanToNumber(numeral) {
+  if (!numeral || !/^M{0,3}(CM|CD|D?C{0,3})(XC|XL|L?X{0,3})(IX|IV|V?I{0,3})$/.test(numeral)) {
+    return null;
+  }
+
+  const values = { I: 1, V: 5, X: 10, L: 50, C: 100, D: 500, M: 1000 };
+  let total = 0;
+
+  for (let i = 0; i < numeral.length; i++) {
+    const value = values[numeral[i]];
+    const next = values[numeral[i + 1]] || 0;
+    total += value < next ? -value : value;
+  }
+
+  return total;
+}
+
+/**
+ * Pick the singular or plural form
+ * @param {string} amount - Spoken amount
+ * @param {string} singular - Singular form
+ * @param {string} plural - Plural form
+ * @returns {string}
+ */
+function pluralize(amount, singular, plural) {
+  return amount === 'one' ? singular : plural;
+}
+
+// ==================== Rules ====================
+
+const CURRENCIES = {
+  '$': ['dollar', 'dollars', 'cent', 'cents'],
+  '£': ['pound', 'pounds', 'penny', 'pence'],
+  '€': ['euro', 'euros', 'cent', 'cents'],
+  '¥': ['yen', 'yen', 'sen', 'sen']
+};
+
+// Short scales after an amount of money ("$2.5M", "£4bn")
+const CURRENCY_SCALES = {
+  k: 'thousand',
+  m: 'million',
+  mn: 'million',
+  b: 'billion',
+  bn: 'billion',
+  t: 'trillion',
+  tn: 'trillion'
+};
+
+// Numbers read as digits rather than amounts: phone numbers ("555-1234",
+// "1-800-555-1234", "+1 555 123 4567"), versions and addresses ("2.0.1",
+// "v1.2", "10.0.0.1") and slashed numbers that aren't fractions ("24/7")
+const VERBATIM_NUMBER = [
+  '\\+\\d{1,3}(?:[\\s.-]?\\d{2,4}){2,4}(?![\\w-])',
+  '(?<![\\w-])(?:1[\\s.-])?(?:\\(\\d{3}\\)\\s?|\\d{3}[-.])?\\d{3}-\\d{4}(?![\\w-])',
+  '\\b[vV]\\d+(?:\\.\\d+)+',
+  '\\d+(?:\\.\\d+){2,}',
+  '\\d+(?:\\/\\d+)+'
+].join('|');
+
+// A number, with thousands separators and a fraction, or just a fraction (".5")
+const NUMBER_VALUE = '(?:\\b(\\d{1,3}(?:,\\d{3})+|\\d+)|(?<![\\w.])(?=\\.\\d))(\\.\\d+)?';
+
+// A minus sign starting a number ("-5", "(−3")
+const MINUS = '(?:(?<![^\\s(])([-−]))?';
+
+const UNITS = {
+  km: ['kilometer', 'kilometers'],
+  m: ['meter', 'meters'],
+  cm: ['centimeter', 'centimeters'],
+  mm: ['millimeter', 'millimeters'],
+  mi: ['mile', 'miles'],
+  ft: ['foot', 'feet'],
+  kg: ['kilogram', 'kilograms'],
+  g: ['gram', 'grams'],
+  mg: ['milligram', 'milligrams'],
+  lb: ['pound', 'pounds'],
+  lbs: ['pound', 'pounds'],
+  oz: ['ounce', 'ounces'],
+  ml: ['milliliter', 'milliliters'],
+  mL: ['milliliter', 'milliliters'],
+  mph: ['mile per hour', 'miles per hour'],
+  'km/h': ['kilometer per hour', 'kilometers per hour'],
+  kph: ['kilometer per hour', 'kilometers per hour'],
+  '°C': ['degree Celsius', 'degrees Celsius'],
+  '°F': ['degree Fahrenheit', 'degrees Fahrenheit'],
+  KB: ['kilobyte', 'kilobytes'],
+  MB: ['megabyte', 'megabytes'],
+  GB: ['gigabyte', 'gigabytes'],
+  TB: ['terabyte', 'terabytes'],
+  Hz: ['hertz', 'hertz'],
+  kHz: ['kilohertz', 'kilohertz'],
+  MHz: ['megahertz', 'megahertz'],
+  GHz: ['gigahertz', 'gigahertz'],
+  kW: ['kilowatt', 'kilowatts'],
+  ms: ['millisecond', 'milliseconds'],
+  sec: ['second', 'seconds'],
+  min: ['minute', 'minutes'],
+  hr: ['hour', 'hours'],
+  hrs: ['hour', 'hours']
+};
+
+// Words after which a Roman numeral is read as a cardinal ("Chapter four")
+const ROMAN_CARDINAL_CONTEXT = [
+  'Chapter', 'Ch.', 'Part', 'Book', 'Volume', 'Vol.', 'Act', 'Scene',
+  'Section', 'Article', 'Appendix', 'War', 'Phase', 'Round', 'Level'
+];
+
+// Names after which a Roman numeral is a regnal number ("Henry the Eighth")
+const ROMAN_REGNAL_CONTEXT = [
+  'Henry', 'Edward', 'George', 'Louis', 'Charles', 'Elizabeth', 'Richard',
+  'William', 'James', 'Napoleon', 'Pius', 'Benedict', 'Leo', 'Gregory',
+  'John', 'Paul', 'Philip', 'Frederick', 'Peter', 'Catherine', 'Mary', 'Ramesses'
+];
+
+// Abbreviations; `end` ones can close a sentence and keep their period there
+const ABBREVIATIONS = [
+  { pattern: 'Dr.', spoken: 'Doctor' },
+  { pattern: 'Mr.', spoken: 'Mister' },
+  { pattern: 'Mrs.', spoken: 'Missus' },
+  { pattern: 'Ms.', spoken: 'Miz' },
+  { pattern: 'Prof.', spoken: 'Professor' },
+  { pattern: 'Sr.', spoken: 'Senior', end: true },
+  { pattern: 'Jr.', spoken: 'Junior', end: true },
+  { pattern: 'St.', spoken: 'Saint', before: /^\s+[A-Z]/ },
+  { pattern: 'Mt.', spoken: 'Mount', before: /^\s+[A-Z]/ },
+  { pattern: 'No.', spoken: 'number', before: /^\s*\d/ },
+  { pattern: 'Fig.', spoken: 'Figure', before: /^\s*\d/ },
+  { pattern: 'p.', spoken: 'page', before: /^\s*\d/ },
+  { pattern: 'pp.', spoken: 'pages', before: /^\s*\d/ },
+  { pattern: 'Ch.', spoken: 'Chapter', before: /^\s*\d/ },
+  { pattern: 'Vol.', spoken: 'Volume', before: /^\s*\d/ },
+  { pattern: 'e.g.', spoken: 'for example' },
+  { pattern: 'i.e.', spoken: 'that is' },
+  { pattern: 'etc.', spoken: 'et cetera', end: true },
+  { pattern: 'vs.', spoken: 'versus' },
+  { pattern: 'approx.', spoken: 'approximately' }
+];
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+/**
+ * Speak a number's minus sign
+ * @param {string} sign - Captured sign, if any
+ * @param {string} words - Spoken number
+ * @returns {string} - e.g. "minus five"
+ */
+const signed = (sign, words) => (sign ? `minus ${words}` : words);
+
+/**
+ * Speak an amount of money
+ * @param {string} symbol - Currency symbol
+ * @param {string} whole - Whole amount, possibly with thousands separators
+ * @param {string} fraction - Digits after the point, if any
+ * @param {string} scale - "thousand" to "trillion", if any
+ * @returns {string} - e.g. "two dollars and fifty cents"
+ */
+function speakMoney(symbol, whole, fraction, scale) {
+  const [unit, units, subunit, subunits] = CURRENCIES[symbol];
+
+  if (scale || (fraction && fraction.length > 2)) {
+    const amount = decimalToWords(fraction ? `${whole}.${fraction}` : whole);
+    return scale ? `${amount} ${scale} ${units}` : `${amount} ${units}`;
+  }
+
+  const amount = decimalToWords(whole);
+  const cents = fraction ? parseInt(fraction.padEnd(2, '0'), 10) : 0;
+  const main = `${amount} ${pluralize(amount, unit, units)}`;
+
+  if (!cents) return main;
+
+  const centWords = numberToWords(cents);
+  const change = `${centWords} ${pluralize(centWords, subunit, subunits)}`;
+  return amount === 'zero' ? change : `${main} and ${change}`;
+}
+
+/**
+ * Speak a proper fraction
+ * @param {number} numerator - Top number
+ * @param {number} denominator - Bottom number
+ * @returns {string} - e.g. 3, 4 -> "three quarters"
+ */
+function speakFraction(numerator, denominator) {
+  const names = { 2: ['half', 'halves'], 4: ['quarter', 'quarters'] };
+  const [singular, plural] = names[denominator] ||
+    [ordinalToWords(denominator), `${ordinalToWords(denominator)}s`];
+  const amount = numberToWords(numerator);
+
+  return `${amount} ${pluralize(amount, singular, plural)}`;
+}
+
+/**
+ * Speak a URL or email address
+ * @param {string} address - URL or email
+ * @returns {string} - e.g. "example dot com slash docs"
+ */
+function speakAddress(address) {
+  return address
+    .replace(/^https?:\/\//i, '')
+    .replace(/^www\./i, 'www dot ')
+    .replace(/\/$/, '')
+    .replace(/@/g, ' at ')
+    .replace(/\./g, ' dot ')
+    .replace(/\//g, ' slash ')
+    .replace(/-/g, ' dash ')
+    .replace(/_/g, ' underscore ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Speak a date
+ * @param {number} year - Year (or null)
+ * @param {number} month - Month 1-12
+ * @param {number} day - Day of month
+ * @returns {string} - e.g. "March fifth, twenty twenty-four"
+ */
+function speakDate(year, month, day) {
+  const date = `${MONTHS[month - 1]} ${ordinalToWords(day)}`;
+  return year ? `${date}, ${yearToWords(year)}` : date;
+}
+
+export const RULES = [
+  {
+    id: 'urls',
+    description: 'Read URLs and email addresses ("example dot com")',
+    apply: text => text
+      .replace(/\bhttps?:\/\/[^\s<>"]+[^\s<>".,;:!?)]/gi, speakAddress)
+      .replace(/\bwww\.[^\s<>"]+[^\s<>".,;:!?)]/gi, speakAddress)
+      .replace(/\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g, speakAddress)
+  },
+  {
+    id: 'currency',
+    description: 'Spell out amounts of money ("$1,250.50", "$2.5M", "-$5")',
+    apply: text => text.replace(
+      new RegExp(
+        `${MINUS}([$£€¥])\\s?([-−])?(\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.(\\d+))?` +
+          '(?:\\s?(thousand|million|billion|trillion)\\b|([kKmMbBtT]|mn|bn|tn)\\b)?(?!\\w|\\.\\d)',
+        'g'
+      ),
+      (match, sign, symbol, innerSign, whole, fraction, word, suffix) => signed(
+        sign || innerSign,
+        speakMoney(symbol, whole, fraction, word || (suffix && CURRENCY_SCALES[suffix.toLowerCase()]))
+      )
+    )
+  },
+  {
+    id: 'dates',
+    description: 'Read dates ("2024-03-05", "3/5/2024", "March 5th, 2024")',
+    apply: text => text
+      .replace(/\b(\d{4})-(\d{2})-(\d{2})\b/g, (match, year, month, day) =>
+        month >= 1 && month <= 12 && day >= 1 && day <= 31
+          ? speakDate(parseInt(year, 10), parseInt(month, 10), parseInt(day, 10))
+          : match
+      )
+      .replace(/\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/g, (match, month, day, year) =>
+        month >= 1 && month <= 12 && day >= 1 && day <= 31
+          ? speakDate(parseInt(year, 10), parseInt(month, 10), parseInt(day, 10))
+          : match
+      )
+      .replace(
+        new RegExp(`\\b(${MONTHS.join('|')})\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`, 'g'),
+        (match, month, day, year) =>
+          speakDate(year ? parseInt(year, 10) : null, MONTHS.indexOf(month) + 1, parseInt(day, 10))
+      )
+  },
+  {
+    id: 'units',
+    description: 'Spell out units of measure ("3 km", "20 °C")',
+    // A period after the unit is dropped unless it ends the sentence ("5 ft. tall")
+    apply: text => text.replace(
+      new RegExp(
+        `${MINUS}(?<![\\d.,/])(\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?)\\s?(${Object.keys(UNITS).sort((a, b) => b.length - a.length).map(escapeRegex).join('|')})(?![\\w/])(?:\\.(?=\\s+[a-z]))?`,
+        'g'
+      ),
+      (match, sign, value, unit) => {
+        const amount = decimalToWords(value);
+        const [singular, plural] = UNITS[unit];
+        return `${signed(sign, amount)} ${pluralize(amount, singular, plural)}`;
+      }
+    )
+  },
+  {
+    id: 'romanNumerals',
+    description: 'Read Roman numerals after chapter words and regnal names ("Ch. IV", "Henry VIII")',
+    apply: text => text
+      .replace(
+        new RegExp(`(^|[^\\w.])(${ROMAN_CARDINAL_CONTEXT.map(escapeRegex).join('|')})\\s+([IVXLCDM]+)\\b`, 'g'),
+        (match, lead, word, numeral) => {
+          const value = romanToNumber(numeral);
+          const label = word === 'Ch.' ? 'Chapter' : word === 'Vol.' ? 'Volume' : word;
+          return value ? `${lead}${label} ${numberToWords(value)}` : match;
+        }
+      )
+      .replace(
+        new RegExp(`\\b(${ROMAN_REGNAL_CONTEXT.join('|')})\\s+([IVXLCDM]+)\\b`, 'g'),
+        (match, name, numeral) => {
+          const value = romanToNumber(numeral);
+          if (!value || value === 1 && numeral === 'I') return match;
+
+          const ordinal = ordinalToWords(value);
+          return `${name} the ${ordinal[0].toUpperCase()}${ordinal.slice(1)}`;
+        }
+      )
+  },
+  {
+    id: 'abbreviations',
+    description: 'Expand abbreviations ("Dr.", "e.g.", "etc.")',
+    apply: text => ABBREVIATIONS.reduce((result, { pattern, spoken, before, end }) =>
+      result.replace(
+        new RegExp(`(^|[^\\w.])${escapeRegex(pattern)}`, 'g'),
+        (match, lead, offset, whole) => {
+          const rest = whole.slice(offset + match.length);
+
+          if (before && !before.test(rest)) return match;
+
+          // Keep the full stop when the abbreviation ends a sentence
+          const endsSentence = end && (/^\s*$/.test(rest) || /^\s+[A-Z]/.test(rest));
+          return `${lead}${spoken}${endsSentence ? '.' : ''}`;
+        }
+      ),
+    text)
+  },
+  {
+    id: 'numbers',
+    description: 'Spell out numbers, ordinals, fractions, percentages, decimals and times',
+    apply: text => text
+      .replace(/\b(\d{1,2}):(\d{2})(?:\s?([AaPp])\.?[Mm](\.?))?(?!\d)/g, (match, hours, minutes, meridiem, dot, offset, input) => {
+        const h = parseInt(hours, 10);
+        const m = parseInt(minutes, 10);
+
+        if (h > 23 || m > 59) return match;
+
+        let spoken = numberToWords(h);
+        if (m === 0) {
+          spoken += meridiem ? '' : " o'clock";
+        } else {
+          spoken += m < 10 ? ` oh ${ONES[m]}` : ` ${numberToWords(m)}`;
+        }
+
+        if (!meridiem) return spoken;
+
+        // "p.m." ending a sentence keeps its period
+        const end = dot && /^(\s*$|\s+[A-Z])/.test(input.slice(offset + match.length)) ? '.' : '';
+        return `${spoken} ${meridiem.toLowerCase() === 'a' ? 'a m' : 'p m'}${end}`;
+      })
+      .replace(/\b(\d+)(st|nd|rd|th)\b/g, (match, value) =>
+        (Number.isSafeInteger(Number(value)) ? ordinalToWords(Number(value)) : match)
+      )
+      // Proper fractions ("1/2 cup", "2 3/4"); other slashed numbers stay as written
+      .replace(/(?<![\w/.])(?:(\d+) )?(\d+)\/(\d+)(?![\w/]|\.\d)/g, (match, whole, numerator, denominator) => {
+        const top = Number(numerator);
+        const bottom = Number(denominator);
+
+        if (top === 0 || bottom < 2 || bottom > 16 || top >= bottom) return match;
+
+        const fraction = speakFraction(top, bottom);
+        return whole ? `${decimalToWords(whole)} and ${fraction}` : fraction;
+      })
+      .replace(new RegExp(`${MINUS}${NUMBER_VALUE}\\s?%`, 'g'), (match, sign, whole, fraction) =>
+        `${signed(sign, decimalToWords((whole || '') + (fraction || '')))} percent`
+      )
+      .replace(new RegExp(`(${VERBATIM_NUMBER})|${MINUS}${NUMBER_VALUE}\\b`, 'g'), (match, verbatim, sign, whole, fraction) => {
+        if (verbatim) return match;
+        if (fraction) return signed(sign, decimalToWords((whole || '') + fraction));
+
+        const value = Number(whole);
+
+        // Four-digit numbers without separators are usually years
+        if (!sign && /^\d{4}$/.test(whole) && value >= 1100 && value < 2100) {
+          return yearToWords(value);
+        }
+
+        return signed(sign, decimalToWords(whole));
+      })
+  }
+];
+
+/**
+ * Add a normalization rule
+ * @param {Object} rule - { id, description, apply(text) }
+ * @param {Object} options - Placement
+ * @param {string} options.before - Run before the rule with this id (default: last)
+ */
+export function registerRule(rule, { before } = {}) {
+  const index = before ? RULES.findIndex(existing => existing.id === before) : -1;
+
+  if (index === -1) {
+    RULES.push(rule);
+  } else {
+    RULES.splice(index, 0, rule);
+  }
+}
+
+export class TextNormalizer {
+  /**
+   * @param {Object} toggles - Rule ids mapped to true/false; rules are on unless disabled
+   */
+  constructor(toggles = {}) {
+    this.toggles = toggles;
+  }
+
+  /**
+   * Get the rules that will run
+   * @returns {Array<Object>} - Enabled rules in order
+   */
+  getEnabledRules() {
+    return RULES.filter(rule => this.toggles[rule.id] !== false);
+  }
+
+  /**
+   * Normalize text for speech
+   * @param {string} text - Text to normalize
+   * @returns {string} - Normalized text
+   */
+  normalize(text) {
+    return this.getEnabledRules().reduce((result, rule) => rule.apply(result), text || '');
+  }
+
+  /**
+   * Normalize text and report what each rule changed
+   * @param {string} text - Text to normalize
+   * @returns {Object} - { text, applied: [ruleId] }
+   */
+  preview(text) {
+    const applied = [];
+    let result = text || '';
+
+    for (const rule of this.getEnabledRules()) {
+      const next = rule.apply(result);
+
+      if (next !== result) {
+        applied.push(rule.id);
+      }
+      result = next;
+    }
+
+    return { text: result, applied };
+  }
+
+  /**
+   * Describe all available rules
+   * @returns {Array<Object>} - [{ id, description }]
+   */
+  static getRules() {
+    return RULES.map(({ id, description }) => ({ id, description }));
+  }
+}
+
+/**
+ * Parse normalization toggles from a request
+ * @param {Object|string|boolean} value - Toggles object, its JSON, or false to disable all
+ * @returns {Object} - Rule ids mapped to booleans
+ */
+export function parseNormalizationOptions(value) {
+  if (value === undefined || value === null || value === '') return {};
+
+  if (value === false || value === 'false') {
+    return Object.fromEntries(RULES.map(rule => [rule.id, false]));
+  }
+
+  const toggles = typeof value === 'string' ? JSON.parse(value) : value;
+
+  return Object.fromEntries(
+    Object.entries(toggles)
+      .filter(([id]) => RULES.some(rule => rule.id === id))
+      .map(([id, enabled]) => [id, enabled !== false && enabled !== 'false'])
+  );
+}
+
+/**
+ * Convenience function to normalize text
+ * @param {string} text - Text to normalize
+ * @param {Object} toggles - Rule toggles
+ * @returns {string} - Normalized text
+ */
+export function normalizeText(text, toggles = {}) {
+  return new TextNormalizer(toggles).normalize(text);
+}
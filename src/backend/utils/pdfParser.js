@@ -0,0 +1,390 @@
+/**
+ * PDF Parser
+ *
+ * pdf-parse gives each page's text in drawing order, with running headers,
+ * footers and page numbers, hyphenated line ends and the lines of two
+ * columns interleaved. readPdf() rebuilds each page's lines from the text
+ * positions (left column before right); cleanPdfPages() then drops what
+ * repeats from page to page and rejoins lines into paragraphs.
+ */
+
+import pdfParse from 'pdf-parse';
+
+// A page number on its own line: "12", "- 12 -", "Page 3 of 10", "xiv"
+const PAGE_NUMBER = /^(?:[-–—]\s*)?(?:page\s+)?(?:\d{1,4}|(?=[ivxlcdm])m{0,3}(?:c[md]|d?c{0,3})(?:x[cl]|l?x{0,3})(?:i[xv]|v?i{0,3}))(?:\s*(?:of|\/)\s*\d{1,4})?(?:\s*[-–—])?$/i;
+
+// Headings that open a reference list, and what may follow it
+const REFERENCES_HEADING = /^(?:\d+\.?\s*)?(?:references|bibliography|works cited|literature cited|sources|notes and references)$/i;
+const APPENDIX_HEADING = /^(?:appendix|appendices)\b/i;
+
+// Line starts that always begin a new paragraph (bullets, numbered items)
+const LIST_MARKER = /^(?:[•◦▪‣*–-]\s|\(?\d{1,3}[.)]\s|\[\d{1,3}\]\s)/;
+
+/**
+ * Parse a page range such as "3-10", "5", "5-" or "-4"
+ * @param {string|Object|null} value - Range text, or { firstPage, lastPage }
+ * @returns {Object|null} - { firstPage, lastPage } (lastPage null: to the end), or null for all pages
+ * @throws {Error} - If the range is malformed
+ */
+export function parsePageRange(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (typeof value === 'object') {
+    return parsePageRange(`${value.firstPage ?? ''}-${value.lastPage ?? ''}`);
+  }
+
+  const match = /^\s*(\d*)\s*(?:(-)\s*(\d*))?\s*$/.exec(String(value));
+  if (!match || (!match[1] && !match[3])) {
+    throw new Error('Use a page or a range such as 3-10');
+  }
+
+  const firstPage = match[1] ? Number(match[1]) : 1;
+  const lastPage = match[3] ? Number(match[3]) : match[2] ? null : firstPage;
+
+  if (firstPage < 1 || (lastPage !== null && lastPage < firstPage)) {
+    throw new Error('Pages are numbered from 1 and the range must not run backwards');
+  }
+
+  return { firstPage, lastPage };
+}
+
+/**
+ * Read the lines of each page of a PDF
+ * Lines set apart at the top and bottom of a page are its header and
+ * footer; in the body, an empty line marks a paragraph gap (wider spacing
+ * than between lines).
+ * @param {Buffer} buffer - PDF file contents
+ * @param {Object} options
+ * @param {Object|null} options.pages - { firstPage, lastPage } (see parsePageRange)
+ * @returns {Promise<Object>} - { pageCount, pages: [{ header, lines, footer }] } (pages in the range only)
+ */
+export async function readPdf(buffer, { pages: range = null } = {}) {
+  const firstPage = range ? range.firstPage : 1;
+  const lastPage = range ? range.lastPage : null;
+  const pages = [];
+
+  // pdf.js reads a Buffer's whole backing store; a plain copy has no offset
+  const data = await pdfParse(new Uint8Array(buffer), {
+    max: lastPage || 0,
+    pagerender: async pageData => {
+      const number = pageData.pageIndex + 1;
+      if (number < firstPage) return '';
+
+      const content = await pageData.getTextContent({ normalizeWhitespace: true });
+      pages[number - firstPage] = pageLines(content.items, pageData.view);
+      return '';
+    }
+  });
+
+  if (firstPage > data.numpages) {
+    throw new Error(`Page range starts after the last page (${data.numpages} pages)`);
+  }
+
+  const empty = { header: [], lines: [], footer: [] };
+  return { pageCount: data.numpages, pages: Array.from(pages, page => page || empty) };
+}
+
+/**
+ * Turn page lines into paragraphs of text
+ * Page numbers and running headers and footers (lines repeated at the
+ * edges of pages) are dropped, hyphenated words rejoined and the lines of
+ * a paragraph joined, across page breaks too.
+ * @param {Array<Object>} pages - [{ header, lines, footer }] ('' in lines marks a paragraph gap)
+ * @param {Object} options
+ * @param {boolean} options.removeReferences - Drop a trailing references/bibliography section
+ * @returns {string} - Paragraphs separated by blank lines
+ */
+export function cleanPdfPages(pages, { removeReferences = false } = {}) {
+  const edges = pages.map(pageEdges);
+  const repeated = findRepeatedLines(edges);
+  const running = line => PAGE_NUMBER.test(line.trim()) || repeated.has(lineKey(line));
+
+  const lines = pages.flatMap((page, i) => {
+    const { top, bottom } = edges[i];
+    const body = page.lines.filter((line, j) => !((top.includes(j) || bottom.includes(j)) && running(line)));
+
+    const header = page.header.filter(line => !running(line));
+    const footer = page.footer.filter(line => !running(line));
+
+    // Set apart on the page, so paragraphs of their own
+    return [
+      ...(header.length > 0 ? [...header, ''] : []),
+      ...body,
+      ...(footer.length > 0 ? ['', ...footer, ''] : [])
+    ];
+  });
+
+  let paragraphs = joinLines(lines);
+
+  if (removeReferences) {
+    paragraphs = dropReferences(paragraphs);
+  }
+
+  return paragraphs.join('\n\n');
+}
+
+/**
+ * Lines of one page in reading order
+ * Text items are grouped into lines by baseline. Rows set apart at the
+ * top and bottom are the header and footer; a body with a clear vertical
+ * gutter is read a column at a time, with full-width lines (titles)
+ * breaking it into bands.
+ * @returns {Object} - { header, lines, footer }
+ */
+function pageLines(items, view) {
+  let texts = items
+    .filter(item => item.str && item.str.trim())
+    .map(item => ({
+      str: item.str,
+      x: item.transform[4],
+      y: item.transform[5],
+      width: item.width || 0,
+      size: Math.abs(item.transform[3]) || item.height || 10
+    }));
+
+  if (texts.length === 0) return { header: [], lines: [], footer: [] };
+
+  // Header and footer: up to two rows at either end, past a wider gap
+  const rows = groupLines(texts);
+  const usual = median(rows.slice(1).map((row, i) => rows[i].y - row.y));
+  const headerRows = [];
+  const footerRows = [];
+
+  for (let i = 0; i < 2 && i < rows.length - 2 && rows[i].y - rows[i + 1].y > usual * 1.5; i++) {
+    headerRows.push(rows[i]);
+  }
+  for (let i = rows.length - 1; i > rows.length - 3 && i > headerRows.length + 1 && rows[i - 1].y - rows[i].y > usual * 1.5; i--) {
+    footerRows.unshift(rows[i]);
+  }
+
+  const edgeItems = new Set([...headerRows, ...footerRows].flatMap(row => row.items));
+  texts = texts.filter(text => !edgeItems.has(text));
+
+  const [left, , right] = view || [0, 0, Math.max(...texts.map(text => text.x + text.width))];
+  const gutter = findGutter(texts, left, right);
+  let lines;
+
+  if (gutter === null) {
+    lines = withGaps(groupLines(texts));
+  } else {
+    // Full-width lines split the body into bands; each band is read left column, then right
+    const spans = text => text.x < gutter - 1 && text.x + text.width > gutter + 1;
+    const spanning = groupLines(texts.filter(spans));
+    const bands = Array.from({ length: spanning.length + 1 }, () => ({ left: [], right: [] }));
+
+    for (const text of texts.filter(text => !spans(text))) {
+      const band = spanning.filter(line => line.y > text.y).length;
+      bands[band][text.x + text.width <= gutter + 1 ? 'left' : 'right'].push(text);
+    }
+
+    lines = bands.flatMap((band, i) => [
+      ...withGaps(groupLines(band.left)),
+      ...withGaps(groupLines(band.right)),
+      ...(spanning[i] ? ['', spanning[i].text, ''] : [])
+    ]);
+  }
+
+  return {
+    header: headerRows.map(row => row.text),
+    lines,
+    footer: footerRows.map(row => row.text)
+  };
+}
+
+/**
+ * Find the x position of a gutter between two columns, if any
+ * The gutter is crossed by (almost) no text, has text on both sides over
+ * a shared stretch of the page, and lies in the middle part of it.
+ */
+function findGutter(texts, left, right) {
+  const width = right - left;
+  const total = texts.reduce((sum, text) => sum + text.str.length, 0);
+  let best = null;
+
+  for (let share = 0.3; share <= 0.7; share += 0.01) {
+    const x = left + width * share;
+    const crossing = texts.filter(text => text.x < x - 1 && text.x + text.width > x + 1);
+    const leftSide = texts.filter(text => text.x + text.width <= x + 1);
+    const rightSide = texts.filter(text => text.x >= x - 1);
+
+    if (leftSide.length < 3 || rightSide.length < 3) continue;
+
+    const crossed = crossing.reduce((sum, text) => sum + text.str.length, 0);
+    if (best === null || crossed < best.crossed) {
+      best = { x, crossed, leftSide, rightSide };
+    }
+  }
+
+  if (!best || best.crossed > total * 0.15) return null;
+
+  // Columns sit side by side: their vertical extents mostly overlap
+  const extent = side => [Math.min(...side.map(text => text.y)), Math.max(...side.map(text => text.y))];
+  const [leftLow, leftHigh] = extent(best.leftSide);
+  const [rightLow, rightHigh] = extent(best.rightSide);
+  const overlap = Math.min(leftHigh, rightHigh) - Math.max(leftLow, rightLow);
+  const shorter = Math.min(leftHigh - leftLow, rightHigh - rightLow);
+
+  return shorter > 0 && overlap >= shorter * 0.5 ? best.x : null;
+}
+
+/**
+ * Group text items into lines, top to bottom
+ * @returns {Array<Object>} - [{ text, y, size, items }]
+ */
+function groupLines(texts) {
+  const sorted = [...texts].sort((a, b) => b.y - a.y || a.x - b.x);
+  const lines = [];
+
+  for (const text of sorted) {
+    const line = lines[lines.length - 1];
+
+    if (line && Math.abs(line.y - text.y) <= Math.max(2, text.size * 0.3)) {
+      line.items.push(text);
+    } else {
+      lines.push({ y: text.y, size: text.size, items: [text] });
+    }
+  }
+
+  return lines.map(line => {
+    const items = line.items.sort((a, b) => a.x - b.x);
+    let text = '';
+    let end = null;
+
+    for (const item of items) {
+      // A visible gap between items is a space the PDF didn't draw
+      const gap = end !== null && item.x - end > item.size * 0.15;
+      text += (gap && !/\s$/.test(text) && !/^\s/.test(item.str) ? ' ' : '') + item.str;
+      end = item.x + item.width;
+    }
+
+    return { text: text.replace(/\s+/g, ' ').trim(), y: line.y, size: line.size, items };
+  }).filter(line => line.text);
+}
+
+/**
+ * Line texts with '' where the spacing to the next line is wider than usual
+ */
+function withGaps(lines) {
+  const spacings = lines.slice(1).map((line, i) => lines[i].y - line.y).filter(spacing => spacing > 0);
+  const usual = median(spacings);
+  const result = [];
+
+  lines.forEach((line, i) => {
+    if (i > 0 && usual && lines[i - 1].y - line.y > usual * 1.5) result.push('');
+    result.push(line.text);
+  });
+
+  return result;
+}
+
+/**
+ * Lines a page may have running along its edges: its header and footer,
+ * or without them, the first and last body lines
+ * @returns {Object} - { lines, top, bottom } (top/bottom: indexes into the body lines)
+ */
+function pageEdges(page) {
+  const filled = page.lines.map((line, i) => (line.trim() ? i : -1)).filter(i => i !== -1);
+  const top = page.header.length > 0 ? [] : filled.slice(0, 1);
+  const bottom = page.footer.length > 0 ? [] : filled.slice(-1);
+
+  return {
+    lines: [...page.header, ...[...top, ...bottom].map(i => page.lines[i]), ...page.footer],
+    top,
+    bottom
+  };
+}
+
+/**
+ * Edge lines that repeat across pages (running headers and footers),
+ * compared with digits ignored ("Chapter 2 · 14")
+ * @returns {Set<string>} - Line keys
+ */
+function findRepeatedLines(edges) {
+  if (edges.length < 2) return new Set();
+
+  const counts = new Map();
+
+  for (const { lines } of edges) {
+    for (const key of new Set(lines.map(lineKey))) counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  // Books alternate headers between left and right pages
+  const threshold = Math.max(2, Math.ceil(edges.length * 0.4));
+  return new Set([...counts].filter(([key, count]) => key && count >= threshold).map(([key]) => key));
+}
+
+function lineKey(line) {
+  return line.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Join lines into paragraphs
+ * A line continues the paragraph unless a gap, a list marker, or a short
+ * line ending a sentence (or a short heading) comes first. A word split
+ * by a hyphen at the end of a line is rejoined.
+ */
+function joinLines(lines) {
+  const usual = median(lines.filter(line => line.trim()).map(line => line.trim().length));
+  const paragraphs = [];
+  let current = '';
+  let previous = '';
+
+  for (const raw of lines) {
+    const line = raw.trim();
+
+    if (!line) {
+      if (current) paragraphs.push(current);
+      current = '';
+      previous = '';
+      continue;
+    }
+
+    if (!current) {
+      current = line;
+    } else if (/\p{Ll}[-\u00ad]$/u.test(current) && /^\p{Ll}/u.test(line)) {
+      current = current.slice(0, -1) + line;
+    } else if (startsParagraph(previous, line, usual)) {
+      paragraphs.push(current);
+      current = line;
+    } else {
+      current += ` ${line}`;
+    }
+
+    previous = line;
+  }
+
+  if (current) paragraphs.push(current);
+
+  return paragraphs.map(paragraph => paragraph.replace(/\u00ad/g, ''));
+}
+
+function startsParagraph(previous, line, usual) {
+  if (LIST_MARKER.test(line)) return true;
+
+  const short = previous.length < usual * 0.7;
+  if (short && /[.!?:"”’]$/.test(previous)) return true;
+
+  // A short line without punctuation before a capitalised line is a heading
+  return previous.length < usual * 0.6 && !/[.,;:!?-]$/.test(previous) &&
+    /^\p{Lu}/u.test(previous) && /^\p{Lu}/u.test(line);
+}
+
+/**
+ * Drop the last references/bibliography section (up to an appendix)
+ */
+function dropReferences(paragraphs) {
+  const start = paragraphs.findLastIndex(paragraph => REFERENCES_HEADING.test(paragraph));
+  if (start <= 0) return paragraphs;
+
+  const rest = paragraphs.slice(start + 1);
+  const appendix = rest.findIndex(paragraph => APPENDIX_HEADING.test(paragraph) && paragraph.length < 80);
+
+  return [...paragraphs.slice(0, start), ...(appendix === -1 ? [] : rest.slice(appendix))];
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
@@ -0,0 +1,77 @@
+/**
+ * Conversion Progress Events
+ *
+ * In-process event bus that the background chunk loop publishes to and
+ * the Server-Sent Events endpoint subscribes to.
+ *
+ * Event types:
+ * - chunk-started, chunk-completed
+ * - chunk-failover (a provider failed and the next one in the chain is tried)
+ * - chunk-resplit (chunk audio was cut off; the chunk is regenerated in smaller parts)
+ * - concatenating
+ * - paused, resumed
+ * - completed, failed, cancelled (terminal)
+ */
+
+import { EventEmitter } from 'events';
+
+export const TERMINAL_EVENTS = ['completed', 'failed', 'cancelled'];
+
+export class ProgressEvents extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per open SSE connection
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Publish an event for a conversion
+   * @param {string} conversionId - Conversion ID
+   * @param {string} type - Event type
+   * @param {Object} data - Event payload
+   */
+  publish(conversionId, type, data = {}) {
+    this.emit(conversionId, {
+      type,
+      conversionId,
+      timestamp: new Date().toISOString(),
+      ...data
+    });
+  }
+
+  /**
+   * Subscribe to events of a conversion
+   * @param {string} conversionId - Conversion ID
+   * @param {Function} listener - Called with each event
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(conversionId, listener) {
+    this.on(conversionId, listener);
+    return () => this.off(conversionId, listener);
+  }
+}
+
+/**
+ * Shorten chunk text for event payloads
+ * @param {string} text - Chunk text
+ * @param {number} length - Maximum preview length
+ * @returns {string} - Preview text
+ */
+export function previewText(text, length = 80) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > length ? `${flat.slice(0, length - 1)}…` : flat;
+}
+
+// Singleton instance
+let eventsInstance = null;
+
+/**
+ * Get progress event bus (singleton)
+ * @returns {ProgressEvents}
+ */
+export function getProgressEvents() {
+  if (!eventsInstance) {
+    eventsInstance = new ProgressEvents();
+  }
+  return eventsInstance;
+}
@@ -0,0 +1,194 @@
+/**
+ * Provider Rate Limiter
+ *
+ * Client-side token buckets that keep requests to a TTS provider within
+ * its requests-per-minute and characters-per-minute quotas, and a cap on
+ * the requests it has in flight. One limiter is shared by every instance
+ * of a provider, so parallel chunks and concurrent conversions draw from
+ * the same budget.
+ */
+
+/**
+ * Token bucket that refills continuously up to its capacity
+ */
+export class TokenBucket {
+  /**
+   * @param {number} perMinute - Tokens added per minute (also the capacity)
+   */
+  constructor(perMinute) {
+    this.capacity = perMinute;
+    this.tokens = perMinute;
+    this.refillPerMs = perMinute / 60000;
+    this.lastRefill = Date.now();
+  }
+
+  /**
+   * Add the tokens accrued since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Time until an amount of tokens is available
+   * @param {number} amount - Tokens needed (capped at capacity)
+   * @returns {number} - Milliseconds to wait, 0 if available now
+   */
+  waitTime(amount) {
+    this.refill();
+    const needed = Math.min(amount, this.capacity) - this.tokens;
+    return needed > 0 ? Math.ceil(needed / this.refillPerMs) : 0;
+  }
+
+  /**
+   * Remove tokens from the bucket
+   * @param {number} amount - Tokens to take (capped at capacity)
+   */
+  take(amount) {
+    this.tokens -= Math.min(amount, this.capacity);
+  }
+}
+
+export class RateLimiter {
+  /**
+   * @param {Object} limits - Quotas, unlimited when not set
+   * @param {number} limits.requestsPerMinute - Maximum requests per minute
+   * @param {number} limits.charactersPerMinute - Maximum characters per minute
+   * @param {number} limits.concurrency - Maximum requests in flight
+   */
+  constructor({ requestsPerMinute = null, charactersPerMinute = null, concurrency = null } = {}) {
+    this.requests = requestsPerMinute > 0 ? new TokenBucket(requestsPerMinute) : null;
+    this.characters = charactersPerMinute > 0 ? new TokenBucket(charactersPerMinute) : null;
+    this.pausedUntil = 0;
+    this.concurrency = concurrency > 0 ? concurrency : null;
+    this.inFlight = 0;
+    this.waitingForSlot = [];
+  }
+
+  /**
+   * Wait for a free request slot and claim it
+   * Slots are handed out in the order they were asked for.
+   * @returns {Promise<Function>} - Releases the slot; call once the request settles
+   */
+  async acquireSlot() {
+    if (this.concurrency !== null && this.inFlight >= this.concurrency) {
+      // release() hands its slot straight to the next waiter
+      await new Promise(resolve => this.waitingForSlot.push(resolve));
+    } else {
+      this.inFlight++;
+    }
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+
+      const next = this.waitingForSlot.shift();
+      if (next) {
+        next();
+      } else {
+        this.inFlight--;
+      }
+    };
+  }
+
+  /**
+   * Wait until a request of the given size fits the quotas, then claim it
+   * @param {number} characters - Characters sent with the request
+   * @returns {Promise<number>} - Milliseconds spent waiting
+   */
+  async acquire(characters = 0) {
+    const start = Date.now();
+
+    for (;;) {
+      const wait = Math.max(
+        this.pausedUntil - Date.now(),
+        this.requests ? this.requests.waitTime(1) : 0,
+        this.characters ? this.characters.waitTime(characters) : 0
+      );
+
+      if (wait <= 0) {
+        if (this.requests) this.requests.take(1);
+        if (this.characters) this.characters.take(characters);
+        return Date.now() - start;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  /**
+   * Hold back all requests for a while (e.g. after a Retry-After header)
+   * @param {number} ms - Milliseconds to pause
+   */
+  pauseFor(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  /**
+   * Get the current quotas and remaining budget
+   * @returns {Object}
+   */
+  getState() {
+    const remaining = bucket => {
+      if (!bucket) return null;
+      bucket.refill();
+      return Math.floor(bucket.tokens);
+    };
+
+    return {
+      requestsPerMinute: this.requests ? this.requests.capacity : null,
+      charactersPerMinute: this.characters ? this.characters.capacity : null,
+      concurrency: this.concurrency,
+      inFlight: this.inFlight,
+      remainingRequests: remaining(this.requests),
+      remainingCharacters: remaining(this.characters),
+      pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null
+    };
+  }
+}
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|null} value - Delay in seconds or an HTTP date
+ * @returns {number|null} - Delay in milliseconds, null if absent or invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Shared limiters, one per provider
+const limiters = new Map();
+
+/**
+ * Get the shared rate limiter of a provider
+ * The limits passed on first use apply until the process restarts.
+ * @param {string} key - Provider name
+ * @param {Object} limits - Quotas (see RateLimiter)
+ * @returns {RateLimiter}
+ */
+export function getRateLimiter(key, limits = {}) {
+  if (!limiters.has(key)) {
+    limiters.set(key, new RateLimiter(limits));
+  }
+  return limiters.get(key);
+}
+
+/**
+ * Get the rate limit state of a provider without creating a limiter
+ * @param {string} key - Provider name
+ * @returns {Object|null} - Limiter state, null if the provider has not been used
+ */
+export function getRateLimitState(key) {
+  return limiters.has(key) ? limiters.get(key).getState() : null;
+}
@@ -0,0 +1,83 @@
+/**
+ * Reading Rules
+ *
+ * Per-conversion choices for how document structure is read aloud:
+ * code blocks, list items, headings, tables, Markdown front matter and
+ * link URLs. Applied when a file is parsed (see documentModel.js and
+ * markdownReader.js), so they only affect uploaded files.
+ */
+
+export const READING_RULES = [
+  {
+    id: 'codeBlocks',
+    description: 'Code blocks',
+    options: { summarize: 'Say "Code block omitted."', read: 'Read verbatim', skip: 'Skip silently' },
+    default: 'summarize'
+  },
+  {
+    id: 'listItems',
+    description: 'Numbered list items',
+    options: { ordinal: 'Read with ordinal words ("First, ...")', plain: 'Read without numbers' },
+    default: 'ordinal'
+  },
+  {
+    id: 'headings',
+    description: 'Headings',
+    options: { plain: 'Read as a paragraph', announce: 'Announce ("Section: ...") with a pause' },
+    default: 'plain'
+  },
+  {
+    id: 'tables',
+    description: 'Tables',
+    options: { read: 'Announce and read row by row', skip: 'Skip' },
+    default: 'read'
+  },
+  {
+    id: 'frontMatter',
+    description: 'Markdown YAML front matter',
+    options: { strip: 'Strip', keep: 'Keep as is (script speaker maps)' },
+    default: 'strip'
+  },
+  {
+    id: 'links',
+    description: 'Markdown links',
+    options: { text: 'Read the link text only', url: 'Also name the linked site' },
+    default: 'text'
+  }
+];
+
+/**
+ * Parse reading rules from a request
+ * Unknown rule ids are ignored; missing rules take their default.
+ * @param {Object|string} value - Rule ids mapped to options, or its JSON
+ * @returns {Object} - Every rule id mapped to its option
+ * @throws {Error} - If an option is not valid for its rule
+ */
+export function parseReadingRules(value) {
+  const chosen = value === undefined || value === null || value === ''
+    ? {}
+    : typeof value === 'string' ? JSON.parse(value) : value;
+
+  return Object.fromEntries(READING_RULES.map(rule => {
+    const option = chosen[rule.id] ?? rule.default;
+
+    if (!Object.hasOwn(rule.options, option)) {
+      throw new Error(`${rule.id} must be one of ${Object.keys(rule.options).join(', ')}`);
+    }
+
+    return [rule.id, option];
+  }));
+}
+
+/**
+ * Describe all reading rules
+ * @returns {Array<Object>} - [{ id, description, options: [{ value, description }], default }]
+ */
+export function getReadingRules() {
+  return READING_RULES.map(rule => ({
+    id: rule.id,
+    description: rule.description,
+    options: Object.entries(rule.options).map(([value, description]) => ({ value, description })),
+    default: rule.default
+  }));
+}
@@ -0,0 +1,60 @@
+/**
+ * Speech Token Budget
+ *
+ * Orpheus generates SNAC audio codes, so `max_new_tokens` caps how many
+ * seconds of audio a request can return; text beyond that is cut off
+ * mid-sentence. These helpers turn a token budget into a chunk size and
+ * flag chunk audio that came back much shorter than its text.
+ */
+
+import { stripTags } from './emotionTags.js';
+
+// SNAC at 24 kHz: 7 codes per frame, ~12 frames per second
+export const SPEECH_TOKENS_PER_SECOND = 86;
+
+// Typical Orpheus narration speed
+export const CHARACTERS_PER_SECOND = 15;
+
+export const DEFAULT_TOKENS_PER_CHARACTER = SPEECH_TOKENS_PER_SECOND / CHARACTERS_PER_SECOND;
+
+// Share of the token budget used for text; the rest absorbs slow speech and pauses
+const TOKEN_HEADROOM = 0.85;
+
+// Never size chunks below this, however small the budget
+const MIN_CHUNK_SIZE = 40;
+
+/**
+ * Largest chunk (in characters) whose speech fits a token budget
+ * @param {number} maxNewTokens - Generation token limit
+ * @param {number} tokensPerCharacter - Speech tokens per character of text
+ * @returns {number} - Characters
+ */
+export function getTokenChunkSize(maxNewTokens, tokensPerCharacter = DEFAULT_TOKENS_PER_CHARACTER) {
+  return Math.max(MIN_CHUNK_SIZE, Math.floor((maxNewTokens * TOKEN_HEADROOM) / tokensPerCharacter));
+}
+
+/**
+ * Estimate how long text takes to speak
+ * @param {string} text - Text (emotion tags are ignored)
+ * @returns {number} - Seconds
+ */
+export function estimateSpeechDuration(text) {
+  return stripTags(text).trim().length / CHARACTERS_PER_SECOND;
+}
+
+/**
+ * Whether chunk audio is much shorter than its text should take
+ * Very short texts are never flagged; their timing is too variable.
+ * @param {number|null} duration - Audio duration in seconds (null if unknown)
+ * @param {string} text - Chunk text
+ * @param {Object} options
+ * @param {number} options.threshold - Minimum share of the expected duration (default 0.5)
+ * @param {number} options.minExpected - Only check texts expected to last this long (default 3s)
+ * @returns {boolean}
+ */
+export function isLikelyTruncated(duration, text, { threshold = 0.5, minExpected = 3 } = {}) {
+  if (duration === null || duration === undefined) return false;
+
+  const expected = estimateSpeechDuration(text);
+  return expected >= minExpected && duration < expected * threshold;
+}
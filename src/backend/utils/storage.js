@@ -3,16 +3,50 @@
  *
  * File-based storage using JSON for conversion metadata
  * Simple, reliable, and easy to backup
+ *
+ * Completed conversions also keep the audio of each chunk in
+ * conversions/audio/<id>/ so single chunks can be regenerated, and earlier
+ * renditions (audio, chunks and text) in conversions/audio/<id>/versions/.
  */
 
 import fs from 'fs/promises';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
 
+/**
+ * Valid conversion statuses
+ * - pending/processing: queued or generating audio
+ * - paused: stopped between chunks, can be resumed
+ * - completed/failed/cancelled: finished
+ */
+export const CONVERSION_STATUSES = [
+  'pending',
+  'processing',
+  'paused',
+  'completed',
+  'failed',
+  'cancelled'
+];
+
+// Conversion fields that belong to one rendition of its audio
+const VERSION_FIELDS = [
+  'text',
+  'characterCount',
+  'transcript',
+  'chunks',
+  'chapters',
+  'chunkCount',
+  'chunkSources',
+  'providersUsed',
+  'warnings',
+  'duration'
+];
+
 export class ConversionStorage {
   constructor(config = {}) {
     this.metadataPath = config.metadataPath || './conversions/metadata.json';
     this.audioDir = config.audioDir || './conversions/audio';
+    this.maxVersions = config.maxVersions || 10;
     this.initialized = false;
   }
 
@@ -100,6 +134,8 @@ export class ConversionStorage {
   async saveConversion(conversion) {
     await this.initialize();
 
+    this.validateStatus(conversion.status);
+
     const metadata = await this.readMetadata();
 
     const newConversion = {
@@ -115,7 +151,9 @@ export class ConversionStorage {
       characterCount: conversion.text ? conversion.text.length : 0,
       // New fields for detailed history
       ttsSettings: conversion.ttsSettings || null,
-      originalFileName: conversion.originalFileName || null
+      originalFileName: conversion.originalFileName || null,
+      // Ebook chapters ({ title, textStart }); audio offsets are added on completion
+      chapters: conversion.chapters || []
     };
 
     metadata.conversions.push(newConversion);
@@ -134,6 +172,8 @@ export class ConversionStorage {
   async updateConversion(id, updates) {
     await this.initialize();
 
+    this.validateStatus(updates.status);
+
     const metadata = await this.readMetadata();
     const index = metadata.conversions.findIndex(c => c.id === id);
 
@@ -153,6 +193,18 @@ export class ConversionStorage {
     return metadata.conversions[index];
   }
 
+  /**
+   * Validate a conversion status
+   * @param {string} status - Status to check (undefined is allowed)
+   */
+  validateStatus(status) {
+    if (status !== undefined && !CONVERSION_STATUSES.includes(status)) {
+      throw new Error(
+        `Invalid conversion status: ${status}. Valid: ${CONVERSION_STATUSES.join(', ')}`
+      );
+    }
+  }
+
   /**
    * Get all conversions
    * @param {Object} options - Filter and sort options
@@ -249,6 +301,12 @@ export class ConversionStorage {
       }
     }
 
+    try {
+      await fs.rm(this.getChunkAudioDir(id), { recursive: true, force: true });
+    } catch (error) {
+      console.warn(`Failed to delete chunk audio: ${error.message}`);
+    }
+
     // Remove from metadata
     metadata.conversions = metadata.conversions.filter(c => c.id !== id);
     await this.writeMetadata(metadata);
@@ -256,6 +314,223 @@ export class ConversionStorage {
     return true;
   }
 
+  /**
+   * Store the audio of one chunk of a conversion
+   * @param {string} id - Conversion ID
+   * @param {number} index - Chunk index
+   * @param {Buffer} audioBuffer - Chunk audio
+   * @returns {Promise<string>} - File path
+   */
+  async saveChunkAudio(id, index, audioBuffer) {
+    await this.initialize();
+
+    const chunkPath = this.getChunkAudioPath(id, index);
+    await fs.mkdir(path.dirname(chunkPath), { recursive: true });
+    await fs.writeFile(chunkPath, audioBuffer);
+
+    return chunkPath;
+  }
+
+  /**
+   * Load the stored audio of one chunk of a conversion
+   * @param {string} id - Conversion ID
+   * @param {number} index - Chunk index
+   * @returns {Promise<Buffer>} - Chunk audio
+   */
+  async loadChunkAudio(id, index) {
+    return fs.readFile(this.getChunkAudioPath(id, index));
+  }
+
+  /**
+   * Delete stored chunk audio past the last chunk of a rendition
+   * A re-render with fewer chunks leaves the old tail behind otherwise,
+   * and later versions would archive it.
+   * @param {string} id - Conversion ID
+   * @param {number} chunkCount - Chunks in the current rendition
+   * @returns {Promise<number>} - Files deleted
+   */
+  async pruneChunkAudio(id, chunkCount) {
+    const chunkDir = this.getChunkAudioDir(id);
+    const stale = (await this.listChunkAudio(chunkDir))
+      .filter(file => Number(file.match(/\d+/)[0]) >= chunkCount);
+
+    for (const file of stale) {
+      await fs.unlink(path.join(chunkDir, file));
+    }
+
+    return stale.length;
+  }
+
+  /**
+   * Get the directory holding a conversion's chunk audio
+   * @param {string} id - Conversion ID
+   * @returns {string} - Directory path
+   */
+  getChunkAudioDir(id) {
+    return path.join(this.audioDir, id);
+  }
+
+  /**
+   * Get the path of a chunk's stored audio
+   * @param {string} id - Conversion ID
+   * @param {number} index - Chunk index
+   * @returns {string} - File path
+   */
+  getChunkAudioPath(id, index) {
+    return path.join(this.getChunkAudioDir(id), `chunk_${String(index).padStart(4, '0')}.mp3`);
+  }
+
+  /**
+   * Archive the current rendition of a conversion as a new version
+   * Copies the audio file and chunk audio; the oldest versions beyond
+   * maxVersions are dropped.
+   * @param {string} id - Conversion ID
+   * @param {number} keep - Version never to drop (being restored)
+   * @returns {Promise<Object>} - Version record
+   */
+  async archiveVersion(id, keep = null) {
+    await this.initialize();
+
+    const conversion = await this.getConversion(id);
+    const versions = conversion.versions || [];
+    const version = versions.reduce((max, v) => Math.max(max, v.version), 0) + 1;
+    const versionDir = this.getVersionDir(id, version);
+
+    await fs.mkdir(versionDir, { recursive: true });
+    await fs.copyFile(conversion.audioPath, path.join(versionDir, 'audio.mp3'));
+    await this.copyChunkAudio(this.getChunkAudioDir(id), versionDir);
+
+    const record = {
+      version,
+      createdAt: conversion.renderedAt || conversion.updatedAt || conversion.createdAt,
+      archivedAt: new Date().toISOString(),
+      ...Object.fromEntries(VERSION_FIELDS.map(field => [field, conversion[field] ?? null]))
+    };
+
+    const kept = [...versions, record];
+
+    while (kept.length > this.maxVersions) {
+      const [dropped] = kept.splice(kept.findIndex(v => v.version !== keep), 1);
+      await fs.rm(this.getVersionDir(id, dropped.version), { recursive: true, force: true });
+    }
+
+    await this.updateConversion(id, { versions: kept });
+    return record;
+  }
+
+  /**
+   * Make an archived version the current rendition again
+   * The current rendition is archived first, so nothing is lost.
+   * @param {string} id - Conversion ID
+   * @param {number} version - Version number
+   * @returns {Promise<Object>} - Updated conversion
+   */
+  async restoreVersion(id, version) {
+    await this.initialize();
+
+    const conversion = await this.getConversion(id);
+    const record = (conversion.versions || []).find(v => v.version === version);
+
+    if (!record) {
+      const error = new Error(`Version not found: ${version}`);
+      error.status = 404;
+      throw error;
+    }
+
+    await this.archiveVersion(id, version);
+    await this.copyVersionAudio(conversion, version);
+
+    return this.updateConversion(id, {
+      ...Object.fromEntries(VERSION_FIELDS.map(field => [field, record[field]])),
+      renderedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Put back the version archived before an edit whose re-render failed
+   * Unlike restoreVersion(), the current rendition is not archived and
+   * the version is dropped, as if the edit never happened.
+   * @param {string} id - Conversion ID
+   * @param {number} version - Version archived by the edit
+   * @returns {Promise<Object>} - Updated conversion
+   */
+  async revertVersion(id, version) {
+    await this.initialize();
+
+    const conversion = await this.getConversion(id);
+    const versions = conversion.versions || [];
+    const record = versions.find(v => v.version === version);
+
+    if (!record) {
+      const error = new Error(`Version not found: ${version}`);
+      error.status = 404;
+      throw error;
+    }
+
+    await this.copyVersionAudio(conversion, version);
+    await fs.rm(this.getVersionDir(id, version), { recursive: true, force: true });
+
+    return this.updateConversion(id, {
+      ...Object.fromEntries(VERSION_FIELDS.map(field => [field, record[field]])),
+      renderedAt: record.createdAt,
+      versions: versions.filter(v => v.version !== version)
+    });
+  }
+
+  /**
+   * Replace a conversion's audio and chunk audio with an archived version's
+   * @param {Object} conversion - Conversion record
+   * @param {number} version - Version number
+   */
+  async copyVersionAudio(conversion, version) {
+    const versionDir = this.getVersionDir(conversion.id, version);
+    const chunkDir = this.getChunkAudioDir(conversion.id);
+
+    for (const file of await this.listChunkAudio(chunkDir)) {
+      await fs.unlink(path.join(chunkDir, file));
+    }
+
+    await this.copyChunkAudio(versionDir, chunkDir);
+    await fs.copyFile(path.join(versionDir, 'audio.mp3'), conversion.audioPath);
+  }
+
+  /**
+   * Copy chunk audio files between directories
+   * @param {string} fromDir - Source directory
+   * @param {string} toDir - Destination directory
+   */
+  async copyChunkAudio(fromDir, toDir) {
+    await fs.mkdir(toDir, { recursive: true });
+
+    for (const file of await this.listChunkAudio(fromDir)) {
+      await fs.copyFile(path.join(fromDir, file), path.join(toDir, file));
+    }
+  }
+
+  /**
+   * List the chunk audio files in a directory
+   * @param {string} dir - Directory
+   * @returns {Promise<Array<string>>} - File names
+   */
+  async listChunkAudio(dir) {
+    try {
+      const files = await fs.readdir(dir);
+      return files.filter(file => /^chunk_\d+\.mp3$/.test(file));
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Get the directory of an archived version
+   * @param {string} id - Conversion ID
+   * @param {number} version - Version number
+   * @returns {string} - Directory path
+   */
+  getVersionDir(id, version) {
+    return path.join(this.getChunkAudioDir(id), 'versions', String(version));
+  }
+
   /**
    * Get storage statistics
    * @returns {Promise<Object>} - Statistics
@@ -287,6 +562,8 @@ export class ConversionStorage {
       completedConversions: conversions.filter(c => c.status === 'completed').length,
       processingConversions: conversions.filter(c => c.status === 'processing').length,
       failedConversions: conversions.filter(c => c.status === 'failed').length,
+      pausedConversions: conversions.filter(c => c.status === 'paused').length,
+      cancelledConversions: conversions.filter(c => c.status === 'cancelled').length,
       totalAudioSize: totalSize,
       totalAudioSizeFormatted: this.formatBytes(totalSize),
       totalDuration: totalDuration,
@@ -371,7 +648,9 @@ let storageInstance = null;
  */
 export function getStorage() {
   if (!storageInstance) {
-    storageInstance = new ConversionStorage();
+    storageInstance = new ConversionStorage({
+      maxVersions: parseInt(process.env.CONVERSION_VERSION_LIMIT) || 10
+    });
   }
   return storageInstance;
 }
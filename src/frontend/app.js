@@ -5,8 +5,10 @@
  * - Form submission and validation
  * - File upload with drag-and-drop
  * - API communication
- * - Progress tracking
+ * - Progress tracking (Server-Sent Events, polling fallback)
  * - Audio playback
+ * - Emotion tag palette for the text editor
+ * - Chunk preview and editing before conversion
  */
 
 const API_BASE = '/api';
@@ -15,18 +17,31 @@ const API_BASE = '/api';
 const convertForm = document.getElementById('convertForm');
 const textInput = document.getElementById('text');
 const charCount = document.getElementById('charCount');
+const providerSelect = document.getElementById('provider');
+const tagPalette = document.getElementById('tagPalette');
 const fileInput = document.getElementById('fileInput');
 const fileUpload = document.getElementById('fileUpload');
 const fileSelected = document.getElementById('fileSelected');
 const fileName = document.getElementById('fileName');
 const clearFile = document.getElementById('clearFile');
+const skipFrontMatterOption = document.getElementById('skipFrontMatterOption');
+const skipFrontMatter = document.getElementById('skipFrontMatter');
+const imageDescriptionsOption = document.getElementById('imageDescriptionsOption');
+const imageDescriptions = document.getElementById('imageDescriptions');
+const pdfOptions = document.getElementById('pdfOptions');
+const pageRange = document.getElementById('pageRange');
+const removeReferences = document.getElementById('removeReferences');
 const submitBtn = document.getElementById('submitBtn');
 const submitText = document.getElementById('submitText');
 const submitSpinner = document.getElementById('submitSpinner');
 const progressSection = document.getElementById('progressSection');
 const progressFill = document.getElementById('progressFill');
 const progressText = document.getElementById('progressText');
+const pauseBtn = document.getElementById('pauseBtn');
+const resumeBtn = document.getElementById('resumeBtn');
+const cancelBtn = document.getElementById('cancelBtn');
 const resultSection = document.getElementById('resultSection');
+const resultWarnings = document.getElementById('resultWarnings');
 const audioPlayer = document.getElementById('audioPlayer');
 const downloadBtn = document.getElementById('downloadBtn');
 const errorSection = document.getElementById('errorSection');
@@ -41,13 +56,34 @@ const topPSlider = document.getElementById('top_p');
 const topPValue = document.getElementById('topPValue');
 const maxTokensSlider = document.getElementById('max_new_tokens');
 const maxTokensValue = document.getElementById('maxTokensValue');
+const tokenChunkSize = document.getElementById('tokenChunkSize');
 const repPenaltySlider = document.getElementById('repetition_penalty');
 const repPenaltyValue = document.getElementById('repPenaltyValue');
+const voiceModeSelect = document.getElementById('voiceMode');
+const speakerVoicesGroup = document.getElementById('speakerVoicesGroup');
+const speakerVoicesInput = document.getElementById('speakerVoices');
+const dialogueVoiceGroup = document.getElementById('dialogueVoiceGroup');
+const dialogueVoiceSelect = document.getElementById('dialogueVoice');
+const normalizationRules = document.getElementById('normalizationRules');
+const previewNormalizationBtn = document.getElementById('previewNormalization');
+const normalizationPreview = document.getElementById('normalizationPreview');
+const readingRules = document.getElementById('readingRules');
+const lexiconOverridesInput = document.getElementById('lexiconOverrides');
+
+// Chunk Editor
+const previewChunksBtn = document.getElementById('previewChunksBtn');
+const chunkEditor = document.getElementById('chunkEditor');
+const chunkSummary = document.getElementById('chunkSummary');
+const chunkList = document.getElementById('chunkList');
+const discardChunksBtn = document.getElementById('discardChunksBtn');
 
 // State
 let currentConversionId = null;
 let currentFile = null;
 let statusCheckInterval = null;
+let progressStream = null;
+let providerTags = {};
+let chunkPlan = null;
 
 // ==================== Event Listeners ====================
 
@@ -55,6 +91,10 @@ document.addEventListener('DOMContentLoaded', () => {
   // Character counter
   textInput.addEventListener('input', updateCharCount);
 
+  // Emotion tag palette follows the selected provider
+  providerSelect.addEventListener('change', renderTagPalette);
+  loadProviderTags();
+
   // File upload
   fileInput.addEventListener('change', handleFileSelect);
   clearFile.addEventListener('click', clearFileSelection);
@@ -70,9 +110,43 @@ document.addEventListener('DOMContentLoaded', () => {
   // Download button
   downloadBtn.addEventListener('click', handleDownload);
 
+  // Conversion controls
+  pauseBtn.addEventListener('click', () => controlConversion('pause'));
+  resumeBtn.addEventListener('click', () => controlConversion('resume'));
+  cancelBtn.addEventListener('click', () => controlConversion('cancel'));
+
   // Advanced settings toggle
   toggleAdvanced.addEventListener('click', toggleAdvancedSettings);
 
+  // Speaker and dialogue voices only apply to their voice modes
+  voiceModeSelect.addEventListener('change', () => {
+    speakerVoicesGroup.classList.toggle('hidden', voiceModeSelect.value !== 'script');
+    dialogueVoiceGroup.classList.toggle('hidden', voiceModeSelect.value !== 'dialogue');
+  });
+
+  // Text normalization rules and preview
+  loadNormalizationRules();
+  previewNormalizationBtn.addEventListener('click', previewNormalization);
+
+  // Reading rules change how an uploaded file is read
+  loadReadingRules();
+  readingRules.addEventListener('change', discardChunkEdits);
+
+  // Chunk preview; edits no longer apply once the input changes
+  previewChunksBtn.addEventListener('click', previewChunks);
+  discardChunksBtn.addEventListener('click', discardChunkEdits);
+  textInput.addEventListener('input', discardChunkEdits);
+  fileInput.addEventListener('change', discardChunkEdits);
+  providerSelect.addEventListener('change', discardChunkEdits);
+  voiceModeSelect.addEventListener('change', discardChunkEdits);
+  skipFrontMatter.addEventListener('change', discardChunkEdits);
+  imageDescriptions.addEventListener('change', discardChunkEdits);
+  pageRange.addEventListener('input', discardChunkEdits);
+  removeReferences.addEventListener('change', discardChunkEdits);
+  normalizationRules.addEventListener('change', discardChunkEdits);
+  lexiconOverridesInput.addEventListener('input', discardChunkEdits);
+  maxTokensSlider.addEventListener('input', discardChunkEdits);
+
   // Slider value updates
   tempSlider.addEventListener('input', (e) => {
     tempValue.textContent = parseFloat(e.target.value).toFixed(1);
@@ -86,6 +160,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
   maxTokensSlider.addEventListener('input', (e) => {
     maxTokensValue.textContent = e.target.value;
+    updateTokenChunkSize();
     updateSliderGradient(e.target);
   });
 
@@ -96,6 +171,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // Initial character count
   updateCharCount();
+  updateTokenChunkSize();
 
   // Initialize slider gradients
   updateSliderGradient(tempSlider);
@@ -120,6 +196,170 @@ function updateCharCount() {
   }
 }
 
+// ==================== Emotion Tag Palette ====================
+
+async function loadProviderTags() {
+  try {
+    const response = await fetch(`${API_BASE}/providers`);
+    const data = await response.json();
+
+    providerTags = Object.fromEntries(data.providers.map(p => [p.name, p.tags || []]));
+  } catch (error) {
+    console.error('Failed to load provider tags:', error);
+  }
+
+  renderTagPalette();
+}
+
+function renderTagPalette() {
+  const tags = providerTags[providerSelect.value] || [];
+  tagPalette.innerHTML = '';
+
+  if (tags.length === 0) {
+    const note = document.createElement('span');
+    note.className = 'tag-palette-note';
+    note.textContent = 'This provider does not support emotion tags.';
+    tagPalette.appendChild(note);
+    return;
+  }
+
+  for (const tag of tags) {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'tag-chip';
+    chip.textContent = `<${tag}>`;
+    chip.title = `Insert <${tag}> at the cursor`;
+    chip.addEventListener('click', () => insertTag(tag));
+    tagPalette.appendChild(chip);
+  }
+}
+
+function insertTag(tag) {
+  const { selectionStart, selectionEnd, value } = textInput;
+  const before = value.slice(0, selectionStart);
+  const after = value.slice(selectionEnd);
+
+  // Keep tags separated from surrounding words
+  const prefix = before.length > 0 && !/\s$/.test(before) ? ' ' : '';
+  const suffix = after.length > 0 && !/^\s/.test(after) ? ' ' : '';
+  const insertion = `${prefix}<${tag}>${suffix}`;
+
+  textInput.value = before + insertion + after;
+  textInput.focus();
+  textInput.selectionStart = textInput.selectionEnd = before.length + insertion.length;
+  updateCharCount();
+  discardChunkEdits();
+}
+
+// ==================== Text Normalization ====================
+
+async function loadNormalizationRules() {
+  try {
+    const response = await fetch(`${API_BASE}/normalize/rules`);
+    const data = await response.json();
+
+    normalizationRules.innerHTML = '';
+
+    for (const rule of data.rules) {
+      const label = document.createElement('label');
+      label.className = 'normalization-rule';
+      label.title = rule.description;
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = rule.id;
+      checkbox.checked = true;
+
+      label.append(checkbox, ` ${rule.id}`);
+      normalizationRules.appendChild(label);
+    }
+  } catch (error) {
+    console.error('Failed to load normalization rules:', error);
+  }
+}
+
+function getNormalizationToggles() {
+  const checkboxes = normalizationRules.querySelectorAll('input[type="checkbox"]');
+  return Object.fromEntries([...checkboxes].map(checkbox => [checkbox.value, checkbox.checked]));
+}
+
+// "Nguyen=win, SQL=sequel" -> lexicon entries
+function getLexiconOverrides() {
+  return lexiconOverridesInput.value
+    .split(/[,\n]/)
+    .map(pair => pair.split('='))
+    .filter(pair => pair.length === 2 && pair[0].trim() && pair[1].trim())
+    .map(([pattern, spoken]) => ({ pattern: pattern.trim(), spoken: spoken.trim() }));
+}
+
+async function previewNormalization() {
+  const text = textInput.value.trim();
+
+  if (!text) {
+    normalizationPreview.textContent = 'Enter text to preview (uploaded files are normalized on conversion).';
+    showSection(normalizationPreview);
+    return;
+  }
+
+  try {
+    const response = await fetch(`${API_BASE}/normalize/preview`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        text,
+        normalization: getNormalizationToggles(),
+        lexicon: getLexiconOverrides()
+      })
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Preview failed');
+    }
+
+    normalizationPreview.textContent = data.text;
+  } catch (error) {
+    normalizationPreview.textContent = `Preview failed: ${error.message}`;
+  }
+
+  showSection(normalizationPreview);
+}
+
+// ==================== Reading Rules ====================
+
+async function loadReadingRules() {
+  try {
+    const response = await fetch(`${API_BASE}/reading-rules`);
+    const data = await response.json();
+
+    readingRules.innerHTML = '';
+
+    for (const rule of data.rules) {
+      const label = document.createElement('label');
+      label.className = 'normalization-rule';
+      label.htmlFor = `readingRule-${rule.id}`;
+      label.textContent = rule.description;
+
+      const select = document.createElement('select');
+      select.id = `readingRule-${rule.id}`;
+      select.dataset.rule = rule.id;
+
+      for (const option of rule.options) {
+        select.add(new Option(option.description, option.value, false, option.value === rule.default));
+      }
+
+      readingRules.append(label, select);
+    }
+  } catch (error) {
+    console.error('Failed to load reading rules:', error);
+  }
+}
+
+function getReadingRules() {
+  const selects = readingRules.querySelectorAll('select');
+  return Object.fromEntries([...selects].map(select => [select.dataset.rule, select.value]));
+}
+
 // ==================== File Upload ====================
 
 function handleFileSelect(event) {
@@ -157,17 +397,29 @@ function handleFileDrop(event) {
 }
 
 function setSelectedFile(file) {
+  discardChunkEdits();
   currentFile = file;
   fileName.textContent = `${file.name} (${formatFileSize(file.size)})`;
   fileSelected.classList.remove('hidden');
   fileUpload.style.display = 'none';
+
+  // Front matter only applies to ebooks, image descriptions to ebooks and web pages,
+  // page ranges and references to PDFs
+  const ext = file.name.toLowerCase().split('.').pop();
+  skipFrontMatterOption.classList.toggle('hidden', ext !== 'epub');
+  imageDescriptionsOption.classList.toggle('hidden', !['md', 'docx', 'epub', 'html', 'htm'].includes(ext));
+  pdfOptions.classList.toggle('hidden', ext !== 'pdf');
 }
 
 function clearFileSelection() {
+  discardChunkEdits();
   currentFile = null;
   fileInput.value = '';
   fileSelected.classList.add('hidden');
   fileUpload.style.display = 'block';
+  skipFrontMatterOption.classList.add('hidden');
+  imageDescriptionsOption.classList.add('hidden');
+  pdfOptions.classList.add('hidden');
 }
 
 function formatFileSize(bytes) {
@@ -180,8 +432,237 @@ function formatFileSize(bytes) {
   return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
 }
 
+// ==================== Chunk Preview ====================
+
+async function previewChunks() {
+  hideSection(errorSection);
+
+  if (!textInput.value.trim() && !currentFile) {
+    showError('Please enter text or upload a file');
+    return;
+  }
+
+  previewChunksBtn.disabled = true;
+
+  try {
+    const response = await fetch(`${API_BASE}/chunks/preview`, {
+      method: 'POST',
+      body: buildConversionFormData()
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Chunk preview failed');
+    }
+
+    chunkPlan = {
+      characterLimit: data.characterLimit,
+      pricePerMillionCharacters: data.pricePerMillionCharacters,
+      chapters: data.chapters || [],
+      chunks: data.chunks.map(chunk => ({ text: chunk.text, speaker: chunk.speaker, chapter: chunk.chapter }))
+    };
+
+    renderChunks();
+    showSection(chunkEditor);
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    previewChunksBtn.disabled = false;
+  }
+}
+
+function renderChunks() {
+  chunkList.innerHTML = '';
+
+  chunkPlan.chunks.forEach((chunk, index) => {
+    const item = document.createElement('div');
+    item.className = 'chunk-item';
+
+    const meta = document.createElement('div');
+    meta.className = 'chunk-meta';
+
+    const textarea = document.createElement('textarea');
+    textarea.value = chunk.text;
+    textarea.addEventListener('input', () => {
+      chunk.text = textarea.value;
+      updateChunkMeta(item, meta, chunk, index);
+      updateChunkSummary();
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'chunk-actions';
+
+    const splitBtn = document.createElement('button');
+    splitBtn.type = 'button';
+    splitBtn.className = 'btn btn-secondary btn-sm';
+    splitBtn.textContent = 'Split';
+    splitBtn.title = 'Split at the cursor, or near the middle';
+    splitBtn.addEventListener('click', () => splitChunk(index, textarea.selectionStart));
+
+    const mergeBtn = document.createElement('button');
+    mergeBtn.type = 'button';
+    mergeBtn.className = 'btn btn-secondary btn-sm';
+    mergeBtn.textContent = 'Merge with Next';
+    mergeBtn.disabled = !canMergeChunks(index);
+    mergeBtn.addEventListener('click', () => mergeChunks(index));
+
+    actions.append(splitBtn, mergeBtn);
+    item.append(meta, textarea, actions);
+    chunkList.appendChild(item);
+
+    updateChunkMeta(item, meta, chunk, index);
+  });
+
+  updateChunkSummary();
+}
+
+function updateChunkMeta(item, meta, chunk, index) {
+  const characters = chunk.text.trim().length;
+  const overLimit = characters > chunkPlan.characterLimit;
+
+  item.classList.toggle('over-limit', overLimit || characters === 0);
+  meta.textContent = [
+    `#${index + 1}`,
+    chunk.chapter !== null ? `starts ${chunkPlan.chapters[chunk.chapter] || `chapter ${chunk.chapter + 1}`}` : null,
+    chunk.speaker,
+    `${characters.toLocaleString()} characters`,
+    `~${formatSeconds(estimateChunkDuration(chunk.text))}`,
+    formatCost(estimateChunkCost(chunk.text)),
+    overLimit ? `over the ${chunkPlan.characterLimit} character limit` : null,
+    characters === 0 ? 'empty' : null
+  ].filter(Boolean).join(' · ');
+}
+
+function updateChunkSummary() {
+  const text = chunkPlan.chunks.map(chunk => chunk.text.trim()).join('');
+
+  chunkSummary.textContent = [
+    `${chunkPlan.chunks.length} chunks`,
+    `${text.length.toLocaleString()} characters`,
+    `~${formatSeconds(estimateChunkDuration(text))}`,
+    chunkPlan.pricePerMillionCharacters === null ? 'cost unknown' : `${formatCost(estimateChunkCost(text))} estimated`
+  ].join(' · ');
+}
+
+// Split at the cursor, else at the sentence or word break nearest the middle
+function splitChunk(index, cursor) {
+  const chunk = chunkPlan.chunks[index];
+  const text = chunk.text;
+  let position = cursor > 0 && cursor < text.length ? cursor : -1;
+
+  if (position === -1) {
+    const middle = Math.floor(text.length / 2);
+    const breaks = [...text.matchAll(/[.!?]\s+|\s+/g)].map(match => match.index + match[0].length);
+    position = breaks.reduce((best, candidate) =>
+      (Math.abs(candidate - middle) < Math.abs(best - middle) ? candidate : best), middle);
+  }
+
+  const first = text.slice(0, position).trim();
+  const second = text.slice(position).trim();
+  if (!first || !second) return;
+
+  chunkPlan.chunks.splice(index, 1,
+    { text: first, speaker: chunk.speaker, chapter: chunk.chapter },
+    { text: second, speaker: chunk.speaker, chapter: null });
+  renderChunks();
+}
+
+// Chunks read by different speakers, or in different chapters, stay separate
+function canMergeChunks(index) {
+  const next = chunkPlan.chunks[index + 1];
+  return Boolean(next) && next.speaker === chunkPlan.chunks[index].speaker && next.chapter === null;
+}
+
+function mergeChunks(index) {
+  if (!canMergeChunks(index)) return;
+
+  const [chunk, next] = chunkPlan.chunks.slice(index, index + 2);
+  chunkPlan.chunks.splice(index, 2, {
+    text: `${chunk.text.trim()} ${next.text.trim()}`,
+    speaker: chunk.speaker,
+    chapter: chunk.chapter
+  });
+  renderChunks();
+}
+
+function discardChunkEdits() {
+  if (!chunkPlan) return;
+
+  chunkPlan = null;
+  chunkList.innerHTML = '';
+  hideSection(chunkEditor);
+}
+
+// Mirrors estimateSpeechDuration() in src/backend/utils/speechTokens.js
+function estimateChunkDuration(text) {
+  return text.replace(/<[a-z]+>/g, '').trim().length / 15;
+}
+
+// null when the provider's price is unknown
+function estimateChunkCost(text) {
+  const price = chunkPlan.pricePerMillionCharacters;
+  return price === null ? null : (text.trim().length * price) / 1000000;
+}
+
+function formatSeconds(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.round(seconds % 60);
+  return minutes > 0 ? `${minutes}m ${rest}s` : `${rest}s`;
+}
+
+function formatCost(cost) {
+  if (cost === null) return 'cost unknown';
+  return cost > 0 ? `$${cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}` : 'free';
+}
+
 // ==================== Form Submission ====================
 
+// Text, file and TTS settings shared by conversion and chunk preview
+function buildConversionFormData() {
+  const formData = new FormData();
+  formData.append('title', document.getElementById('title').value.trim());
+  formData.append('provider', providerSelect.value);
+
+  // Add advanced settings
+  formData.append('voice', document.getElementById('voice').value);
+  formData.append('temperature', tempSlider.value);
+  formData.append('top_p', topPSlider.value);
+  formData.append('max_new_tokens', maxTokensSlider.value);
+  formData.append('repetition_penalty', repPenaltySlider.value);
+
+  if (voiceModeSelect.value) {
+    formData.append('voiceMode', voiceModeSelect.value);
+  }
+
+  if (voiceModeSelect.value === 'script' && speakerVoicesInput.value.trim()) {
+    formData.append('speakers', speakerVoicesInput.value.trim());
+  }
+
+  if (voiceModeSelect.value === 'dialogue') {
+    formData.append('dialogueVoice', dialogueVoiceSelect.value);
+  }
+
+  formData.append('normalization', JSON.stringify(getNormalizationToggles()));
+
+  const lexiconOverrides = getLexiconOverrides();
+  if (lexiconOverrides.length > 0) {
+    formData.append('lexicon', JSON.stringify(lexiconOverrides));
+  }
+
+  if (currentFile) {
+    formData.append('file', currentFile);
+    formData.append('skipFrontMatter', skipFrontMatter.checked);
+    formData.append('imageDescriptions', imageDescriptions.checked);
+    formData.append('readingRules', JSON.stringify(getReadingRules()));
+    formData.append('pageRange', pageRange.value.trim());
+    formData.append('removeReferences', removeReferences.checked);
+  } else {
+    formData.append('text', textInput.value.trim());
+  }
+
+  return formData;
+}
+
 async function handleSubmit(event) {
   event.preventDefault();
 
@@ -192,7 +673,6 @@ async function handleSubmit(event) {
   // Validate
   const title = document.getElementById('title').value.trim();
   const text = textInput.value.trim();
-  const provider = document.getElementById('provider').value;
 
   if (!title) {
     showError('Please enter a title');
@@ -204,26 +684,15 @@ async function handleSubmit(event) {
     return;
   }
 
-  // Prepare form data
-  const formData = new FormData();
-  formData.append('title', title);
-  formData.append('provider', provider);
-
-  // Add advanced settings
-  formData.append('voice', document.getElementById('voice').value);
-  formData.append('temperature', tempSlider.value);
-  formData.append('top_p', topPSlider.value);
-  formData.append('max_new_tokens', maxTokensSlider.value);
-  formData.append('repetition_penalty', repPenaltySlider.value);
+  const formData = buildConversionFormData();
 
-  if (currentFile) {
-    formData.append('file', currentFile);
-  } else {
-    formData.append('text', text);
+  if (chunkPlan) {
+    formData.append('chunks', JSON.stringify(chunkPlan.chunks));
   }
 
   // Show loading state
   setLoading(true);
+  setPausedControls(false);
   showSection(progressSection);
 
   try {
@@ -241,8 +710,8 @@ async function handleSubmit(event) {
 
     currentConversionId = data.id;
 
-    // Start polling for status
-    startStatusPolling(data.id);
+    // Follow progress events, falling back to polling
+    startProgressStream(data.id);
   } catch (error) {
     console.error('Submission error:', error);
     showError(error.message);
@@ -251,13 +720,116 @@ async function handleSubmit(event) {
   }
 }
 
-// ==================== Status Polling ====================
+// ==================== Progress Stream ====================
+
+function startProgressStream(conversionId) {
+  stopProgressUpdates();
+
+  if (!window.EventSource) {
+    startStatusPolling(conversionId);
+    return;
+  }
+
+  progressStream = new EventSource(`${API_BASE}/conversions/${conversionId}/events`);
+
+  progressStream.addEventListener('status', (event) => {
+    const status = JSON.parse(event.data);
+    updateProgress(status);
+
+    if (status.status === 'completed') {
+      stopProgressUpdates();
+      handleConversionComplete(conversionId);
+    } else if (status.status === 'failed') {
+      stopProgressUpdates();
+      handleConversionFailed(status.error);
+    } else if (status.status === 'cancelled') {
+      stopProgressUpdates();
+      handleConversionCancelled();
+    }
+  });
+
+  progressStream.addEventListener('chunk-started', (event) => {
+    const data = JSON.parse(event.data);
+    progressText.textContent = `Generating chunk ${data.chunkIndex + 1} of ${data.totalChunks}: “${data.preview}”`;
+  });
+
+  progressStream.addEventListener('chunk-completed', (event) => {
+    const data = JSON.parse(event.data);
+    const seconds = (data.durationMs / 1000).toFixed(1);
+    const timing = data.cached ? 'from cache' : `took ${seconds}s`;
+
+    progressFill.style.width = `${data.progress}%`;
+    progressText.textContent = `Completed ${data.completedChunks} of ${data.totalChunks} chunks (chunk ${data.chunkIndex + 1} ${timing}, ${data.progress}%)`;
+  });
+
+  progressStream.addEventListener('chunk-failover', (event) => {
+    const data = JSON.parse(event.data);
+    progressText.textContent = `Chunk ${data.chunkIndex + 1} failed on ${data.from} (${data.error}), retrying on ${data.to}...`;
+  });
+
+  progressStream.addEventListener('chunk-resplit', (event) => {
+    const data = JSON.parse(event.data);
+    progressText.textContent = `Chunk ${data.chunkIndex + 1} was cut off, regenerating in ${data.parts} parts...`;
+  });
+
+  progressStream.addEventListener('concatenating', () => {
+    progressFill.style.width = '100%';
+    progressText.textContent = 'Combining audio chunks...';
+  });
+
+  progressStream.addEventListener('paused', (event) => {
+    const data = JSON.parse(event.data);
+    setPausedControls(true);
+    progressText.textContent = `Paused after chunk ${data.completedChunks} of ${data.totalChunks}`;
+  });
+
+  progressStream.addEventListener('resumed', () => {
+    setPausedControls(false);
+    progressText.textContent = 'Resuming conversion...';
+  });
+
+  progressStream.addEventListener('completed', () => {
+    stopProgressUpdates();
+    handleConversionComplete(conversionId);
+  });
+
+  progressStream.addEventListener('failed', (event) => {
+    const data = JSON.parse(event.data);
+    stopProgressUpdates();
+    handleConversionFailed(data.error);
+  });
+
+  progressStream.addEventListener('cancelled', () => {
+    stopProgressUpdates();
+    handleConversionCancelled();
+  });
+
+  // Stream unavailable or dropped: fall back to polling
+  progressStream.onerror = () => {
+    if (progressStream) {
+      console.warn('Progress stream lost, falling back to polling');
+      startStatusPolling(conversionId);
+    }
+  };
+}
+
+function stopProgressUpdates() {
+  if (progressStream) {
+    progressStream.close();
+    progressStream = null;
+  }
 
-function startStatusPolling(conversionId) {
-  // Clear any existing interval
   if (statusCheckInterval) {
     clearInterval(statusCheckInterval);
+    statusCheckInterval = null;
   }
+}
+
+// ==================== Status Polling ====================
+
+function startStatusPolling(conversionId) {
+  // Clear any existing interval or stream
+  stopProgressUpdates();
 
   // Check status immediately
   checkStatus(conversionId);
@@ -283,6 +855,9 @@ async function checkStatus(conversionId) {
     } else if (data.status === 'failed') {
       clearInterval(statusCheckInterval);
       handleConversionFailed(data.error);
+    } else if (data.status === 'cancelled') {
+      clearInterval(statusCheckInterval);
+      handleConversionCancelled();
     }
   } catch (error) {
     console.error('Status check error:', error);
@@ -293,8 +868,15 @@ function updateProgress(status) {
   const progress = status.progress || 0;
   progressFill.style.width = `${progress}%`;
 
-  if (status.totalChunks > 0) {
-    progressText.textContent = `Processing chunk ${status.currentChunk} of ${status.totalChunks}... (${progress}%)`;
+  setPausedControls(status.status === 'paused');
+
+  if (status.status === 'paused') {
+    progressText.textContent = `Paused after chunk ${status.currentChunk} of ${status.totalChunks} (${progress}%)`;
+  } else if (status.totalChunks > 0) {
+    const active = status.activeChunks && status.activeChunks.length > 1
+      ? `, ${status.activeChunks.length} in progress`
+      : '';
+    progressText.textContent = `Completed ${status.currentChunk} of ${status.totalChunks} chunks${active}... (${progress}%)`;
   } else {
     progressText.textContent = `Processing... (${progress}%)`;
   }
@@ -311,17 +893,77 @@ async function handleConversionComplete(conversionId) {
 
   // Show result section
   showSection(resultSection);
+  showResultWarnings(conversionId);
 
   // Smooth scroll to result
   resultSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
 }
 
+async function showResultWarnings(conversionId) {
+  hideSection(resultWarnings);
+
+  try {
+    const response = await fetch(`${API_BASE}/conversions/${conversionId}`);
+    const conversion = await response.json();
+    const warnings = conversion.warnings || [];
+
+    if (warnings.length > 0) {
+      const providers = (conversion.providersUsed || []).join(', ');
+      resultWarnings.textContent = `⚠️ ${warnings.join(' ')} Providers used: ${providers}.`;
+      showSection(resultWarnings);
+    }
+  } catch (error) {
+    console.error('Failed to load conversion details:', error);
+  }
+}
+
 function handleConversionFailed(error) {
   setLoading(false);
   hideSection(progressSection);
   showError(error || 'Conversion failed. Please try again.');
 }
 
+function handleConversionCancelled() {
+  setLoading(false);
+  hideSection(progressSection);
+  showError('Conversion cancelled.');
+}
+
+// ==================== Conversion Controls ====================
+
+async function controlConversion(action) {
+  if (!currentConversionId) return;
+
+  if (action === 'cancel' && !confirm('Cancel this conversion? Generated audio will be discarded.')) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`${API_BASE}/conversions/${currentConversionId}/${action}`, {
+      method: 'POST'
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || `Failed to ${action} conversion`);
+    }
+
+    // Reflect the new state right away when polling
+    if (!progressStream) {
+      checkStatus(currentConversionId);
+    }
+  } catch (error) {
+    console.error(`${action} error:`, error);
+    showError(error.message);
+  }
+}
+
+function setPausedControls(paused) {
+  pauseBtn.classList.toggle('hidden', paused);
+  resumeBtn.classList.toggle('hidden', !paused);
+}
+
 // ==================== Download ====================
 
 function handleDownload() {
@@ -375,9 +1017,7 @@ function resetForm() {
   hideSection(errorSection);
   currentConversionId = null;
 
-  if (statusCheckInterval) {
-    clearInterval(statusCheckInterval);
-  }
+  stopProgressUpdates();
 }
 
 // Optional: Add reset button listener if you add one
@@ -399,3 +1039,10 @@ function updateSliderGradient(slider) {
   slider.style.background = `linear-gradient(to right, var(--color-accent) 0%, var(--color-accent) ${percentage}%, #E5E5E7 ${percentage}%, #E5E5E7 100%)`;
 }
 
+// Mirrors getTokenChunkSize() in src/backend/utils/speechTokens.js
+const SPEECH_TOKENS_PER_CHARACTER = 86 / 15;
+
+function updateTokenChunkSize() {
+  const size = Math.floor((parseInt(maxTokensSlider.value) * 0.85) / SPEECH_TOKENS_PER_CHARACTER);
+  tokenChunkSize.textContent = Math.max(40, size);
+}
@@ -0,0 +1,75 @@
+/**
+ * Test Script for Chunk Audio Cache
+ *
+ * Runs against a temporary cache directory.
+ * Run with: node test-audio-cache.js
+ */
+
+import fs from 'fs/promises';
+import { AudioCache } from './src/backend/utils/audioCache.js';
+import { ProviderFactory } from './src/backend/providers/index.js';
+import { startSuite, check, makeTempDir, finishSuite } from './testHelpers.js';
+
+startSuite('Audio Cache Test Suite');
+
+const cacheDir = await makeTempDir('cache');
+const cache = new AudioCache({ cacheDir, maxSizeBytes: 250 });
+const provider = ProviderFactory.createProvider('mock', null);
+const identity = provider.getCacheIdentity();
+
+// Test 1: Keys
+console.log('\n[Test 1] Cache keys');
+const key = cache.createKey(identity, { voice: 'tara', temperature: 0.6 }, 'Hello world.');
+check('Same inputs give the same key', key === cache.createKey(identity, { temperature: 0.6, voice: 'tara' }, 'Hello world.'));
+check('Voice changes the key', key !== cache.createKey(identity, { voice: 'dan', temperature: 0.6 }, 'Hello world.'));
+check('Text changes the key', key !== cache.createKey(identity, { voice: 'tara', temperature: 0.6 }, 'Hello there.'));
+check(
+  'Output format changes the key',
+  key !== cache.createKey(
+    ProviderFactory.createProvider('mock', null, { audioFormat: 'wav' }).getCacheIdentity(),
+    { voice: 'tara', temperature: 0.6 },
+    'Hello world.'
+  )
+);
+
+// Test 2: Hits and misses
+console.log('\n[Test 2] Hits and misses');
+check('Miss before set', await cache.get(key) === null);
+await cache.set(key, Buffer.alloc(100, 1), { provider: 'mock' });
+const cached = await cache.get(key);
+check('Hit after set', cached !== null && cached.length === 100);
+let stats = await cache.getStats();
+check('Counts one hit and one miss', stats.hits === 1 && stats.misses === 1);
+
+// Test 3: LRU eviction
+console.log('\n[Test 3] LRU eviction');
+await new Promise(resolve => setTimeout(resolve, 5));
+await cache.set('b', Buffer.alloc(100, 2));
+await new Promise(resolve => setTimeout(resolve, 5));
+await cache.get(key);
+await new Promise(resolve => setTimeout(resolve, 5));
+await cache.set('c', Buffer.alloc(100, 3));
+check('Least recently used entry evicted', await cache.get('b') === null);
+check('Recently used entry kept', await cache.get(key) !== null);
+stats = await cache.getStats();
+check(`Size within bound (${stats.size} bytes)`, stats.size <= 250);
+
+// Test 4: Persistence and clearing
+console.log('\n[Test 4] Persistence and clearing');
+const reloaded = new AudioCache({ cacheDir, maxSizeBytes: 250 });
+check('Index survives reload', (await reloaded.getStats()).entries === 2);
+const { removedEntries } = await reloaded.clear();
+check('Clear removes all entries', removedEntries === 2 && (await reloaded.getStats()).entries === 0);
+check('Clear removes audio files', (await fs.readdir(cacheDir)).filter(f => f.endsWith('.bin')).length === 0);
+
+// Test 5: Lookups write the index later, once
+console.log('\n[Test 5] Deferred index writes');
+const lazy = new AudioCache({ cacheDir, maxSizeBytes: 250, persistDelayMs: 50 });
+await lazy.set('d', Buffer.alloc(100, 4));
+const readIndex = async () => JSON.parse(await fs.readFile(lazy.indexPath, 'utf-8'));
+for (let i = 0; i < 3; i++) await lazy.get('d');
+check('Lookups leave the index file alone', (await readIndex()).hits === 0);
+await new Promise(resolve => setTimeout(resolve, 100));
+check('The index is written after the delay', (await readIndex()).hits === 3);
+
+await finishSuite();
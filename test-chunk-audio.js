@@ -0,0 +1,74 @@
+/**
+ * Test Script for Stored Chunk Audio
+ *
+ * Checks that conversions keep each chunk's audio for regeneration, drop
+ * chunks past a shorter rendition, archive and restore earlier renditions,
+ * and that deleting a conversion removes it all.
+ * Run with: node test-chunk-audio.js
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { ConversionStorage } from './src/backend/utils/storage.js';
+import { startSuite, check, makeTempDir, finishSuite } from './testHelpers.js';
+
+startSuite('Chunk Audio Storage Test Suite');
+
+const tempDir = await makeTempDir('chunks');
+const storage = new ConversionStorage({
+  metadataPath: path.join(tempDir, 'metadata.json'),
+  audioDir: path.join(tempDir, 'audio'),
+  maxVersions: 2
+});
+
+// Test 1: Saving and loading chunk audio
+console.log('\n[Test 1] Save and load');
+const conversion = await storage.saveConversion({ title: 'Chunks', text: 'One. Two.', status: 'completed' });
+await storage.saveChunkAudio(conversion.id, 0, Buffer.from('first'));
+await storage.saveChunkAudio(conversion.id, 1, Buffer.from('second'));
+check('Chunk audio is stored per conversion', storage.getChunkAudioPath(conversion.id, 1).startsWith(storage.getChunkAudioDir(conversion.id)));
+check('Chunk audio loads back', (await storage.loadChunkAudio(conversion.id, 1)).toString() === 'second');
+await storage.saveChunkAudio(conversion.id, 1, Buffer.from('regenerated'));
+check('Saving again replaces the chunk', (await storage.loadChunkAudio(conversion.id, 1)).toString() === 'regenerated');
+
+await storage.saveChunkAudio(conversion.id, 2, Buffer.from('third'));
+await storage.saveChunkAudio(conversion.id, 10, Buffer.from('eleventh'));
+const pruned = await storage.pruneChunkAudio(conversion.id, 2);
+check('Pruning deletes chunks past the rendition', pruned === 2 &&
+  (await storage.listChunkAudio(storage.getChunkAudioDir(conversion.id))).join() === 'chunk_0000.mp3,chunk_0001.mp3');
+
+// Test 2: Versions of the audio
+console.log('\n[Test 2] Versions');
+const audioPath = path.join(tempDir, 'audio', `${conversion.id}.mp3`);
+await fs.writeFile(audioPath, 'first rendition');
+await storage.updateConversion(conversion.id, { audioPath, duration: 1, chunkCount: 2 });
+
+const first = await storage.archiveVersion(conversion.id);
+check('Archived version keeps text and duration', first.version === 1 && first.text === 'One. Two.' && first.duration === 1);
+
+await fs.writeFile(audioPath, 'second rendition');
+await storage.saveChunkAudio(conversion.id, 1, Buffer.from('edited'));
+await storage.updateConversion(conversion.id, { text: 'One. Too.', duration: 2 });
+
+const restored = await storage.restoreVersion(conversion.id, 1);
+check('Restoring brings back text and duration', restored.text === 'One. Two.' && restored.duration === 1);
+check('Restoring brings back the audio file', (await fs.readFile(audioPath, 'utf-8')) === 'first rendition');
+check('Restoring brings back chunk audio', (await storage.loadChunkAudio(conversion.id, 1)).toString() === 'regenerated');
+check('The replaced rendition becomes a version', restored.versions.some(v => v.text === 'One. Too.'));
+
+await storage.archiveVersion(conversion.id);
+const { versions } = await storage.getConversion(conversion.id);
+check('Old versions beyond the limit are dropped', versions.length === 2 && versions[0].version === 2);
+check('Dropped versions lose their files', !(await fs.access(storage.getVersionDir(conversion.id, 1)).then(() => true, () => false)));
+
+let missing = null;
+await storage.restoreVersion(conversion.id, 99).catch(error => { missing = error; });
+check('Unknown versions are 404s', missing && missing.status === 404);
+
+// Test 3: Deleting a conversion removes its chunks
+console.log('\n[Test 3] Delete');
+await storage.deleteConversion(conversion.id);
+const remaining = await fs.access(storage.getChunkAudioDir(conversion.id)).then(() => true, () => false);
+check('Chunk audio is deleted with the conversion', !remaining);
+
+await finishSuite();
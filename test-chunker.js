@@ -120,6 +120,57 @@ console.log(`  Min chunk size: ${stats6.minChunkSize}`);
 console.log(`✓ All chunks valid: ${chunker6.validateChunks(chunks6) ? 'Yes' : 'No'}`);
 console.log(`✓ No chunk exceeds limit: ${chunks6.every(c => c.length <= 1000) ? 'Yes' : 'No'}`);
 
+// Test 7: Emotion tags are never split
+console.log('\n[Test 7] Emotion tags');
+const chunker7 = new TextChunker(50);
+const taggedWord = 'ha'.repeat(22) + '<laugh>' + 'ha'.repeat(30);
+const chunks7 = chunker7.chunk(`She said ${taggedWord} and then <sigh> left.`);
+const brokenTags = chunks7.filter(chunk => /<[a-z]*$|^[a-z]*>/.test(chunk));
+console.log(`Output: ${chunks7.length} chunk(s)`);
+console.log(`✓ Tags intact: ${chunks7.join(' ').includes('<laugh>') && brokenTags.length === 0 ? 'Yes' : 'No'}`);
+console.log(`✓ Valid chunks: ${chunker7.validateChunks(chunks7) ? 'Yes' : 'No'}`);
+
+// Test 8: Multi-voice scripts
+console.log('\n[Test 8] Multi-voice scripts');
+const chunker8 = new TextChunker(80);
+const script = `---
+speakers:
+  Alice: bella
+---
+The kitchen was quiet.
+ALICE: Did you hear that? It came from the cellar, I am sure of it, listen.
+BOB: I heard nothing.
+ALICE: There it is again.`;
+const { segments, voices, speakers } = chunker8.chunkScript(script);
+segments.forEach((segment, i) => {
+  console.log(`  ${i + 1}. [${segment.speaker || 'narration'}] "${segment.text.substring(0, 40)}"`);
+});
+console.log(`✓ Front-matter voices read: ${voices.ALICE === 'bella' ? 'Yes' : 'No'}`);
+console.log(`✓ Speakers found: ${speakers.join(',') === 'ALICE,BOB' ? 'Yes' : 'No'}`);
+console.log(`✓ Narration kept without speaker: ${segments[0].speaker === null ? 'Yes' : 'No'}`);
+console.log(`✓ Labels removed from text: ${segments.every(s => !/^(ALICE|BOB):/.test(s.text)) ? 'Yes' : 'No'}`);
+console.log(`✓ Valid chunks: ${chunker8.validateChunks(segments.map(s => s.text)) ? 'Yes' : 'No'}`);
+
+// Test 9: Narrator and dialogue
+console.log('\n[Test 9] Narrator and dialogue');
+const chunker9 = new TextChunker(1000);
+const prose = `“Come here,” she said. He didn't move.
+
+"I won't. Not until you explain.
+
+"And don't say it's nothing."
+
+‘It’s the dogs’ fault,’ she muttered.`;
+const dialogue = chunker9.splitDialogue(prose);
+dialogue.forEach((segment, i) => {
+  console.log(`  ${i + 1}. [${segment.speaker}] "${segment.text.substring(0, 40)}"`);
+});
+const spoken = dialogue.filter(s => s.speaker === 'DIALOGUE').map(s => s.text);
+console.log(`✓ Curly quotes detected: ${spoken.includes('“Come here,”') ? 'Yes' : 'No'}`);
+console.log(`✓ Quote spans paragraphs: ${spoken.some(s => s.startsWith('"And')) ? 'Yes' : 'No'}`);
+console.log(`✓ Apostrophes ignored: ${spoken.includes('‘It’s the dogs’ fault,’') ? 'Yes' : 'No'}`);
+console.log(`✓ Narration kept apart: ${dialogue.filter(s => s.speaker === 'NARRATOR').length === 2 ? 'Yes' : 'No'}`);
+
 // Summary
 console.log('\n' + '='.repeat(60));
 console.log('Test Summary');
@@ -132,5 +183,8 @@ console.log('  ✓ Respects paragraph boundaries');
 console.log('  ✓ Handles very long sentences (word splitting)');
 console.log('  ✓ Handles empty text');
 console.log('  ✓ Processes realistic articles efficiently');
+console.log('  ✓ Keeps emotion tags intact');
+console.log('  ✓ Splits multi-voice scripts by speaker');
+console.log('  ✓ Separates narration from quoted dialogue');
 console.log('\nThe chunker is ready for production use!');
 console.log('='.repeat(60));
@@ -0,0 +1,227 @@
+/**
+ * Test Script for the Document Model
+ *
+ * Checks that Markdown, Word and HTML files parse into a document tree
+ * (sections, lists, code blocks, tables, block quotes) alongside their
+ * text, that chapters come from the tree's sections, and that reading
+ * rules change how the structure is read.
+ * Run with: node test-document-model.js
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import JSZip from 'jszip';
+import { FileParser } from './src/backend/utils/fileParser.js';
+import { buildDocument, renderDocument, documentChapters } from './src/backend/utils/documentModel.js';
+import { parseReadingRules } from './src/backend/utils/readingRules.js';
+import { startSuite, check, makeTempDir, finishSuite } from './testHelpers.js';
+
+// Nodes of a type, depth first
+function find(node, type) {
+  const found = node.type === type ? [node] : [];
+  const children = [...(node.children || []), ...(node.items || [])];
+  return found.concat(children.flatMap(child => find(child, type)));
+}
+
+const tempDir = await makeTempDir('model');
+const parser = new FileParser();
+
+startSuite('Document Model Test Suite');
+
+// Test 1: Building the tree
+console.log('\n[Test 1] Tree building');
+const tree = buildDocument([
+  { type: 'paragraph', text: 'Preface.' },
+  { type: 'heading', level: 2, text: 'One' },
+  { type: 'listItem', text: 'First', ordered: true, number: 1, depth: 0 },
+  { type: 'listItem', text: 'Inner', ordered: false, depth: 1 },
+  { type: 'listItem', text: 'Second', ordered: true, number: 2, depth: 0 },
+  { type: 'heading', level: 3, text: 'One A' },
+  { type: 'paragraph', text: 'Quoted.', quote: 1 },
+  { type: 'heading', level: 4, text: 'Quoted heading', quote: 1 },
+  { type: 'heading', level: 2, text: 'Two' },
+  { type: 'table', caption: null, header: ['Name', 'Age'], rows: [['Ann', '7']] }
+], { title: 'Book' });
+const [one, two] = tree.children.filter(child => child.type === 'section');
+check('Content before the first heading stays at the top', tree.children[0].text === 'Preface.');
+check('Headings open sections at their level', one.heading === 'One' && two.heading === 'Two' &&
+  one.children[1].type === 'section' && one.children[1].heading === 'One A');
+check('List items form one list with nesting', one.children[0].type === 'list' &&
+  one.children[0].items.length === 2 && one.children[0].items[0].children[0].items[0].text === 'Inner');
+check('Quoted blocks form a block quote without sections', JSON.stringify(one.children[1].children) ===
+  '[{"type":"blockquote","children":[{"type":"paragraph","text":"Quoted."},{"type":"paragraph","text":"Quoted heading"}]}]');
+const rendered = renderDocument(tree);
+check('Renders blocks as paragraphs', rendered.text ===
+  'Preface.\n\nOne\n\nFirst\n\nInner\n\nSecond\n\nOne A\n\nQuoted.\n\nQuoted heading\n\nTwo\n\nName, Age\n\nAnn, 7');
+check('Section offsets point at headings', rendered.text.slice(rendered.starts.get(two)).startsWith('Two'));
+check('Chapters are the sections of the shallowest level', documentChapters(tree).length === 2);
+
+// Test 2: Markdown
+console.log('\n[Test 2] Markdown');
+const mdPath = path.join(tempDir, 'guide.md');
+await fs.writeFile(mdPath, `# Guide
+
+Ask Q&amp;A about \`a<b\` &copy; 2024 ![A cat asleep on a mat](cat.png)
+
+## Setup
+
+3. Install it <sigh>
+4. Run [the tool](https://example.com)
+   - quietly
+
+\`\`\`js
+const x = 1;
+\`\`\`
+
+## Usage
+
+| Name | Value |
+| ---- | ----- |
+| a    | 1     |
+
+> Mind the gap.
+`);
+const markdown = await parser.parseDocument(mdPath);
+check('Title from the top heading', markdown.title === 'Guide');
+check('Entities are decoded', markdown.text.includes('Ask Q&A about a<b © 2024'));
+check('Sections under the title become chapters', JSON.stringify(markdown.chapters.map(chapter => chapter.title)) ===
+  '["Setup","Usage"]' && markdown.chapters.every(chapter => markdown.text.slice(chapter.textStart).startsWith(chapter.title)));
+const [list] = find(markdown.tree, 'list');
+check('Ordered lists keep their numbers', list.ordered && list.items.map(item => item.number).join() === '3,4');
+check('Emotion tags and link text kept', list.items[0].text === 'Install it <sigh>' && list.items[1].text === 'Run the tool');
+check('Code blocks keep their language', JSON.stringify(find(markdown.tree, 'code')) ===
+  '[{"type":"code","text":"const x = 1;","language":"js"}]');
+check('Tables keep header and rows', JSON.stringify(find(markdown.tree, 'table')[0].header) === '["Name","Value"]');
+check('Block quotes are nodes', find(markdown.tree, 'blockquote')[0].children[0].text === 'Mind the gap.');
+check('Images only with descriptions', !markdown.text.includes('cat') &&
+  (await parser.parseDocument(mdPath, { imageDescriptions: true })).text.includes('\n\nImage: A cat asleep on a mat.'));
+check('parseFile returns the text', (await parser.parseFile(mdPath)) === markdown.text);
+
+// Test 3: Word documents
+console.log('\n[Test 3] DOCX');
+const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+const paragraph = (text, style = null, list = null) => `<w:p><w:pPr>${style ? `<w:pStyle w:val="${style}"/>` : ''}${
+  list !== null ? `<w:numPr><w:ilvl w:val="0"/><w:numId w:val="${list}"/></w:numPr>` : ''}</w:pPr><w:r><w:t>${text}</w:t></w:r></w:p>`;
+const cell = text => `<w:tc>${paragraph(text)}</w:tc>`;
+const docx = new JSZip();
+docx.file('[Content_Types].xml', `<?xml version="1.0"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+</Types>`);
+docx.file('_rels/.rels', `<?xml version="1.0"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`);
+docx.file('word/_rels/document.xml.rels', `<?xml version="1.0"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>
+</Relationships>`);
+docx.file('word/styles.xml', `<?xml version="1.0"?>
+<w:styles ${W}>
+  <w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/></w:style>
+</w:styles>`);
+docx.file('word/numbering.xml', `<?xml version="1.0"?>
+<w:numbering ${W}>
+  <w:abstractNum w:abstractNumId="0"><w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="decimal"/></w:lvl></w:abstractNum>
+  <w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+</w:numbering>`);
+docx.file('word/document.xml', `<?xml version="1.0"?>
+<w:document ${W}><w:body>
+  ${paragraph('Report &amp; Notes')}
+  ${paragraph('Method', 'Heading1')}
+  ${paragraph('Mix the paint.', null, 1)}
+  ${paragraph('Let it dry.', null, 1)}
+  ${paragraph('Results', 'Heading1')}
+  <w:tbl><w:tr>${cell('Colour')}${cell('Days')}</w:tr><w:tr>${cell('Red')}${cell('2')}</w:tr></w:tbl>
+</w:body></w:document>`);
+const docxPath = path.join(tempDir, 'report.docx');
+await fs.writeFile(docxPath, await docx.generateAsync({ type: 'nodebuffer' }));
+const word = await parser.parseDocument(docxPath);
+check('Headings become chapters', JSON.stringify(word.chapters.map(chapter => chapter.title)) === '["Method","Results"]');
+check('Numbered paragraphs are an ordered list', JSON.stringify(find(word.tree, 'list')[0].items.map(item => item.text)) ===
+  '["Mix the paint.","Let it dry."]' && find(word.tree, 'list')[0].ordered);
+check('Tables are read into rows', JSON.stringify(find(word.tree, 'table')[0].rows) === '[["Colour","Days"],["Red","2"]]');
+check('Text keeps paragraphs apart', word.text ===
+  'Report & Notes\n\nMethod\n\nFirst, Mix the paint.\n\nSecond, Let it dry.\n\nResults\n\nTable.\n\nColour, Days.\n\nRed, 2.');
+
+// Test 4: HTML structure
+console.log('\n[Test 4] HTML');
+const htmlPath = path.join(tempDir, 'page.html');
+await fs.writeFile(htmlPath, `<html><body><article>
+  <h1>Recipes</h1>
+  <h2>Bread</h2>
+  <ol start="2"><li>Knead<ul><li>ten minutes</li></ul></li><li><p>Bake</p></li></ol>
+  <pre><code class="language-sh">oven --heat 220
+oven --wait</code></pre>
+  <h2>Soup</h2>
+  <table><caption>Timings</caption><thead><tr><td>Step</td><td>Minutes</td></tr></thead><tr><td>Boil</td><td>20</td></tr></table>
+  <blockquote><p>Soup is <em>good</em>.</p></blockquote>
+</article></body></html>`);
+const html = await parser.parseDocument(htmlPath);
+const [steps] = find(html.tree, 'list');
+check('Lists keep numbering and nesting', steps.items.map(item => `${item.number}:${item.text}`).join() === '2:Knead,3:Bake' &&
+  steps.items[0].children[0].items[0].text === 'ten minutes');
+check('Preformatted text is a code block', JSON.stringify(find(html.tree, 'code')[0]) ===
+  '{"type":"code","text":"oven --heat 220\\noven --wait","language":"sh"}');
+check('Tables keep caption and header', JSON.stringify(find(html.tree, 'table')[0]) ===
+  '{"type":"table","caption":"Timings","header":["Step","Minutes"],"rows":[["Boil","20"]]}');
+check('Block quotes are nodes', find(html.tree, 'blockquote')[0].children[0].text === 'Soup is good.');
+check('Plain text files get a paragraph tree', (await (async () => {
+  const txtPath = path.join(tempDir, 'notes.txt');
+  await fs.writeFile(txtPath, 'One.\n\nTwo.');
+  return (await parser.parseDocument(txtPath)).tree.children.length;
+})()) === 2);
+
+// Test 5: Reading rules
+console.log('\n[Test 5] Reading rules');
+const notesPath = path.join(tempDir, 'notes.md');
+await fs.writeFile(notesPath, `---
+title: Notes
+tags: [a, b]
+---
+# Notes
+
+## Steps
+
+1. Open [the docs](https://www.example.com/docs)
+2. Run it
+
+\`\`\`sh
+make all
+\`\`\`
+
+## Data
+
+| Name | Age |
+| ---- | --- |
+| Ann  | 7   |
+`);
+const read = async readingRules => (await parser.parseDocument(notesPath, { readingRules })).text;
+const defaults = await read();
+check('Front matter stripped by default', defaults.startsWith('Notes\n\nSteps'));
+check('Numbered items read with ordinal words', defaults.includes('\n\nFirst, Open the docs\n\nSecond, Run it'));
+check('Code blocks summarized by default', defaults.includes('\n\nCode block omitted.\n\n') && !defaults.includes('make all'));
+check('Tables announced and read by column', defaults.endsWith('Data\n\nTable.\n\nName: Ann, Age: 7.'));
+const custom = await read({ codeBlocks: 'read', listItems: 'plain', headings: 'announce', tables: 'skip', frontMatter: 'keep', links: 'url' });
+check('Front matter kept verbatim', custom.startsWith('---\ntitle: Notes\ntags: [a, b]\n---\n\nSection: Notes. …'));
+check('Links name their site', custom.includes('\n\nOpen the docs (link to example.com)\n\nRun it'));
+check('Code read verbatim', custom.includes('\n\nmake all\n\n'));
+check('Headings announced with a pause', custom.includes('\n\nSection: Data. …') && !custom.includes('Ann'));
+check('Code blocks can be skipped', !(await read({ codeBlocks: 'skip' })).includes('Code block'));
+const announced = await parser.parseDocument(notesPath, { readingRules: { headings: 'announce' } });
+check('Chapter offsets follow announced headings', announced.chapters.length === 2 &&
+  announced.text.slice(announced.chapters[1].textStart).startsWith('Section: Data.'));
+let rulesError = null;
+try {
+  parseReadingRules({ tables: 'sing' });
+} catch (error) {
+  rulesError = error;
+}
+check('Rejects unknown options', rulesError && rulesError.message === 'tables must be one of read, skip');
+check('Fills in defaults', JSON.stringify(parseReadingRules('{"links":"url"}')) ===
+  '{"codeBlocks":"summarize","listItems":"ordinal","headings":"plain","tables":"read","frontMatter":"strip","links":"url"}');
+
+await finishSuite();
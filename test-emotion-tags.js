@@ -0,0 +1,57 @@
+/**
+ * Test Script for Emotion Tags
+ *
+ * Checks tag validation, per-provider stripping and Markdown parsing,
+ * and that other words in angle brackets are left as text.
+ * Run with: node test-emotion-tags.js
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { findTags, validateTags, stripTags, EMOTION_TAGS } from './src/backend/utils/emotionTags.js';
+import { FileParser } from './src/backend/utils/fileParser.js';
+import { ProviderFactory } from './src/backend/providers/index.js';
+import { startSuite, check, makeTempDir, finishSuite } from './testHelpers.js';
+
+startSuite('Emotion Tags Test Suite');
+
+// Test 1: Finding and validating tags
+console.log('\n[Test 1] Validation');
+const text = 'Well <sigh> that was <laugh> funny <laughs>. Is 3 < 4 > 2?';
+check('Finds tags in order', JSON.stringify(findTags(text)) === '["sigh","laugh","laughs"]');
+const result = validateTags(text, EMOTION_TAGS);
+check('Flags misspelled tags', !result.valid && JSON.stringify(result.unsupported) === '["laughs"]');
+check('Close misspellings count as tags',
+  JSON.stringify(findTags('<sighh> <cuogh> <chukle> <coughing> <gasped>')) ===
+  '["sighh","cuogh","chukle","coughing","gasped"]');
+check('Comparisons are not tags', findTags('3 < 4 and 5 > 2').length === 0);
+check('Words a letter away from a tag are not tags',
+  findTags('<sign> <high> <couch> <yarn> <gaps> <grasp>').length === 0);
+check('Other words in brackets are text', validateTags(
+  'Use <filename> here, or wrap it in <div> and <span> (<b>bold</b>).', EMOTION_TAGS
+).valid);
+
+// Test 2: Providers keep only the tags they support
+console.log('\n[Test 2] Per-provider support');
+check('Orpheus providers support tags', ProviderFactory.getSupportedTags('segmind').includes('gasp'));
+check('Hugging Face MMS model has no tags', ProviderFactory.getSupportedTags('huggingface').length === 0);
+const mock = ProviderFactory.createProvider('mock', null);
+check('Supported tags kept by sanitizeText', mock.sanitizeText('Oh <gasp> no') === 'Oh <gasp> no');
+check('Misspelled tags stripped by sanitizeText', mock.sanitizeText('Oh <laughs> no') === 'Oh no');
+check('Other words in brackets read as words', mock.sanitizeText('Open <filename> now') === 'Open filename now');
+check('stripTags removes all by default', stripTags('Hi <laugh> there') === 'Hi there');
+
+// Test 3: Markdown keeps tags, drops HTML
+console.log('\n[Test 3] Markdown parsing');
+const tempDir = await makeTempDir('tags');
+const mdPath = path.join(tempDir, 'story.md');
+await fs.writeFile(mdPath, '# Story\n\nHe paused <sigh> and **smiled** <b>wide</b>.\n\n- <chuckle> indeed\n');
+const parsed = await new FileParser().parseFile(mdPath);
+check('Emotion tags preserved', parsed.includes('<sigh>') && parsed.includes('<chuckle>'));
+check('Other HTML removed', !parsed.includes('<b>') && parsed.includes('wide'));
+
+const codePath = path.join(tempDir, 'code.md');
+await fs.writeFile(codePath, '# Markup\n\nWrap it:\n\n```html\n<div>Hello</div>\n```\n');
+const { text: codeText } = await new FileParser().parseDocument(codePath, { readingRules: { codeBlocks: 'read' } });
+check('Markup in code read aloud is not a tag', codeText.includes('<div>') && validateTags(codeText, EMOTION_TAGS).valid);
+await finishSuite();
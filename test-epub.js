@@ -0,0 +1,174 @@
+/**
+ * Test Script for EPUB Parsing
+ *
+ * Builds small EPUB 2 and EPUB 3 books and checks spine order, chapter
+ * titles from the nav/NCX, front matter dropping and chapter offsets.
+ * Run with: node test-epub.js
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import JSZip from 'jszip';
+import { FileParser } from './src/backend/utils/fileParser.js';
+import { startSuite, check, makeTempDir, finishSuite } from './testHelpers.js';
+
+const CONTAINER = `<?xml version="1.0"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>`;
+
+function page(body, bodyType = null) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head><title>Page</title><style>p { margin: 0; }</style></head>
+<body${bodyType ? ` epub:type="${bodyType}"` : ''}>${body}</body>
+</html>`;
+}
+
+async function writeEpub(filePath, files) {
+  const zip = new JSZip();
+  zip.file('mimetype', 'application/epub+zip');
+  zip.file('META-INF/container.xml', CONTAINER);
+
+  for (const [name, content] of Object.entries(files)) {
+    zip.file(`OEBPS/${name}`, content);
+  }
+
+  await fs.writeFile(filePath, await zip.generateAsync({ type: 'nodebuffer' }));
+}
+
+const tempDir = await makeTempDir('epub');
+const parser = new FileParser();
+
+startSuite('EPUB Parser Test Suite');
+
+// EPUB 3: nav document, landmarks, spine order differs from manifest order
+const epub3Path = path.join(tempDir, 'book3.epub');
+await writeEpub(epub3Path, {
+  'content.opf': `<?xml version="1.0"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:title>The Test Book</dc:title>
+    <dc:creator>A. Writer</dc:creator>
+  </metadata>
+  <manifest>
+    <item id="ch2" href="text/ch2.xhtml" media-type="application/xhtml+xml"/>
+    <item id="ch1" href="text/ch1.xhtml" media-type="application/xhtml+xml"/>
+    <item id="cover" href="text/cover.xhtml" media-type="application/xhtml+xml"/>
+    <item id="rights" href="text/rights.xhtml" media-type="application/xhtml+xml"/>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="css" href="style.css" media-type="text/css"/>
+  </manifest>
+  <spine>
+    <itemref idref="cover"/>
+    <itemref idref="nav"/>
+    <itemref idref="rights"/>
+    <itemref idref="ch1"/>
+    <itemref idref="ch2"/>
+  </spine>
+</package>`,
+  'nav.xhtml': page(`
+    <nav epub:type="toc"><h1>Contents</h1><ol>
+      <li><a href="text/ch1.xhtml">Chapter 1: The Beginning</a></li>
+      <li><a href="text/ch2.xhtml">Chapter 2: The&#160;End</a></li>
+    </ol></nav>
+    <nav epub:type="landmarks"><ol>
+      <li><a epub:type="cover" href="text/cover.xhtml">Cover</a></li>
+      <li><a epub:type="bodymatter" href="text/ch1.xhtml">Start</a></li>
+    </ol></nav>`),
+  'text/cover.xhtml': page('<div><img src="cover.jpg" alt="Cover"/><p>THE TEST BOOK</p></div>'),
+  'text/rights.xhtml': page('<section epub:type="copyright-page"><p>Copyright 2024. All rights reserved.</p></section>'),
+  'text/ch1.xhtml': page(`
+    <h1>Chapter 1</h1><h2>The Beginning</h2>
+    <p>It was a dark and <em>stormy</em> night&#8230; The rain fell&nbsp;hard.</p>
+    <p>Nobody slept.<br/>Not even the cat.</p>
+    <script>var x = 1;</script>`, 'bodymatter'),
+  'text/ch2.xhtml': page('<p>Morning came at last.</p><ul><li>Coffee</li><li>Toast</li></ul>')
+});
+
+// Test 1: Spine order and chapter titles
+console.log('\n[Test 1] EPUB 3 spine order and nav titles');
+const book = await parser.parseEpub(epub3Path);
+check('Reads metadata', book.title === 'The Test Book' && book.author === 'A. Writer');
+check('Keeps front matter by default', book.chapters.some(chapter => chapter.text.includes('Copyright 2024')));
+
+const body = await parser.parseEpub(epub3Path, { skipFrontMatter: true });
+check('Follows spine order', JSON.stringify(body.chapters.map(chapter => chapter.title)) ===
+  '["Chapter 1: The Beginning","Chapter 2: The End"]');
+check('Drops cover, contents and copyright pages', !body.text.includes('THE TEST BOOK') &&
+  !body.text.includes('Contents') && !body.text.includes('Copyright'));
+check('Keeps paragraphs apart', body.chapters[0].text ===
+  'Chapter 1\n\nThe Beginning\n\nIt was a dark and stormy night… The rain fell hard.\n\nNobody slept.\nNot even the cat.');
+check('Skips scripts', !body.text.includes('var x'));
+check('Adds a missing heading from the title', body.chapters[1].text === 'Chapter 2: The End\n\nMorning came at last.\n\nCoffee\n\nToast');
+
+// Test 2: Chapter offsets
+console.log('\n[Test 2] Chapter offsets');
+check('Chapters are joined by blank lines', body.text === body.chapters.map(chapter => chapter.text).join('\n\n'));
+check('textStart locates each chapter', body.chapters.every(chapter =>
+  body.text.slice(chapter.textStart).startsWith(chapter.text)));
+
+const document = await parser.parseDocument(epub3Path, { skipFrontMatter: true });
+check('parseDocument returns markers only', document.text === body.text &&
+  JSON.stringify(document.chapters[1]) === JSON.stringify({ title: 'Chapter 2: The End', textStart: body.chapters[1].textStart }));
+check('parseFile returns plain text', (await parser.parseFile(epub3Path)).includes('Morning came at last.'));
+
+// EPUB 2: NCX titles, guide types, two chapters in one file split by fragments
+const epub2Path = path.join(tempDir, 'book2.epub');
+await writeEpub(epub2Path, {
+  'content.opf': `<?xml version="1.0"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="2.0">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:title>Old Book</dc:title></metadata>
+  <manifest>
+    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+    <item id="title" href="front.html" media-type="application/xhtml+xml"/>
+    <item id="body" href="body.html" media-type="application/xhtml+xml"/>
+    <item id="notes" href="notes.html" media-type="application/xhtml+xml"/>
+  </manifest>
+  <spine toc="ncx">
+    <itemref idref="title"/>
+    <itemref idref="body"/>
+    <itemref idref="notes"/>
+  </spine>
+  <guide><reference type="title-page" title="Title" href="front.html"/></guide>
+</package>`,
+  'toc.ncx': `<?xml version="1.0"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <navMap>
+    <navPoint id="p1" playOrder="1"><navLabel><text>I. Arrival</text></navLabel><content src="body.html#c1"/></navPoint>
+    <navPoint id="p2" playOrder="2"><navLabel><text>II. Departure</text></navLabel><content src="body.html#c2"/></navPoint>
+  </navMap>
+</ncx>`,
+  'front.html': page('<h1>Old Book</h1><p>by Nobody</p>'),
+  'body.html': page('<h2 id="c1">I. Arrival</h2><p>They came by train.</p><h2 id="c2">II. Departure</h2><p>They left by boat.</p>'),
+  'notes.html': page('<p>A note on the text.</p>')
+});
+
+// Test 3: NCX and fragment chapters
+console.log('\n[Test 3] EPUB 2 NCX and fragment chapters');
+const oldBook = await parser.parseEpub(epub2Path, { skipFrontMatter: true });
+check('Drops the guide title page', !oldBook.text.includes('by Nobody'));
+check('Splits a file at contents fragments', JSON.stringify(oldBook.chapters.map(chapter => chapter.title)) ===
+  '["I. Arrival","II. Departure"]');
+check('Files missing from the contents continue the last chapter',
+  oldBook.chapters[1].text === 'II. Departure\n\nThey left by boat.\n\nA note on the text.');
+
+const withFront = await parser.parseEpub(epub2Path);
+check('Untitled opening keeps its heading', withFront.chapters[0].title === 'Old Book' &&
+  withFront.chapters[1].title === 'I. Arrival');
+
+// Test 4: Errors and text cleanup
+console.log('\n[Test 4] Errors and text cleanup');
+const brokenPath = path.join(tempDir, 'broken.epub');
+await fs.writeFile(brokenPath, 'not a zip');
+let error = null;
+try {
+  await parser.parseEpub(brokenPath);
+} catch (e) {
+  error = e;
+}
+check('Rejects files that are not EPUBs', error && error.message.startsWith('Failed to parse EPUB file'));
+check('cleanText keeps paragraph breaks', parser.cleanText('Title\n\nPara one.  \n line two\n\n\n\n\tPara two.') ===
+  'Title\n\nPara one.\nline two\n\nPara two.');
+
+await finishSuite();
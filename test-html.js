@@ -0,0 +1,104 @@
+/**
+ * Test Script for HTML Import
+ *
+ * Checks article extraction from saved web pages: boilerplate removal,
+ * headings as sections, image descriptions and charsets.
+ * Run with: node test-html.js
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { FileParser } from './src/backend/utils/fileParser.js';
+import { startSuite, check, makeTempDir, finishSuite } from './testHelpers.js';
+
+const tempDir = await makeTempDir('html');
+const parser = new FileParser();
+
+startSuite('HTML Import Test Suite');
+
+const articlePath = path.join(tempDir, 'article.html');
+await fs.writeFile(articlePath, `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Tide Pools | Example News</title>
+  <script>window.track = () => {};</script>
+  <style>body { font: 16px serif; }</style>
+</head>
+<body>
+  <header class="site-header"><a href="/">Example News</a> <a href="/world">World</a></header>
+  <nav><ul><li><a href="/">Home</a></li><li><a href="/science">Science</a></li></ul></nav>
+  <div class="ad-banner">Buy one get one free!</div>
+  <article>
+    <header><h1>Life in the Tide Pools</h1><p class="byline">By A. Reporter</p></header>
+    <p>Twice a day the sea withdraws, and the rocks show a world of anemones, crabs and snails.</p>
+    <figure>
+      <img src="crab.jpg" alt="A shore crab hiding under a rock">
+      <figcaption>Shore crabs wait for the tide</figcaption>
+    </figure>
+    <h2>The Low Tide</h2>
+    <p>At low tide, <a href="/pools">pools</a> warm up quickly.<img src="spacer.gif" alt=""></p>
+    <div class="share-buttons"><button>Share</button> Tweet this</div>
+    <h2>The High Tide</h2>
+    <p>When the water returns, everything hides again.</p>
+    <aside class="related">Related: Ten facts about starfish</aside>
+    <footer>Tags: ocean, biology</footer>
+  </article>
+  <footer class="site-footer">&copy; 2024 Example News. All rights reserved.</footer>
+</body>
+</html>`);
+
+// Test 1: Main content only
+console.log('\n[Test 1] Article extraction');
+const article = await parser.parseHtml(articlePath);
+check('Keeps the article text', article.text.includes('Twice a day the sea withdraws') &&
+  article.text.includes('everything hides again.'));
+check('Drops navigation, header and footer', !/Home|World|All rights reserved|Tags:/.test(article.text));
+check('Drops ads, share buttons and related links', !/Buy one|Tweet|starfish/.test(article.text));
+check('Drops scripts and styles', !/track|font:/.test(article.text));
+check('Title comes from the article heading', article.title === 'Life in the Tide Pools');
+check('Paragraphs are separated by blank lines', article.text.startsWith(
+  'Life in the Tide Pools\n\nBy A. Reporter\n\nTwice a day'));
+check('Inline links are read as text', article.text.includes('At low tide, pools warm up quickly.'));
+
+// Test 2: Headings as structure
+console.log('\n[Test 2] Sections');
+check('Section headings become chapters', JSON.stringify(article.chapters.map(chapter => chapter.title)) ===
+  '["The Low Tide","The High Tide"]');
+check('Chapters point at their headings', article.chapters.every(chapter =>
+  article.text.slice(chapter.textStart).startsWith(chapter.title)));
+
+// Test 3: Image descriptions
+console.log('\n[Test 3] Alt text and captions');
+check('Off by default', !article.text.includes('shore crab') && !article.text.includes('Shore crabs wait'));
+const described = await parser.parseHtml(articlePath, { imageDescriptions: true });
+check('Alt text read as an aside', described.text.includes('\n\nImage: A shore crab hiding under a rock.\n\n'));
+check('Captions read as an aside', described.text.includes('\n\nCaption: Shore crabs wait for the tide.'));
+check('Empty alt text skipped', !described.text.includes('spacer'));
+check('Offsets still match', described.chapters.every(chapter =>
+  described.text.slice(chapter.textStart).startsWith(chapter.title)));
+
+// Test 4: Pages without <article>, and charsets
+console.log('\n[Test 4] Scored content and charsets');
+const blogPath = path.join(tempDir, 'blog.htm');
+await fs.writeFile(blogPath, Buffer.from(`<html><head>
+  <meta http-equiv="Content-Type" content="text/html; charset=windows-1252">
+  <meta property="og:title" content="Caf\xe9 Notes">
+</head><body>
+  <div id="menu"><a href="/a">Archive</a> <a href="/b">About</a> <a href="/c">Contact</a></div>
+  <div id="sidebar"><p>Subscribe to the newsletter, it is great, really, truly, honestly.</p></div>
+  <div class="post">
+    <p>The caf\xe9 opened at seven, and the first customers, as always, were the bakers.</p>
+    <p>By nine the queue reached the corner, and nobody, not even the mayor, complained.</p>
+  </div>
+</body></html>`, 'latin1'));
+const blog = await parser.parseDocument(blogPath);
+check('Finds the densest content', blog.text ===
+  'The café opened at seven, and the first customers, as always, were the bakers.\n\n' +
+  'By nine the queue reached the corner, and nobody, not even the mayor, complained.');
+check('Decodes the declared charset', blog.text.includes('café'));
+check('Title falls back to og:title', blog.title === 'Café Notes');
+check('Single-section pages have no chapters', blog.chapters.length === 0);
+check('parseFile returns plain text', (await parser.parseFile(articlePath)) === article.text);
+
+await finishSuite();
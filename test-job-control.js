@@ -0,0 +1,274 @@
+/**
+ * Test Script for Pausing, Resuming, Cancelling and Editing Conversions
+ *
+ * Starts the server with the mock provider in a temporary working
+ * directory and drives conversions through the HTTP API. A requests per
+ * minute quota spaces out requests once its first minute's budget is
+ * spent, so one chunk can still be waiting for its request when another
+ * has finished. A stand-in speech server behind the local provider fails
+ * every chunk that mentions "broken", for the failure paths.
+ * Run with: node test-job-control.js
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import http from 'http';
+import net from 'net';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { startSuite, check, makeTempDir, finishSuite } from './testHelpers.js';
+
+const serverPath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'src/backend/server.js');
+
+// A free port for the server
+const port = await new Promise(resolve => {
+  const probe = net.createServer().listen(0, () => {
+    const { port: free } = probe.address();
+    probe.close(() => resolve(free));
+  });
+});
+const baseUrl = `http://127.0.0.1:${port}`;
+
+// Stand-in for a self-hosted speech server
+const speechServer = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', data => { body += data; });
+  req.on('end', () => {
+    if (JSON.parse(body).input.includes('broken')) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: 'Model crashed' } }));
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+    res.end(Buffer.from([0xFF, 0xFB, 0x90, 0xC0, 0x00, 0x00]));
+  });
+});
+await new Promise(resolve => speechServer.listen(0, '127.0.0.1', resolve));
+
+const workDir = await makeTempDir('jobs');
+const server = spawn(process.execPath, [serverPath], {
+  cwd: workDir,
+  env: {
+    ...process.env,
+    PORT: String(port),
+    DEFAULT_TTS_PROVIDER: 'mock',
+    PROVIDER_FALLBACK_CHAIN: '',
+    MAX_CHUNK_SIZE: '80',
+    MOCK_CONCURRENCY: '2',
+    MOCK_REQUESTS_PER_MINUTE: '30',
+    MOCK_LATENCY_MS: '0',
+    AUDIO_CACHE_MAX_MB: '0',
+    LOCAL_TTS_BASE_URL: `http://127.0.0.1:${speechServer.address().port}/`
+  },
+  stdio: 'ignore'
+});
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function api(method, route, body) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Poll a conversion's status until a condition holds (or time runs out)
+async function waitFor(id, condition, timeoutMs = 15000) {
+  const deadline = Date.now() + timeoutMs;
+  let status;
+
+  while (Date.now() < deadline) {
+    ({ body: status } = await api('GET', `/api/status/${id}`));
+    if (condition(status)) return status;
+    await sleep(50);
+  }
+
+  return status;
+}
+
+// Poll until both chunk workers wait for a request and nothing completes
+async function waitForStall(id) {
+  let previous = await waitFor(id, status => status.activeChunks.length === 2);
+
+  for (;;) {
+    await sleep(500);
+    const { body: status } = await api('GET', `/api/status/${id}`);
+
+    if (status.completedChunks === previous.completedChunks && status.activeChunks.length === 2) {
+      return status;
+    }
+    previous = status;
+  }
+}
+
+// One chunk per sentence
+function sentences(count, label) {
+  return Array.from({ length: count }, (_, i) => `The ${label} sentence number ${i + 1} fills a chunk.`).join(' ');
+}
+
+async function convert(text, provider = 'mock') {
+  const { body } = await api('POST', '/api/convert', { title: 'Job control', text, provider });
+  return body.id;
+}
+
+try {
+  for (let i = 0; i < 100; i++) {
+    try {
+      await api('GET', '/api/providers');
+      break;
+    } catch {
+      await sleep(100);
+    }
+  }
+
+  startSuite('Job Control Test Suite');
+
+  // Test 1: Resume while the paused loop still has a chunk in flight
+  console.log('\n[Test 1] Resume before the in-flight chunk finishes');
+  // About 30 chunks use up the first minute's requests; the rest come one every 2s
+  const racing = await convert(sentences(36, 'racing'));
+  const stalled = await waitForStall(racing);
+  const paused = await api('POST', `/api/conversions/${racing}/pause`);
+  check('Pause is accepted', paused.status === 200 && paused.body.status === 'paused');
+
+  // One worker finishes its chunk and stops; the other waits 2s more for its request
+  await waitFor(racing, status => status.completedChunks > stalled.completedChunks);
+  await sleep(200);
+  const resumed = await api('POST', `/api/conversions/${racing}/resume`);
+  check('Resume is accepted', resumed.status === 200 && resumed.body.status === 'processing');
+
+  const finished = await waitFor(racing, status => status.status !== 'processing');
+  check('The conversion completes', finished.status === 'completed');
+  check('Every chunk is kept', finished.totalChunks === 36 && finished.completedChunks === 36);
+
+  // Test 2: Pause until the loop stops, then resume
+  console.log('\n[Test 2] Pause and resume');
+  const pausing = await convert(sentences(3, 'pausing'));
+  await api('POST', `/api/conversions/${pausing}/pause`);
+  await sleep(2500);
+  const held = await waitFor(pausing, status => status.activeChunks.length === 0);
+  await sleep(1500);
+  const stillHeld = (await api('GET', `/api/status/${pausing}`)).body;
+  check('A paused conversion stops generating', held.status === 'paused' &&
+    stillHeld.completedChunks === held.completedChunks && held.completedChunks < 3);
+  check('Pausing twice is a conflict', (await api('POST', `/api/conversions/${pausing}/pause`)).status === 409);
+
+  await api('POST', `/api/conversions/${pausing}/resume`);
+  const pausedDone = await waitFor(pausing, status => status.status !== 'processing');
+  check('A resumed conversion completes', pausedDone.status === 'completed' && pausedDone.completedChunks === 3);
+  check('Resuming a finished conversion is a conflict',
+    (await api('POST', `/api/conversions/${pausing}/resume`)).status === 409);
+
+  // Test 3: Cancel
+  console.log('\n[Test 3] Cancel');
+  const cancelling = await convert(sentences(3, 'cancelled'));
+  const cancelled = await api('POST', `/api/conversions/${cancelling}/cancel`);
+  check('Cancel is accepted', cancelled.status === 200 && cancelled.body.status === 'cancelled');
+  // In-flight chunks may wait a few seconds for their requests before the loop stops
+  const afterCancel = await waitFor(cancelling, status => status.totalChunks === 0);
+  check('The conversion stays cancelled', afterCancel.status === 'cancelled' && afterCancel.totalChunks === 0);
+  check('A cancelled conversion cannot be resumed',
+    (await api('POST', `/api/conversions/${cancelling}/resume`)).status === 409);
+  const chunkDirs = await fs.readdir(path.join(workDir, 'conversions/chunks')).catch(() => []);
+  check('Its chunk audio is removed', !chunkDirs.includes(cancelling));
+
+  // Test 4: A regenerated chunk's overrides survive a text edit
+  console.log('\n[Test 4] Regenerate, then edit the text');
+  const editing = await convert(sentences(3, 'edited'));
+  await waitFor(editing, status => status.status !== 'processing');
+  const override = 'Overridden words are spoken here instead.';
+  const regenerated = await api('POST', `/api/conversions/${editing}/chunks/1/regenerate`,
+    { text: override, voice: 'leo', temperature: 0.9 });
+  check('The chunk is regenerated', regenerated.status === 200 && regenerated.body.chunk.text === override);
+
+  const { body: before } = await api('GET', `/api/conversions/${editing}`);
+  const edited = await api('PATCH', `/api/conversions/${editing}`,
+    { text: before.text.replace('number 3 fills a chunk', 'number 3 ends the text') });
+  check('Only the edited chunk is rendered again', edited.status === 200 &&
+    edited.body.reusedChunks === 2 && edited.body.changedChunks === 1);
+
+  await waitFor(editing, status => status.status !== 'processing');
+  const { body: after } = await api('GET', `/api/conversions/${editing}`);
+  const kept = after.chunks[1];
+  check('The regenerated chunk keeps its text, voice and temperature',
+    kept.text === override && kept.voice === 'leo' && kept.temperature === 0.9 &&
+    kept.sourceText === 'The edited sentence number two fills a chunk.');
+  check('The transcript speaks the override', after.transcript.includes(override) &&
+    after.transcript.includes('ends the text'));
+
+  // Test 5: An edit with fewer chunks drops the rest of the chunk audio
+  console.log('\n[Test 5] Edit to fewer chunks');
+  const shortened = await api('PATCH', `/api/conversions/${editing}`,
+    { text: after.text.slice(0, after.text.indexOf(' The edited sentence number 3')) });
+  check('The shorter text reuses its chunks', shortened.status === 200 &&
+    shortened.body.totalChunks === 2 && shortened.body.changedChunks === 0);
+
+  await waitFor(editing, status => status.status !== 'processing');
+  const chunkDir = path.join(workDir, 'conversions/audio', editing);
+  const chunkFiles = (await fs.readdir(chunkDir)).filter(file => file.startsWith('chunk_'));
+  check('Only the remaining chunks keep audio', chunkFiles.join() === 'chunk_0000.mp3,chunk_0001.mp3');
+
+  await api('PATCH', `/api/conversions/${editing}`, { text: `${after.text} One more.` });
+  await waitFor(editing, status => status.status !== 'processing');
+  const { body: lengthened } = await api('GET', `/api/conversions/${editing}`);
+  const latest = lengthened.versions[lengthened.versions.length - 1];
+  const archived = (await fs.readdir(path.join(chunkDir, 'versions', String(latest.version))))
+    .filter(file => file.startsWith('chunk_'));
+  check('The archived version holds only its own chunks', latest.chunks.length === 2 && archived.length === 2);
+
+  // Test 6: Retry a failed conversion
+  console.log('\n[Test 6] Retry');
+  check('Retrying an unknown conversion is not found',
+    (await api('POST', '/api/conversions/unknown/retry')).status === 404);
+
+  const failing = await convert('This broken sentence cannot be spoken.', 'local');
+  const failed = await waitFor(failing, status => status.status !== 'processing');
+  check('The conversion fails', failed.status === 'failed');
+
+  const badProvider = await api('POST', `/api/conversions/${failing}/retry`, { provider: 'nonexistent' });
+  check('An unknown provider is rejected', badProvider.status === 400 &&
+    /nonexistent/.test(badProvider.body.error));
+  check('The conversion stays failed', (await api('GET', `/api/status/${failing}`)).body.status === 'failed');
+
+  const retried = await api('POST', `/api/conversions/${failing}/retry`, { provider: 'mock' });
+  check('A configured provider is accepted', retried.status === 200 && retried.body.missingChunks === 1);
+  const retriedDone = await waitFor(failing, status => status.status !== 'processing');
+  check('The retried conversion completes', retriedDone.status === 'completed');
+
+  // Test 7: An edit whose re-render fails is rolled back
+  console.log('\n[Test 7] Failed edit');
+  const original = 'The first sentence of this text is spoken as written. The second sentence of this text is spoken too.';
+  const rollingBack = await convert(original, 'local');
+  await waitFor(rollingBack, status => status.status !== 'processing');
+  const brokenEdit = await api('PATCH', `/api/conversions/${rollingBack}`,
+    { text: original.replace('second sentence', 'broken sentence') });
+  check('The edit is accepted', brokenEdit.status === 200 &&
+    brokenEdit.body.totalChunks === 2 && brokenEdit.body.changedChunks === 1);
+
+  const rolledBack = await waitFor(rollingBack, status => status.status !== 'processing');
+  const { body: reverted } = await api('GET', `/api/conversions/${rollingBack}`);
+  check('The conversion stays completed', rolledBack.status === 'completed' && reverted.status === 'completed');
+  check('The previous text is put back', reverted.text === original &&
+    reverted.transcript.includes('second sentence'));
+  check('The failure is reported', /Model crashed/.test(reverted.error) && reverted.failedChunkIndex === 1);
+  check('No version is left behind', reverted.versions.length === 0);
+  check('The audio is still served', (await fetch(`${baseUrl}/api/conversions/${rollingBack}/audio`)).status === 200);
+
+  const fixedEdit = await api('PATCH', `/api/conversions/${rollingBack}`,
+    { text: original.replace('second sentence', 'last sentence') });
+  await waitFor(rollingBack, status => status.status !== 'processing');
+  const { body: fixed } = await api('GET', `/api/conversions/${rollingBack}`);
+  check('The text can be edited again', fixedEdit.status === 200 && fixed.status === 'completed' &&
+    fixed.text.includes('last sentence') && fixed.error === null);
+} finally {
+  if (server.exitCode === null) {
+    server.kill();
+    await new Promise(resolve => server.once('exit', resolve));
+  }
+  speechServer.close();
+}
+
+await finishSuite();
@@ -0,0 +1,68 @@
+/**
+ * Test Script for the Pronunciation Lexicon
+ *
+ * Runs against a temporary lexicon file.
+ * Run with: node test-lexicon.js
+ */
+
+import path from 'path';
+import { Lexicon, applyEntries, validateEntry, parseLexiconOverrides } from './src/backend/utils/lexicon.js';
+import { startSuite, check, makeTempDir, finishSuite } from './testHelpers.js';
+
+function rejects(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+startSuite('Pronunciation Lexicon Test Suite');
+
+// Test 1: Matching options
+console.log('\n[Test 1] Matching');
+const entry = (pattern, spoken, options = {}) => validateEntry({ pattern, spoken, ...options });
+check('Whole word by default', applyEntries('Nguyen and Nguyenville', [entry('Nguyen', 'win')]) === 'win and Nguyenville');
+check('Substring when whole word is off', applyEntries('Nguyenville', [entry('Nguyen', 'win', { wholeWord: false })]) === 'winville');
+check('Case-insensitive by default', applyEntries('nginx NGINX', [entry('nginx', 'engine x')]) === 'engine x engine x');
+check('Case-sensitive entries', applyEntries('SQL sql', [entry('SQL', 'sequel', { caseSensitive: true })]) === 'sequel sql');
+check('Symbols in whole words', applyEntries('I like C++.', [entry('C++', 'C plus plus')]) === 'I like C plus plus.');
+check(
+  'Regex entries with groups',
+  applyEntries('v2.3 shipped', [entry('v(\\d+)\\.(\\d+)', 'version $1 point $2', { regex: true })]) === 'version 2 point 3 shipped'
+);
+check(
+  'Longer patterns win and output is not rewritten',
+  applyEntries('Acme Cloud by Acme', [entry('Acme', 'Ack me'), entry('Acme Cloud', 'Acme Sky')]) === 'Acme Sky by Ack me'
+);
+
+// Test 2: Validation
+console.log('\n[Test 2] Validation');
+check('Missing spoken form rejected', rejects(() => validateEntry({ pattern: 'x' }))?.status === 400);
+check('Invalid regex rejected', rejects(() => validateEntry({ pattern: '(', spoken: 'x', regex: true }))?.status === 400);
+check('Regex matching empty text rejected', ['a*', 'x?', '(?:)', '^', 'b|'].every(pattern =>
+  rejects(() => validateEntry({ pattern, spoken: 'x', regex: true }))?.status === 400));
+check('Regex needing some text accepted', validateEntry({ pattern: 'a+', spoken: 'x', regex: true }).regex === true);
+check('Overrides parsed from JSON', parseLexiconOverrides('[{"pattern":"a","spoken":"b"}]')[0].wholeWord === true);
+check('Overrides must be a list', rejects(() => parseLexiconOverrides('{"pattern":"a"}'))?.status === 400);
+
+// Test 3: Persistence and overrides
+console.log('\n[Test 3] Persistence and overrides');
+const tempDir = await makeTempDir('lexicon');
+const lexiconPath = path.join(tempDir, 'lexicon.json');
+const lexicon = new Lexicon({ lexiconPath });
+const saved = await lexicon.saveEntry({ pattern: 'Siobhan', spoken: 'shiv awn' });
+await lexicon.saveEntry({ pattern: 'siobhan', spoken: 'shi vawn' });
+check('Same pattern updates the entry', (await lexicon.getEntries()).length === 1);
+const reloaded = new Lexicon({ lexiconPath });
+check('Entries survive reload', (await reloaded.getEntries())[0].spoken === 'shi vawn');
+check('Stored entries applied', await reloaded.apply('Hi Siobhan') === 'Hi shi vawn');
+check(
+  'Per-conversion overrides win',
+  await reloaded.apply('Hi Siobhan', parseLexiconOverrides([{ pattern: 'Siobhan', spoken: 'sho bahn' }])) === 'Hi sho bahn'
+);
+await reloaded.deleteEntry(saved.id);
+check('Delete removes the entry', (await reloaded.getEntries()).length === 0);
+check('Deleting twice is a 404', (await reloaded.deleteEntry(saved.id).catch(error => error)).status === 404);
+await finishSuite();
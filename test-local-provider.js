@@ -0,0 +1,83 @@
+/**
+ * Test Script for Local Orpheus Provider
+ *
+ * Starts a stand-in OpenAI-compatible speech server on a random port and
+ * checks the requests the provider sends and how it handles errors.
+ * Run with: node test-local-provider.js
+ */
+
+import http from 'http';
+import { ProviderFactory } from './src/backend/providers/index.js';
+import { startSuite, check, finishSuite } from './testHelpers.js';
+
+// Stand-in server: records requests, fails when the input says so
+const requests = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', data => { body += data; });
+  req.on('end', () => {
+    const payload = JSON.parse(body || '{}');
+    requests.push({ url: req.url, headers: req.headers, payload });
+
+    if (payload.input === 'Fail please.') {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: 'Model crashed' } }));
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+    res.end(Buffer.from([0xFF, 0xFB, 0x90, 0xC0, 0x00, 0x00]));
+  });
+});
+
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const baseUrl = `http://127.0.0.1:${server.address().port}/`;
+
+startSuite('Local Orpheus Provider Test Suite');
+
+// Test 1: Request mapping
+console.log('\n[Test 1] Request mapping');
+const provider = ProviderFactory.createProvider('local', null, { baseUrl, retryDelay: 1 });
+const audio = await provider.generateSpeech('Hello from the box.', {
+  voice: 'leo',
+  temperature: 0.8,
+  max_new_tokens: 900
+});
+const [first] = requests;
+check('Audio returned', audio.length === 6);
+check('Posts to /v1/audio/speech', first.url === '/v1/audio/speech');
+check('Sends input and voice', first.payload.input === 'Hello from the box.' && first.payload.voice === 'leo');
+check('Sends sampling params', first.payload.temperature === 0.8 && first.payload.max_tokens === 900);
+check('No Authorization header without key', !first.headers.authorization);
+
+// Test 2: Optional bearer token
+console.log('\n[Test 2] Optional bearer token');
+const authed = ProviderFactory.createProvider('local', 'secret', { baseUrl });
+await authed.generateSpeech('Hello again.');
+check('Authorization header sent', requests.at(-1).headers.authorization === 'Bearer secret');
+
+// Test 3: Server errors
+console.log('\n[Test 3] Server errors');
+try {
+  await provider.generateSpeech('Fail please.');
+  check('Server error throws', false);
+} catch (error) {
+  check(`Server error throws (${error.message})`, error.status === 500 && error.message === 'Model crashed');
+}
+
+server.close();
+
+// Test 4: Unreachable server
+console.log('\n[Test 4] Unreachable server');
+const offline = ProviderFactory.createProvider('local', null, {
+  baseUrl: 'http://127.0.0.1:1',
+  retryAttempts: 1
+});
+try {
+  await offline.generateSpeech('Anyone there?');
+  check('Unreachable server throws', false);
+} catch (error) {
+  check(`Unreachable server throws (${error.message})`, error.code === 'ECONNREFUSED');
+}
+
+await finishSuite();
@@ -0,0 +1,79 @@
+/**
+ * Test Script for Mock TTS Provider
+ *
+ * Exercises generation, failure injection and concatenation offline.
+ * Run with: node test-mock-provider.js
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { ProviderFactory } from './src/backend/providers/index.js';
+import { AudioProcessor } from './src/backend/utils/audioProcessor.js';
+import { startSuite, check, makeTempDir, finishSuite } from './testHelpers.js';
+
+startSuite('Mock Provider Test Suite');
+
+// Test 1: Created without an API key
+console.log('\n[Test 1] Factory creates mock without API key');
+const provider = ProviderFactory.createProvider('mock', null, { retryDelay: 1 });
+check('Provider created', provider.getName() === 'Mock (offline)');
+check('Does not require API key', ProviderFactory.requiresApiKey('mock') === false);
+
+// Test 2: Deterministic audio whose length tracks text length
+console.log('\n[Test 2] Deterministic, length-tracking audio');
+const short = await provider.generateSpeech('Hello world.');
+const again = await provider.generateSpeech('Hello world.');
+const long = await provider.generateSpeech('Hello world. '.repeat(20));
+check('Same text gives identical audio', short.equals(again));
+check('Longer text gives longer audio', long.length > short.length * 10);
+check('Output detected as MP3', new AudioProcessor().detectFormat(short).format === 'mp3');
+
+// Test 3: WAV tone output
+console.log('\n[Test 3] WAV tone output');
+const wavProvider = ProviderFactory.createProvider('mock', null, { audioFormat: 'wav' });
+const wav = await wavProvider.generateSpeech('Hello world.', { voice: 'dan' });
+check('Output detected as WAV', new AudioProcessor().detectFormat(wav).format === 'wav');
+const orpheus = ProviderFactory.createProvider('local');
+check('Voices are the Orpheus voices', wavProvider.getAvailableVoices().join() === orpheus.getAvailableVoices().join());
+const zoe = await wavProvider.generateSpeech('Hello world.', { voice: 'zoe' });
+check('Each voice has its own pitch', zoe.length === wav.length && !zoe.equals(wav));
+
+// Test 4: Injected failures
+console.log('\n[Test 4] Injected failures');
+for (const failureMode of ['429', '500', 'empty']) {
+  const failing = ProviderFactory.createProvider('mock', null, {
+    failureMode,
+    failureRate: 1,
+    retryAttempts: 2,
+    retryDelay: 1
+  });
+
+  try {
+    await failing.generateSpeech('Hello world.');
+    check(`Failure mode ${failureMode} throws`, false);
+  } catch (error) {
+    const expectedStatus = failureMode === 'empty' ? undefined : parseInt(failureMode);
+    check(`Failure mode ${failureMode} throws (${error.message})`, error.status === expectedStatus);
+    check(`Failure mode ${failureMode} was retried`, failing.requestCount === 2);
+  }
+}
+
+// Test 5: Settings contract matches Segmind
+console.log('\n[Test 5] Settings contract');
+const segmind = ProviderFactory.createProvider('segmind', 'unused');
+check(
+  'Same settings keys as Segmind',
+  JSON.stringify(Object.keys(provider.getSettings())) === JSON.stringify(Object.keys(segmind.getSettings()))
+);
+
+// Test 6: Concatenation
+console.log('\n[Test 6] Concatenation');
+const tempDir = await makeTempDir('mock');
+const processor = new AudioProcessor({ tempDir });
+const outputPath = path.join(tempDir, 'combined.mp3');
+const buffers = [short, long];
+
+await processor.concatenateBuffers(buffers, outputPath);
+const combined = await fs.stat(outputPath);
+check('Combined file written', combined.size > 0);
+await finishSuite();
@@ -0,0 +1,90 @@
+/**
+ * Test Script for Text Normalization
+ *
+ * Checks each rule, rule toggles and custom rules.
+ * Run with: node test-normalizer.js
+ */
+
+import {
+  TextNormalizer,
+  normalizeText,
+  numberToWords,
+  ordinalToWords,
+  yearToWords,
+  romanToNumber,
+  parseNormalizationOptions,
+  registerRule
+} from './src/backend/utils/normalizer.js';
+import { startSuite, check, finishSuite } from './testHelpers.js';
+
+startSuite('Text Normalization Test Suite');
+
+// Test 1: Number helpers
+console.log('\n[Test 1] Number helpers');
+check('Cardinals', numberToWords(1250) === 'one thousand two hundred fifty');
+check('Millions', numberToWords(3000042) === 'three million forty-two');
+check('Ordinals', ordinalToWords(21) === 'twenty-first' && ordinalToWords(40) === 'fortieth');
+check('Years', yearToWords(1999) === 'nineteen ninety-nine' && yearToWords(2005) === 'two thousand five');
+check('Roman numerals', romanToNumber('XIV') === 14 && romanToNumber('IIII') === null);
+check('Numbers past 2^53 are read digit by digit', normalizeText('1234567890123456789012') ===
+  'one two three four five six seven eight nine zero one two three four five six seven eight nine zero one two');
+check('Very long digit runs are read without overflowing', normalizeText('9'.repeat(400)) === Array(400).fill('nine').join(' '));
+
+// Test 2: Rules
+console.log('\n[Test 2] Rules');
+check(
+  'Currency',
+  normalizeText('$1,250.50') === 'one thousand two hundred fifty dollars and fifty cents'
+);
+check('Singular currency and cents', normalizeText('$1 or $0.01') === 'one dollar or one cent');
+check('Currency with a short scale', normalizeText('Raised $2.5M, then £4bn.') ===
+  'Raised two point five million dollars, then four billion pounds.');
+check('Currency followed by letters is left alone', normalizeText('$5Mb') === '$5Mb');
+check('Units', normalizeText('3 km and 1 kg') === 'three kilometers and one kilogram');
+check('Units after grouped thousands', normalizeText('1,000 km/h and 2,500.5 kg') ===
+  'one thousand kilometers per hour and two thousand five hundred point five kilograms');
+check('Unit abbreviations drop their period mid-sentence', normalizeText('5 ft. tall.') === 'five feet tall.' &&
+  normalizeText('It is 5 ft. Then') === 'It is five feet. Then');
+check('Negative numbers', normalizeText('It was -5 (or -2.5 °C), -10% and 5-10') ===
+  'It was minus five (or minus two point five degrees Celsius), minus ten percent and five-ten');
+check('Dotted versions untouched', normalizeText('Version 2.0.1 and 10.0.0.1') === 'Version 2.0.1 and 10.0.0.1');
+check('Phone numbers untouched', normalizeText('Call 555-1234 or (555) 123-4567.') === 'Call 555-1234 or (555) 123-4567.');
+check('Long-distance and international numbers untouched', normalizeText('Dial 1-800-555-1234 or +1 555 123 4567.') ===
+  'Dial 1-800-555-1234 or +1 555 123 4567.');
+check('Prefixed versions untouched', normalizeText('Upgrade to v1.2 now') === 'Upgrade to v1.2 now');
+check('Negative amounts of money', normalizeText('A loss of -$5 or $-5.50') ===
+  'A loss of minus five dollars or minus five dollars and fifty cents');
+check('Fractions', normalizeText('1/2 cup, 2 3/4 cups and 2/3 of it, open 24/7') ===
+  'one half cup, two and three quarters cups and two thirds of it, open 24/7');
+check('Decimals without a leading zero', normalizeText('About .5 or -.25') === 'About point five or minus point two five');
+check('Chapter numerals', normalizeText('Ch. IV') === 'Chapter four');
+check('Regnal numerals', normalizeText('Henry VIII') === 'Henry the Eighth');
+check('Pronoun I untouched', normalizeText('Then I left.') === 'Then I left.');
+check('ISO dates', normalizeText('2024-03-05') === 'March fifth, twenty twenty-four');
+check('Written dates', normalizeText('July 4th, 1776') === 'July fourth, seventeen seventy-six');
+check('URLs', normalizeText('See https://example.com/docs.') === 'See example dot com slash docs.');
+check('Titles', normalizeText('Dr. Smith and Mr. Jones') === 'Doctor Smith and Mister Jones');
+check('Sentence-ending abbreviation keeps its period', normalizeText('Cats, dogs, etc. Then') === 'Cats, dogs, et cetera. Then');
+check('Percent and time', normalizeText('45% at 3:30') === 'forty-five percent at three thirty');
+check('Sentence-ending p.m. keeps its period', normalizeText('Done by 5:30 p.m. Then home') === 'Done by five thirty p m. Then home');
+check('Emotion tags untouched', normalizeText('Ha <laugh> 2 times') === 'Ha <laugh> two times');
+
+// Test 3: Toggles
+console.log('\n[Test 3] Toggles');
+check('Disabled rule is skipped', normalizeText('3 km', { units: false }) === 'three km');
+check('false disables every rule', normalizeText('3 km', parseNormalizationOptions('false')) === '3 km');
+check(
+  'JSON toggles parsed, unknown rules ignored',
+  JSON.stringify(parseNormalizationOptions('{"units":false,"bogus":false}')) === '{"units":false}'
+);
+const preview = new TextNormalizer({ numbers: false }).preview('Dr. Who paid $5 for 2');
+check('Preview reports applied rules', JSON.stringify(preview.applied) === '["currency","abbreviations"]');
+check('Preview text', preview.text === 'Doctor Who paid five dollars for 2');
+
+// Test 4: Custom rules
+console.log('\n[Test 4] Custom rules');
+registerRule({ id: 'ampersand', description: 'Read & as "and"', apply: text => text.replace(/ & /g, ' and ') }, { before: 'numbers' });
+check('Custom rule runs', normalizeText('salt & 2 peppers') === 'salt and two peppers');
+check('Custom rule listed', TextNormalizer.getRules().some(rule => rule.id === 'ampersand'));
+
+await finishSuite();
@@ -0,0 +1,183 @@
+/**
+ * Test Script for PDF Cleanup
+ *
+ * Builds small PDFs and checks that running headers, footers and page
+ * numbers are dropped, hyphenated words and broken lines rejoined,
+ * two-column pages read a column at a time, references removed on
+ * request, and that a page range limits what is read.
+ * Run with: node test-pdf.js
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { FileParser } from './src/backend/utils/fileParser.js';
+import { readPdf, cleanPdfPages, parsePageRange } from './src/backend/utils/pdfParser.js';
+import { startSuite, check, makeTempDir, finishSuite } from './testHelpers.js';
+
+/**
+ * Build a PDF of US Letter pages; each page is a list of [x, y, text] lines
+ */
+function buildPdf(pages) {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    null,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  const kids = [];
+
+  for (const lines of pages) {
+    const stream = lines
+      .map(([x, y, text]) => `BT /F1 10 Tf ${x} ${y} Td (${text.replace(/[()\\]/g, '\\$&')}) Tj ET`)
+      .join('\n');
+    objects.push(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${objects.length} 0 R >>`);
+    kids.push(objects.length);
+  }
+  objects[1] = `<< /Type /Pages /Kids [${kids.map(kid => `${kid} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+// Lines of a single-column page, 12pt apart from the top
+function column(x, top, lines) {
+  return lines.map((text, i) => [x, top - i * 12, text]);
+}
+
+const tempDir = await makeTempDir('pdf');
+const parser = new FileParser();
+
+startSuite('PDF Cleanup Test Suite');
+
+// Test 1: Headers, footers and page numbers
+console.log('\n[Test 1] Running headers, footers and page numbers');
+const bookPages = [1, 2, 3].map(n => [
+  [72, 750, `The Lighthouse Keeper · Chapter ${n}`],
+  ...column(72, 700, [
+    `On the ${['first', 'second', 'third'][n - 1]} morning the keeper climbed the stairs`,
+    'and looked out over a grey and restless sea.'
+  ]),
+  [300, 40, `${n + 10}`]
+]);
+const bookPdf = path.join(tempDir, 'book.pdf');
+await fs.writeFile(bookPdf, buildPdf(bookPages));
+const book = await parser.parseDocument(bookPdf);
+check('Repeated headers are dropped (digits ignored)', !book.text.includes('Lighthouse Keeper'));
+check('Page numbers are dropped', !/\b1[123]\b/.test(book.text));
+check('Body text is kept and joined across pages',
+  book.text.startsWith('On the first morning the keeper climbed the stairs and looked out') &&
+  book.text.includes('On the third morning'));
+
+const lonePage = cleanPdfPages([{ header: ['Only Page Header'], lines: ['Some text here.'], footer: ['Page 1 of 1'] }]);
+check('A single page keeps its header but not its page number', lonePage === 'Only Page Header\n\nSome text here.');
+
+// Test 2: Hyphenation and line joining
+console.log('\n[Test 2] Hyphenation and broken lines');
+const prosePdf = path.join(tempDir, 'prose.pdf');
+await fs.writeFile(prosePdf, buildPdf([column(72, 700, [
+  'Introduction',
+  'The committee met to discuss the extraordi-',
+  'nary situation that had developed over the',
+  'winter. It ended early.',
+  'Then a new paragraph began without a gap',
+  'and carried on across some printed lines.',
+  '',
+  'A wider gap starts this paragraph and it',
+  'runs on for two lines as paragraphs do.',
+  '1. A numbered item begins a paragraph of',
+  'its own even without any gap before it.'
+]).filter(([, , text]) => text)]));
+const prose = (await parser.parseDocument(prosePdf)).text.split('\n\n');
+check('A short capitalised line is a heading', prose[0] === 'Introduction');
+check('Hyphenated words are rejoined and lines joined',
+  prose[1] === 'The committee met to discuss the extraordinary situation that had developed over the winter. It ended early.');
+check('A short line ending a sentence ends its paragraph',
+  prose[2] === 'Then a new paragraph began without a gap and carried on across some printed lines.');
+check('A wider gap starts a paragraph', prose[3] === 'A wider gap starts this paragraph and it runs on for two lines as paragraphs do.');
+check('A list marker starts a paragraph', prose[4] === '1. A numbered item begins a paragraph of its own even without any gap before it.');
+
+// Test 3: Two columns
+console.log('\n[Test 3] Two-column pages');
+const columnsPdf = buildPdf([[
+  [200, 740, 'A Study of Columns'],
+  ...column(72, 700, [
+    'The left column opens the article and',
+    'goes on for a few lines of text before',
+    'it reaches the bottom of the column.'
+  ]),
+  ...column(320, 700, [
+    'Then the right column picks it up and',
+    'brings the article to a neat close at',
+    'the end of the page after all of that.'
+  ])
+]]);
+const { pages: columnPages } = await readPdf(columnsPdf);
+check('The title is read first, then the left column, then the right', cleanPdfPages(columnPages) ===
+  'A Study of Columns\n\nThe left column opens the article and goes on for a few lines of text before ' +
+  'it reaches the bottom of the column. Then the right column picks it up and brings the article to a ' +
+  'neat close at the end of the page after all of that.');
+
+// Test 4: References
+console.log('\n[Test 4] References and bibliography');
+const paperPages = [{
+  header: [],
+  lines: [
+    'Our results show that the method works.', '',
+    'References', '',
+    '[1] A. Author. A paper. 2020.', '',
+    'Appendix A', '',
+    'Extra tables live here.'
+  ],
+  footer: []
+}];
+check('References are kept by default', cleanPdfPages(paperPages).includes('[1] A. Author.'));
+check('References are removed up to an appendix', cleanPdfPages(paperPages, { removeReferences: true }) ===
+  'Our results show that the method works.\n\nAppendix A\n\nExtra tables live here.');
+
+// Test 5: Page ranges
+console.log('\n[Test 5] Page ranges');
+check('Parses ranges', JSON.stringify([parsePageRange('3-10'), parsePageRange('5'), parsePageRange('5-'),
+  parsePageRange(' -4 '), parsePageRange(''), parsePageRange({ firstPage: 2 })]) ===
+  '[{"firstPage":3,"lastPage":10},{"firstPage":5,"lastPage":5},{"firstPage":5,"lastPage":null},' +
+  '{"firstPage":1,"lastPage":4},null,{"firstPage":2,"lastPage":null}]');
+
+for (const [value, message] of [
+  ['three', 'Use a page or a range such as 3-10'],
+  ['-', 'Use a page or a range such as 3-10'],
+  ['0-2', 'Pages are numbered from 1 and the range must not run backwards'],
+  ['9-4', 'Pages are numbered from 1 and the range must not run backwards']
+]) {
+  let rangeError = null;
+  try {
+    parsePageRange(value);
+  } catch (error) {
+    rangeError = error;
+  }
+  check(`Rejects "${value}"`, rangeError && rangeError.message === message);
+}
+
+const middle = await parser.parseDocument(bookPdf, { pages: '2-2' });
+check('Reads only the pages in the range', middle.text.includes('second morning') &&
+  !middle.text.includes('first morning') && !middle.text.includes('third morning'));
+const tail = await parser.parseDocument(bookPdf, { pages: '2-' });
+check('An open range reads to the last page', tail.text.includes('third morning') && !tail.text.includes('first morning'));
+
+let pastEnd = null;
+try {
+  await parser.parseDocument(bookPdf, { pages: '7-9' });
+} catch (error) {
+  pastEnd = error;
+}
+check('A range past the last page is an error', pastEnd && pastEnd.message.includes('Page range starts after the last page (3 pages)'));
+
+await finishSuite();
@@ -0,0 +1,145 @@
+/**
+ * Test Script for Provider Rate Limiting and Circuit Breaker
+ *
+ * Uses the mock provider with injected failures, so it runs offline.
+ * Run with: node test-rate-limits.js
+ */
+
+import { ProviderFactory } from './src/backend/providers/index.js';
+import { RateLimiter, parseRetryAfter } from './src/backend/utils/rateLimiter.js';
+import { CircuitBreaker } from './src/backend/utils/circuitBreaker.js';
+import { startSuite, check, finishSuite } from './testHelpers.js';
+
+startSuite('Rate Limit & Circuit Breaker Test Suite');
+
+// Test 1: Token buckets
+console.log('\n[Test 1] Token buckets');
+const limiter = new RateLimiter({ requestsPerMinute: 600, charactersPerMinute: 60000 });
+check('First request is immediate', await limiter.acquire(100) < 20);
+for (let i = 0; i < 599; i++) limiter.requests.take(1);
+const waited = await limiter.acquire(100);
+check(`Request waits once the request budget is spent (${waited}ms)`, waited >= 50);
+const characterLimiter = new RateLimiter({ charactersPerMinute: 600 });
+await characterLimiter.acquire(600);
+check('Character budget drawn down', characterLimiter.getState().remainingCharacters < 10);
+check('Unlimited by default', new RateLimiter().getState().requestsPerMinute === null);
+
+// Test 2: Retry-After parsing
+console.log('\n[Test 2] Retry-After parsing');
+check('Seconds', parseRetryAfter('3') === 3000);
+check('HTTP date', parseRetryAfter(new Date(Date.now() + 5000).toUTCString()) > 3000);
+check('Missing or invalid', parseRetryAfter(null) === null && parseRetryAfter('soon') === null);
+
+// Test 3: Retry-After honoured instead of blind backoff
+console.log('\n[Test 3] Retry-After honoured');
+const throttled = ProviderFactory.createProvider('mock', null, {
+  failureMode: '429',
+  retryAfterMs: 150,
+  retryAttempts: 2,
+  retryDelay: 10000,
+  rateLimiter: new RateLimiter(),
+  circuitBreaker: new CircuitBreaker()
+});
+const start = Date.now();
+try {
+  await throttled.generateSpeech('Hello world.');
+} catch (error) {
+  const elapsed = Date.now() - start;
+  check(`Waited for Retry-After, not the backoff (${elapsed}ms)`, elapsed >= 140 && elapsed < 2000);
+  check('Both attempts made', throttled.requestCount === 2);
+}
+
+// Test 4: Circuit breaker
+console.log('\n[Test 4] Circuit breaker');
+const breaker = new CircuitBreaker({ failureThreshold: 2, cooldownMs: 100 });
+const failing = ProviderFactory.createProvider('mock', null, {
+  failureMode: '500',
+  retryAttempts: 1,
+  rateLimiter: new RateLimiter(),
+  circuitBreaker: breaker
+});
+
+for (let i = 0; i < 2; i++) {
+  await failing.generateSpeech('Hello world.').catch(() => {});
+}
+check('Opens after threshold', breaker.getState().state === 'open');
+
+try {
+  await failing.generateSpeech('Hello world.');
+  check('Open circuit rejects requests', false);
+} catch (error) {
+  check('Open circuit rejects requests', error.code === 'CIRCUIT_OPEN' && error.status === 503);
+  check('Rejected without calling the provider', failing.requestCount === 2);
+}
+
+await new Promise(resolve => setTimeout(resolve, 120));
+failing.config.failureMode = null;
+await failing.generateSpeech('Hello world.');
+check('Trial request after cooldown closes the circuit', breaker.getState().state === 'closed');
+
+failing.config.failureMode = '500';
+for (let i = 0; i < 2; i++) {
+  await failing.generateSpeech('Hello world.').catch(() => {});
+}
+await new Promise(resolve => setTimeout(resolve, 120));
+await failing.generateSpeech('Hello world.').catch(() => {});
+check('Failed trial reopens the circuit', breaker.getState().state === 'open');
+
+// Test 5: Client errors don't open the circuit
+console.log('\n[Test 5] Client errors');
+const strict = new CircuitBreaker({ failureThreshold: 1 });
+const provider = ProviderFactory.createProvider('mock', null, {
+  rateLimiter: new RateLimiter(),
+  circuitBreaker: strict
+});
+await provider.retry(async () => {
+  const error = new Error('Bad request');
+  error.status = 400;
+  throw error;
+}, { attempts: 1 }).catch(() => {});
+check('400 leaves the circuit closed', strict.getState().state === 'closed');
+
+// Count the attempts a request failing with a status gets
+const retrying = ProviderFactory.createProvider('mock', null, {
+  rateLimiter: new RateLimiter(),
+  retryDelay: 1,
+  circuitBreaker: new CircuitBreaker()
+});
+async function countAttempts(status) {
+  let count = 0;
+  await retrying.retry(async () => {
+    count++;
+    const error = new Error(`HTTP ${status}`);
+    error.status = status;
+    throw error;
+  }, { attempts: 3 }).catch(() => {});
+  return count;
+}
+check('Client errors are not retried', await countAttempts(400) === 1 && await countAttempts(404) === 1 &&
+  await countAttempts(422) === 1);
+check('Timeouts and rate limits are retried', await countAttempts(408) === 3 && await countAttempts(429) === 3);
+
+// Test 6: Concurrency shared by every instance of a provider
+console.log('\n[Test 6] Shared concurrency');
+const shared = new RateLimiter({ concurrency: 2 });
+const instances = [1, 2].map(() => ProviderFactory.createProvider('mock', null, {
+  rateLimiter: shared,
+  retryDelay: 1,
+  circuitBreaker: new CircuitBreaker()
+}));
+let inFlight = 0;
+let mostInFlight = 0;
+await Promise.all(instances.flatMap(instance => [1, 2, 3].map(() => instance.retry(async () => {
+  inFlight++;
+  mostInFlight = Math.max(mostInFlight, inFlight);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  inFlight--;
+}))));
+check(`Two providers of one kind stay within its limit (${mostInFlight} in flight)`, mostInFlight === 2);
+
+await instances[0].retry(async () => {
+  throw new Error('Server error');
+}, { attempts: 2 }).catch(() => {});
+check('Failed requests free their slots', shared.getState().inFlight === 0);
+
+await finishSuite();
@@ -0,0 +1,74 @@
+/**
+ * Test Script for Token-Aware Chunk Sizing
+ *
+ * Checks chunk sizes derived from max_new_tokens, audio duration
+ * measurement, truncation detection and chunk cost estimates.
+ * Run with: node test-token-chunking.js
+ */
+
+import { ProviderFactory } from './src/backend/providers/index.js';
+import { AudioProcessor } from './src/backend/utils/audioProcessor.js';
+import {
+  getTokenChunkSize,
+  estimateSpeechDuration,
+  isLikelyTruncated,
+  SPEECH_TOKENS_PER_SECOND
+} from './src/backend/utils/speechTokens.js';
+import { startSuite, check, finishSuite } from './testHelpers.js';
+
+startSuite('Token-Aware Chunking Test Suite');
+
+// Test 1: Chunk sizes follow the token budget
+console.log('\n[Test 1] Chunk sizing');
+check('Larger budgets allow larger chunks', getTokenChunkSize(2000) > getTokenChunkSize(1200));
+check('Tiny budgets keep a minimum size', getTokenChunkSize(10) === 40);
+const mock = ProviderFactory.createProvider('mock', null);
+check(`Orpheus providers shrink to the budget (${mock.getMaxChunkSize({ max_new_tokens: 1200 })} chars)`,
+  mock.getMaxChunkSize({ max_new_tokens: 1200 }) === getTokenChunkSize(1200));
+check('Character limit still caps the size', mock.getMaxChunkSize({ max_new_tokens: 100000 }) === 1000);
+check('Without options the character limit applies', mock.getMaxChunkSize() === 1000);
+const huggingface = ProviderFactory.createProvider('huggingface', 'key');
+check('Non-token providers ignore the budget', huggingface.getMaxChunkSize({ max_new_tokens: 100 }) === huggingface.getMaxChunkSize());
+const tuned = ProviderFactory.createProvider('mock', null, { tokensPerCharacter: 2 });
+check('Tokens per character is configurable', tuned.getMaxChunkSize({ max_new_tokens: 1000 }) === 425);
+
+// Test 2: Audio duration from buffers
+console.log('\n[Test 2] Audio duration');
+const processor = new AudioProcessor();
+const text = 'The quick brown fox jumps over the lazy dog. '.repeat(4).trim();
+const mp3 = await mock.generateSpeech(text);
+const wav = await ProviderFactory.createProvider('mock', null, { audioFormat: 'wav' }).generateSpeech(text);
+const expected = estimateSpeechDuration(text);
+check(`MP3 duration measured (${processor.getBufferDuration(mp3).toFixed(2)}s)`, Math.abs(processor.getBufferDuration(mp3) - expected) < 0.1);
+check(`WAV duration measured (${processor.getBufferDuration(wav).toFixed(2)}s)`, Math.abs(processor.getBufferDuration(wav) - expected) < 0.1);
+check('Unknown formats are not measured', processor.getBufferDuration(Buffer.from('OggS0000000000000000')) === null);
+const joined = processor.joinBuffers([wav, wav]);
+check('Joined WAV keeps one header', Math.abs(processor.getBufferDuration(joined) - expected * 2) < 0.1 && joined.length === wav.length * 2 - 44);
+
+// Test 3: Truncation detection
+console.log('\n[Test 3] Truncation detection');
+const capped = await mock.generateSpeech(text, { max_new_tokens: 200 });
+const cappedDuration = processor.getBufferDuration(capped);
+check(`Mock cuts audio at max_new_tokens (${cappedDuration.toFixed(2)}s)`, Math.abs(cappedDuration - 200 / SPEECH_TOKENS_PER_SECOND) < 0.1);
+check('Cut-off audio is flagged', isLikelyTruncated(cappedDuration, text));
+check('Complete audio is not flagged', !isLikelyTruncated(processor.getBufferDuration(mp3), text));
+check('Short texts are never flagged', !isLikelyTruncated(0.1, 'Hi there.'));
+check('Unknown durations are never flagged', !isLikelyTruncated(null, text));
+check('Emotion tags do not count as speech', estimateSpeechDuration('Hi <laugh>') === estimateSpeechDuration('Hi'));
+
+// Test 4: Cost estimates for chunk previews
+console.log('\n[Test 4] Cost estimates');
+const deepinfra = ProviderFactory.createProvider('deepinfra', 'key');
+check('Free providers cost nothing', mock.estimateCost(text) === 0);
+check('Cost follows the list price', deepinfra.estimateCost('x'.repeat(500000)) === 0.5);
+check('Estimates are numbers', typeof deepinfra.estimateCost(text) === 'number');
+const priced = ProviderFactory.createProvider('mock', null, { pricePerMillionCharacters: 16 });
+check('Price is configurable', priced.getPricePerMillionCharacters() === 16 && priced.estimateCost('x'.repeat(1000)) === 0.016);
+const unset = ProviderFactory.createProvider('deepinfra', 'key', { pricePerMillionCharacters: undefined });
+check('Unset price falls back to the list price', unset.getPricePerMillionCharacters() === 1);
+const segmind = ProviderFactory.createProvider('segmind', 'key');
+check('Unknown prices stay unknown', segmind.getPricePerMillionCharacters() === null && segmind.estimateCost(text) === null);
+const configured = ProviderFactory.createProvider('segmind', 'key', { pricePerMillionCharacters: 2 });
+check('A configured price fills in an unknown one', configured.estimateCost('x'.repeat(500000)) === 1);
+
+await finishSuite();
@@ -0,0 +1,62 @@
+/**
+ * Shared helpers for the test-*.js scripts
+ *
+ * Each script prints a banner, one line per check and a summary, and exits
+ * with status 1 if any check failed, so `npm test` reports it. Temporary
+ * directories made with makeTempDir() are removed by finishSuite().
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+let failures = 0;
+const tempDirs = [];
+
+/**
+ * Print the banner of a test suite
+ * @param {string} title - Suite name
+ */
+export function startSuite(title) {
+  console.log('='.repeat(60));
+  console.log(title);
+  console.log('='.repeat(60));
+}
+
+/**
+ * Report one check
+ * @param {string} description - What is checked
+ * @param {boolean} passed - Whether it held
+ */
+export function check(description, passed) {
+  console.log(`${passed ? '✓' : '✗'} ${description}`);
+  if (!passed) failures++;
+}
+
+/**
+ * Make a temporary directory, removed when the suite finishes
+ * @param {string} name - Short name used in the directory prefix
+ * @returns {Promise<string>} - Directory path
+ */
+export async function makeTempDir(name) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), `orpheus-${name}-`));
+  tempDirs.push(dir);
+  return dir;
+}
+
+/**
+ * Remove temporary directories, print the summary and exit non-zero on failure
+ */
+export async function finishSuite() {
+  for (const dir of tempDirs) {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  console.log('\n' + '='.repeat(60));
+  console.log(failures === 0 ? 'All tests passed!' : `${failures} check(s) failed`);
+  console.log('='.repeat(60));
+
+  if (failures > 0) {
+    process.exit(1);
+  }
+}